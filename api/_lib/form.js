@@ -0,0 +1,30 @@
+/**
+ * Multipart form helpers shared by the Vercel functions
+ *
+ * Files under api/_lib are not deployed as endpoints.
+ */
+
+import { IncomingForm } from 'formidable';
+
+// Parse form data; `options` are extra formidable options (maxFiles...)
+export function parseForm(req, options = {}) {
+  return new Promise((resolve, reject) => {
+    const form = new IncomingForm({
+      maxFileSize: 10 * 1024 * 1024, // 10MB
+      keepExtensions: true,
+      ...options,
+    });
+
+    form.parse(req, (err, fields, files) => {
+      if (err) reject(err);
+      else resolve({ fields, files });
+    });
+  });
+}
+
+// Formidable returns every field as an array; keep the first value
+export function flattenFields(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [key, Array.isArray(value) ? value[0] : value])
+  );
+}
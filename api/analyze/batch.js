@@ -0,0 +1,81 @@
+/**
+ * POST /api/analyze/batch - Vercel Serverless Function
+ *
+ * Accepts several PDF files (or zip archives of them) and generates a tarot
+ * reading for each
+ */
+
+import { readFileSync } from 'fs';
+import { errors as formidableErrors } from 'formidable';
+import { parseForm, flattenFields } from '../_lib/form.js';
+import { analyzeBatch, MAX_BATCH_FILES } from '../../server/src/services/batchAnalyzer.js';
+import { BatchOptionsSchema, AnalyzeQuerySchema, describeOptionsError } from '../../server/src/schemas/analysis.js';
+import { DocumentError } from '../../server/src/errors.js';
+
+// Disable body parsing - we'll handle it with formidable
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+export default async function handler(req, res) {
+  // Only allow POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    // Parse multipart form data; the 10MB limit is per file
+    const { fields, files } = await parseForm(req, {
+      maxFiles: MAX_BATCH_FILES,
+      maxTotalFileSize: MAX_BATCH_FILES * 10 * 1024 * 1024,
+    });
+
+    // Get the uploaded files
+    const uploads = [files.files || []].flat();
+    if (uploads.length === 0) {
+      return res.status(400).json({ message: 'No PDF files provided' });
+    }
+
+    // Options apply to every file in the batch
+    const options = BatchOptionsSchema.safeParse(flattenFields(fields));
+    if (!options.success) {
+      return res.status(400).json({ message: describeOptionsError(options.error) });
+    }
+
+    const query = AnalyzeQuerySchema.safeParse(req.query || {});
+    if (!query.success) {
+      return res.status(400).json({ message: describeOptionsError(query.error) });
+    }
+
+    // Per-file failures are reported in the results, not as an error status
+    const batch = await analyzeBatch(
+      uploads.map((file) => ({
+        filename: file.originalFilename,
+        mimetype: file.mimetype,
+        buffer: readFileSync(file.filepath),
+      })),
+      { ...options.data, ...query.data }
+    );
+
+    res.status(200).json(batch);
+
+  } catch (error) {
+    console.error('[analyzeBatch] Error:', error);
+
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
+    if (error.code === formidableErrors.maxFilesExceeded) {
+      return res.status(400).json({ message: `Too many files. Maximum is ${MAX_BATCH_FILES} per batch` });
+    }
+
+    if (error.code === formidableErrors.biggerThanMaxFileSize) {
+      return res.status(400).json({ message: 'File too large. Maximum size is 10MB' });
+    }
+
+    res.status(500).json({ message: 'Failed to analyze PDFs' });
+  }
+}
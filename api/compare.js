@@ -0,0 +1,80 @@
+/**
+ * POST /api/compare - Vercel Serverless Function
+ *
+ * Accepts two PDF files and generates a compatibility reading for the pair
+ */
+
+import { readFileSync } from 'fs';
+import { errors as formidableErrors } from 'formidable';
+import { parseForm, flattenFields } from './_lib/form.js';
+import { compareDocuments } from '../server/src/services/documentComparison.js';
+import { CompareOptionsSchema } from '../server/src/schemas/compare.js';
+import { describeOptionsError } from '../server/src/schemas/analysis.js';
+import { DocumentError } from '../server/src/errors.js';
+
+// Disable body parsing - we'll handle it with formidable
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+export default async function handler(req, res) {
+  // Only allow POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    // Parse multipart form data; the 10MB limit is per file
+    const { fields, files } = await parseForm(req, {
+      maxFiles: 2,
+      maxTotalFileSize: 2 * 10 * 1024 * 1024,
+    });
+
+    // Get the two uploaded files
+    const pair = [files.first?.[0] || files.first, files.second?.[0] || files.second];
+    if (!pair[0] || !pair[1]) {
+      return res.status(400).json({ message: 'Two PDF files are required: "first" and "second"' });
+    }
+
+    // Validate MIME types
+    if (pair.some((file) => file.mimetype !== 'application/pdf')) {
+      return res.status(400).json({ message: 'Only PDF files are allowed' });
+    }
+
+    // Validate options sent alongside the files
+    const options = CompareOptionsSchema.safeParse(flattenFields(fields));
+    if (!options.success) {
+      return res.status(400).json({ message: describeOptionsError(options.error) });
+    }
+
+    const [first, second] = pair.map((file) => ({
+      filename: file.originalFilename,
+      buffer: readFileSync(file.filepath),
+    }));
+
+    res.status(200).json(await compareDocuments(first, second, options.data));
+
+  } catch (error) {
+    console.error('[compare] Error:', error);
+
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
+    if (error.code === formidableErrors.maxFilesExceeded) {
+      return res.status(400).json({ message: 'Too many files. Upload exactly two PDFs' });
+    }
+
+    if (error.code === formidableErrors.biggerThanMaxFileSize) {
+      return res.status(400).json({ message: 'File too large. Maximum size is 10MB' });
+    }
+
+    if (error.name === 'ZodError') {
+      return res.status(500).json({ message: 'Internal validation error' });
+    }
+
+    res.status(500).json({ message: 'Failed to compare PDFs' });
+  }
+}
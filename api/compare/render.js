@@ -0,0 +1,102 @@
+/**
+ * POST /api/compare/render - Vercel Serverless Function
+ *
+ * Generates a compatibility cover page and merges it with both PDFs
+ */
+
+import { readFileSync } from 'fs';
+import { errors as formidableErrors } from 'formidable';
+import { parseForm, flattenFields } from '../_lib/form.js';
+import { renderCompatibilityPdf } from '../../server/src/services/pdfRenderer.js';
+import { RELATIONSHIP_SPREAD } from '../../server/src/services/spreads.js';
+import { CompareRenderOptionsSchema } from '../../server/src/schemas/compare.js';
+import { describeOptionsError } from '../../server/src/schemas/analysis.js';
+import { DocumentError } from '../../server/src/errors.js';
+
+// Disable body parsing - we'll handle it with formidable
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+export default async function handler(req, res) {
+  // Only allow POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    // Parse multipart form data; the 10MB limit is per file
+    const { fields, files } = await parseForm(req, {
+      maxFiles: 2,
+      maxTotalFileSize: 2 * 10 * 1024 * 1024,
+    });
+
+    // Get the two uploaded files
+    const pair = [files.first?.[0] || files.first, files.second?.[0] || files.second];
+    if (!pair[0] || !pair[1]) {
+      return res.status(400).json({ message: 'Two PDF files are required: "first" and "second"' });
+    }
+
+    // Get the compatibility reading JSON
+    const analysisStr = fields.analysis?.[0] || fields.analysis;
+    if (!analysisStr) {
+      return res.status(400).json({ message: 'No analysis data provided' });
+    }
+
+    let reading;
+    try {
+      reading = JSON.parse(analysisStr);
+    } catch {
+      return res.status(400).json({ message: 'Invalid analysis JSON' });
+    }
+
+    if (!Array.isArray(reading.cards) || reading.cards.length !== RELATIONSHIP_SPREAD.positions.length) {
+      return res.status(400).json({ message: 'Invalid analysis: missing cards' });
+    }
+
+    if (!reading.compatibility || !reading.verdict || reading.documents?.length !== 2) {
+      return res.status(400).json({ message: 'Invalid analysis: not a compatibility reading' });
+    }
+
+    // Validate options (passwords for encrypted PDFs)
+    const options = CompareRenderOptionsSchema.safeParse(flattenFields(fields));
+    if (!options.success) {
+      return res.status(400).json({ message: describeOptionsError(options.error) });
+    }
+
+    // Always the relationship spread, whatever the client sent
+    const [first, second] = pair.map((file) => readFileSync(file.filepath));
+    const mergedPdfBuffer = await renderCompatibilityPdf(
+      first,
+      second,
+      { ...reading, spread: RELATIONSHIP_SPREAD },
+      { ...options.data, filenames: pair.map((file) => file.originalFilename) }
+    );
+
+    console.log('[compare/render] Generated ' + mergedPdfBuffer.length + ' bytes');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'attachment; filename="tarot_compatibility.pdf"');
+    res.setHeader('Content-Length', mergedPdfBuffer.length);
+    res.send(mergedPdfBuffer);
+
+  } catch (error) {
+    console.error('[compare/render] Error:', error);
+
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
+    if (error.code === formidableErrors.maxFilesExceeded) {
+      return res.status(400).json({ message: 'Too many files. Upload exactly two PDFs' });
+    }
+
+    if (error.code === formidableErrors.biggerThanMaxFileSize) {
+      return res.status(400).json({ message: 'File too large. Maximum size is 10MB' });
+    }
+
+    res.status(500).json({ message: 'Failed to render PDF' });
+  }
+}
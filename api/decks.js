@@ -0,0 +1,20 @@
+/**
+ * GET /api/decks - Vercel Serverless Function
+ *
+ * Lists the deck packs a reading can be drawn from
+ */
+
+import { listDeckPacks } from '../server/src/services/deckLoader.js';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    res.status(200).json({ decks: listDeckPacks() });
+  } catch (error) {
+    console.error('[decks] Error:', error);
+    res.status(500).json({ message: 'Failed to load deck packs' });
+  }
+}
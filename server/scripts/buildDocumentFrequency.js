@@ -0,0 +1,58 @@
+/**
+ * Build the background document-frequency table used for TF-IDF
+ *
+ * Usage: npm run build:df (from /server)
+ *
+ * The source is SUBTLEX-US word counts (51M tokens of American English).
+ * Those are corpus-wide counts, not document frequencies, so each lemma's
+ * document frequency is estimated for a notional collection of DOCUMENTS
+ * texts of DOCUMENT_LENGTH tokens, assuming occurrences are Poisson:
+ *
+ *   df = DOCUMENTS * (1 - e^(-p * DOCUMENT_LENGTH))
+ *
+ * where p is the lemma's share of all tokens.
+ */
+
+import { createRequire } from 'module';
+import { writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { lemmatizeWord } from '../src/services/lemmatizer.js';
+
+const require = createRequire(import.meta.url);
+const subtlex = require('subtlex-word-frequencies');
+
+const OUTPUT_PATH = join(dirname(fileURLToPath(import.meta.url)), '../src/data/documentFrequency.json');
+
+// Size of the notional background collection
+const DOCUMENTS = 10000;
+const DOCUMENT_LENGTH = 2000;
+
+// Keep the most frequent lemmas; anything rarer is treated as unseen
+const MAX_ENTRIES = 20000;
+
+const total = subtlex.reduce((sum, entry) => sum + entry.count, 0);
+
+const counts = new Map();
+for (const { word, count } of subtlex) {
+  const lower = word.toLowerCase();
+  if (!/^[a-z]{2,}$/.test(lower)) {
+    continue;
+  }
+  const lemma = lemmatizeWord(lower);
+  counts.set(lemma, (counts.get(lemma) || 0) + count);
+}
+
+const df = {};
+const entries = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_ENTRIES);
+for (const [lemma, count] of entries) {
+  const expected = DOCUMENTS * (1 - Math.exp(-(count / total) * DOCUMENT_LENGTH));
+  df[lemma] = Math.max(1, Math.round(expected));
+}
+
+writeFileSync(
+  OUTPUT_PATH,
+  JSON.stringify({ source: 'SUBTLEX-US', documents: DOCUMENTS, df }) + '\n'
+);
+
+console.log(`Wrote ${entries.length} lemmas to ${OUTPUT_PATH}`);
@@ -0,0 +1,71 @@
+/**
+ * Error types surfaced to API clients
+ */
+
+/**
+ * Error codes sent back in `{ message, code }` error responses
+ */
+export const ERROR_CODES = {
+  UNREADABLE_PDF: 'unreadable_pdf',
+  PASSWORD_REQUIRED: 'password_required',
+  PASSWORD_INCORRECT: 'password_incorrect',
+  UNKNOWN_DECK: 'unknown_deck',
+  NOT_PDF: 'not_pdf',
+  INVALID_ZIP: 'invalid_zip',
+  UNSAFE_ZIP_ENTRY: 'unsafe_zip_entry',
+  TOO_MANY_FILES: 'too_many_files',
+  ZIP_NEEDS_BATCH: 'zip_needs_batch',
+  NO_RELATIONSHIP_CARDS: 'no_relationship_cards',
+};
+
+/**
+ * An expected failure while reading a document. Route handlers send these
+ * back as-is with their status and code instead of a generic 500.
+ */
+export class DocumentError extends Error {
+  /**
+   * @param {string} message - User-facing message
+   * @param {Object} options
+   * @param {number} options.status - HTTP status to respond with
+   * @param {string} options.code - Machine-readable error code
+   */
+  constructor(message, { status = 422, code = ERROR_CODES.UNREADABLE_PDF } = {}) {
+    super(message);
+    this.name = 'DocumentError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Build the error thrown when an encrypted PDF can't be opened
+ *
+ * @param {boolean} passwordGiven - Whether the client sent a password
+ * @returns {DocumentError}
+ */
+export function passwordError(passwordGiven) {
+  return passwordGiven
+    ? new DocumentError('The password for this PDF is incorrect.', {
+      status: 401,
+      code: ERROR_CODES.PASSWORD_INCORRECT,
+    })
+    : new DocumentError('This PDF is password-protected. Please provide its password.', {
+      status: 401,
+      code: ERROR_CODES.PASSWORD_REQUIRED,
+    });
+}
+
+/**
+ * The error for a zip sent to /api/analyze: it answers with one reading,
+ * and an archive holds several
+ *
+ * @returns {DocumentError}
+ */
+export function zipNeedsBatchError() {
+  return new DocumentError('Zip archives hold several PDFs. Send them to /api/analyze/batch instead.', {
+    status: 400,
+    code: ERROR_CODES.ZIP_NEEDS_BATCH,
+  });
+}
+
+export default { DocumentError, ERROR_CODES, passwordError, zipNeedsBatchError };
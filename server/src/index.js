@@ -8,7 +8,12 @@ import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
 import { analyzeRoute } from './routes/analyze.js';
+import { analyzeBatchRoute } from './routes/analyzeBatch.js';
 import { renderRoute } from './routes/render.js';
+import { decksRoute } from './routes/decks.js';
+import { compareRoute, compareRenderRoute } from './routes/compare.js';
+import { MAX_BATCH_FILES } from './services/batchAnalyzer.js';
+import { isZipUpload } from './services/zipExtractor.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -29,6 +34,31 @@ const upload = multer({
   }
 });
 
+// /api/analyze lets zip archives through to point them at the batch endpoint
+const analyzeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/pdf' || isZipUpload({ mimetype: file.mimetype, filename: file.originalname })) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF or ZIP files are allowed'), false);
+    }
+  }
+});
+
+// Batches report files that aren't PDFs or zips in their results instead
+// of rejecting the whole request
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit per file
+    files: MAX_BATCH_FILES,
+  },
+});
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -39,8 +69,15 @@ app.get('/api/health', (req, res) => {
 });
 
 // API Routes
-app.post('/api/analyze', upload.single('file'), analyzeRoute);
+app.post('/api/analyze', analyzeUpload.single('file'), analyzeRoute);
+app.post('/api/analyze/batch', batchUpload.array('files'), analyzeBatchRoute);
 app.post('/api/render', upload.single('file'), renderRoute);
+app.get('/api/decks', decksRoute);
+
+// Compatibility readings take two PDFs, one per field
+const comparePair = upload.fields([{ name: 'first', maxCount: 1 }, { name: 'second', maxCount: 1 }]);
+app.post('/api/compare', comparePair, compareRoute);
+app.post('/api/compare/render', comparePair, compareRenderRoute);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -50,10 +87,13 @@ app.use((err, req, res, next) => {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ message: 'File too large. Maximum size is 10MB' });
     }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ message: `Too many files. Maximum is ${MAX_BATCH_FILES} per batch` });
+    }
     return res.status(400).json({ message: err.message });
   }
 
-  if (err.message === 'Only PDF files are allowed') {
+  if (err.message === 'Only PDF files are allowed' || err.message === 'Only PDF or ZIP files are allowed') {
     return res.status(400).json({ message: err.message });
   }
 
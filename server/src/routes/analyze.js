@@ -1,27 +1,15 @@
 /**
  * POST /api/analyze Route
  *
- * Accepts a PDF file, extracts text, and generates a tarot reading
+ * Accepts a PDF file, extracts text, and generates a tarot reading. Zip
+ * archives are turned away towards /api/analyze/batch, so this endpoint
+ * always answers with a single reading.
  */
 
-import { z } from 'zod';
-import { extractText } from '../services/textExtractor.js';
-import { extractKeywords, categorizeDocument } from '../services/keywordExtractor.js';
-import { generateReading } from '../services/readingGenerator.js';
-
-// Response schema for validation
-const AnalysisResponseSchema = z.object({
-  title: z.string(),
-  keywords: z.array(z.string()),
-  category: z.string(),
-  aura: z.string(),
-  certification: z.string(),
-  cards: z.array(z.object({
-    position: z.enum(['past', 'present', 'future']),
-    name: z.string(),
-    meaning: z.string(),
-  })).length(3),
-});
+import { analyzeDocument } from '../services/documentAnalyzer.js';
+import { isZipUpload } from '../services/zipExtractor.js';
+import { AnalyzeOptionsSchema, AnalyzeQuerySchema, describeOptionsError } from '../schemas/analysis.js';
+import { DocumentError, zipNeedsBatchError } from '../errors.js';
 
 /**
  * Analyze route handler
@@ -33,40 +21,38 @@ export async function analyzeRoute(req, res) {
       return res.status(400).json({ message: 'No PDF file provided' });
     }
 
-    const pdfBuffer = req.file.buffer;
-
-    // Extract text from PDF
-    const { text, title, numPages } = await extractText(pdfBuffer);
-
-    if (!text || text.length < 10) {
-      return res.status(422).json({
-        message: 'Could not extract text from PDF. The document may be scanned or encrypted.'
-      });
+    // Validate options sent alongside the file
+    const options = AnalyzeOptionsSchema.safeParse(req.body || {});
+    if (!options.success) {
+      return res.status(400).json({ message: describeOptionsError(options.error) });
     }
 
-    // Extract keywords
-    const keywords = extractKeywords(text);
+    const query = AnalyzeQuerySchema.safeParse(req.query || {});
+    if (!query.success) {
+      return res.status(400).json({ message: describeOptionsError(query.error) });
+    }
 
-    // Categorize document
-    const category = categorizeDocument(keywords);
+    if (isZipUpload({ mimetype: req.file.mimetype, filename: req.file.originalname })) {
+      throw zipNeedsBatchError();
+    }
 
-    // Generate tarot reading
-    const reading = generateReading({
-      title,
-      keywords,
-      category,
-      text,
+    // Extract, analyze and generate the reading
+    const analysis = await analyzeDocument(req.file.buffer, {
+      ...options.data,
+      ...query.data,
+      filename: req.file.originalname,
     });
 
-    // Validate response structure
-    const validated = AnalysisResponseSchema.parse(reading);
-
     // Return analysis
-    res.json(validated);
+    res.json(analysis);
 
   } catch (error) {
     console.error('[analyze] Error:', error);
 
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
     if (error.name === 'ZodError') {
       return res.status(500).json({ message: 'Internal validation error' });
     }
@@ -0,0 +1,56 @@
+/**
+ * POST /api/analyze/batch Route
+ *
+ * Accepts several PDF files (or zip archives of them) and generates a tarot
+ * reading for each
+ */
+
+import { analyzeBatch } from '../services/batchAnalyzer.js';
+import { BatchOptionsSchema, AnalyzeQuerySchema, describeOptionsError } from '../schemas/analysis.js';
+import { DocumentError } from '../errors.js';
+
+/**
+ * Batch analyze route handler
+ */
+export async function analyzeBatchRoute(req, res) {
+  try {
+    // Validate files were uploaded
+    if (!req.files?.length) {
+      return res.status(400).json({ message: 'No PDF files provided' });
+    }
+
+    // Options apply to every file in the batch
+    const options = BatchOptionsSchema.safeParse(req.body || {});
+    if (!options.success) {
+      return res.status(400).json({ message: describeOptionsError(options.error) });
+    }
+
+    const query = AnalyzeQuerySchema.safeParse(req.query || {});
+    if (!query.success) {
+      return res.status(400).json({ message: describeOptionsError(query.error) });
+    }
+
+    // Per-file failures are reported in the results, not as an error status
+    const batch = await analyzeBatch(
+      req.files.map((file) => ({
+        filename: file.originalname,
+        mimetype: file.mimetype,
+        buffer: file.buffer,
+      })),
+      { ...options.data, ...query.data }
+    );
+
+    res.json(batch);
+
+  } catch (error) {
+    console.error('[analyzeBatch] Error:', error);
+
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
+    res.status(500).json({ message: 'Failed to analyze PDFs' });
+  }
+}
+
+export default analyzeBatchRoute;
@@ -0,0 +1,122 @@
+/**
+ * POST /api/compare and /api/compare/render Routes
+ *
+ * Compare two PDFs for a compatibility reading, and render that reading's
+ * cover in front of both documents
+ */
+
+import { compareDocuments } from '../services/documentComparison.js';
+import { renderCompatibilityPdf } from '../services/pdfRenderer.js';
+import { RELATIONSHIP_SPREAD } from '../services/spreads.js';
+import { CompareOptionsSchema, CompareRenderOptionsSchema } from '../schemas/compare.js';
+import { describeOptionsError } from '../schemas/analysis.js';
+import { DocumentError } from '../errors.js';
+
+/**
+ * The `first` and `second` uploads, or null when either is missing
+ */
+function uploadedPair(req) {
+  const first = req.files?.first?.[0];
+  const second = req.files?.second?.[0];
+  if (!first || !second) {
+    return null;
+  }
+  return [first, second].map((file) => ({ filename: file.originalname, buffer: file.buffer }));
+}
+
+/**
+ * Compare route handler
+ */
+export async function compareRoute(req, res) {
+  try {
+    const files = uploadedPair(req);
+    if (!files) {
+      return res.status(400).json({ message: 'Two PDF files are required: "first" and "second"' });
+    }
+
+    // Validate options sent alongside the files
+    const options = CompareOptionsSchema.safeParse(req.body || {});
+    if (!options.success) {
+      return res.status(400).json({ message: describeOptionsError(options.error) });
+    }
+
+    res.json(await compareDocuments(files[0], files[1], options.data));
+
+  } catch (error) {
+    console.error('[compare] Error:', error);
+
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
+    if (error.name === 'ZodError') {
+      return res.status(500).json({ message: 'Internal validation error' });
+    }
+
+    res.status(500).json({ message: 'Failed to compare PDFs' });
+  }
+}
+
+/**
+ * Compatibility render route handler
+ */
+export async function compareRenderRoute(req, res) {
+  try {
+    const files = uploadedPair(req);
+    if (!files) {
+      return res.status(400).json({ message: 'Two PDF files are required: "first" and "second"' });
+    }
+
+    // Parse the compatibility reading JSON from form data
+    if (!req.body.analysis) {
+      return res.status(400).json({ message: 'No analysis data provided' });
+    }
+
+    let reading;
+    try {
+      reading = JSON.parse(req.body.analysis);
+    } catch {
+      return res.status(400).json({ message: 'Invalid analysis JSON' });
+    }
+
+    if (!Array.isArray(reading.cards) || reading.cards.length !== RELATIONSHIP_SPREAD.positions.length) {
+      return res.status(400).json({ message: 'Invalid analysis: missing cards' });
+    }
+
+    if (!reading.compatibility || !reading.verdict || reading.documents?.length !== 2) {
+      return res.status(400).json({ message: 'Invalid analysis: not a compatibility reading' });
+    }
+
+    // Validate options (passwords for encrypted PDFs)
+    const options = CompareRenderOptionsSchema.safeParse(req.body);
+    if (!options.success) {
+      return res.status(400).json({ message: describeOptionsError(options.error) });
+    }
+
+    // Always the relationship spread, whatever the client sent
+    const mergedPdfBuffer = await renderCompatibilityPdf(
+      files[0].buffer,
+      files[1].buffer,
+      { ...reading, spread: RELATIONSHIP_SPREAD },
+      { ...options.data, filenames: files.map((file) => file.filename) }
+    );
+
+    console.log('[compare/render] Generated ' + mergedPdfBuffer.length + ' bytes');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'attachment; filename="tarot_compatibility.pdf"');
+    res.setHeader('Content-Length', mergedPdfBuffer.length);
+    res.send(mergedPdfBuffer);
+
+  } catch (error) {
+    console.error('[compare/render] Error:', error);
+
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
+    res.status(500).json({ message: 'Failed to render PDF' });
+  }
+}
+
+export default { compareRoute, compareRenderRoute };
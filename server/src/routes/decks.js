@@ -0,0 +1,21 @@
+/**
+ * GET /api/decks Route
+ *
+ * Lists the deck packs a reading can be drawn from
+ */
+
+import { listDeckPacks } from '../services/deckLoader.js';
+
+/**
+ * Decks route handler
+ */
+export function decksRoute(req, res) {
+  try {
+    res.json({ decks: listDeckPacks() });
+  } catch (error) {
+    console.error('[decks] Error:', error);
+    res.status(500).json({ message: 'Failed to load deck packs' });
+  }
+}
+
+export default decksRoute;
@@ -5,6 +5,9 @@
  */
 
 import { renderMergedPdf } from '../services/pdfRenderer.js';
+import { RenderOptionsSchema, describeOptionsError } from '../schemas/analysis.js';
+import { DocumentError } from '../errors.js';
+import { getSpread } from '../services/spreads.js';
 
 /**
  * Handle PDF render request
@@ -32,19 +35,33 @@ export async function renderRoute(req, res) {
       return res.status(400).json({ message: 'Invalid analysis JSON' });
     }
 
-    // Validate analysis structure
-    if (!analysis.cards || analysis.cards.length !== 3) {
+    // Validate analysis structure against its spread (readings from before
+    // spreads existed have none and are three-card readings)
+    const spread = getSpread(analysis.spread?.id);
+    if (!spread) {
+      return res.status(400).json({ message: 'Invalid analysis: unknown spread' });
+    }
+
+    if (!Array.isArray(analysis.cards) || analysis.cards.length !== spread.positions.length) {
       return res.status(400).json({ message: 'Invalid analysis: missing cards' });
     }
 
-    if (!analysis.aura) {
+    // Older readings have the aura as a plain name
+    const auraName = typeof analysis.aura === 'string' ? analysis.aura : analysis.aura?.name;
+    if (!auraName) {
       return res.status(400).json({ message: 'Invalid analysis: missing aura' });
     }
 
+    // Validate options (password for encrypted PDFs)
+    const options = RenderOptionsSchema.safeParse(req.body);
+    if (!options.success) {
+      return res.status(400).json({ message: describeOptionsError(options.error) });
+    }
+
     console.log('[render] Processing: ' + req.file.originalname);
 
     // Render merged PDF
-    const mergedPdfBuffer = await renderMergedPdf(req.file.buffer, analysis);
+    const mergedPdfBuffer = await renderMergedPdf(req.file.buffer, analysis, options.data);
 
     console.log('[render] Generated ' + mergedPdfBuffer.length + ' bytes');
 
@@ -56,6 +73,11 @@ export async function renderRoute(req, res) {
 
   } catch (error) {
     console.error('[render] Error:', error);
+
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
     res.status(500).json({ message: 'Failed to render PDF' });
   }
 }
@@ -0,0 +1,268 @@
+/**
+ * Analysis Schemas
+ *
+ * Request and response validation shared by the Express routes and the
+ * Vercel functions
+ */
+
+import { z } from 'zod';
+import { EXTRACTION_DEPTHS } from '../services/textExtractor.js';
+import { TITLE_SOURCES } from '../services/titleDetector.js';
+import { DEFAULT_DECK } from '../services/deckLoader.js';
+import { DeckIdSchema, AuraSchema } from './decks.js';
+import { SPREAD_IDS, DEFAULT_SPREAD, CARD_POOLS } from '../services/spreads.js';
+import { CARD_ORIENTATIONS, SEED_MODES, AURA_PICKS, MAX_SEED, MAX_DRAW_NUMBER } from '../services/readingGenerator.js';
+import { TONES } from '../services/toneAnalyzer.js';
+import { READING_PROVIDERS } from '../services/readingProviders.js';
+
+// Password for encrypted PDFs; an empty field counts as no password
+const PasswordSchema = z.string().max(1024).optional().transform((value) => value || undefined);
+
+// Whole number sent as a text field
+const CountSchema = (max) => z.string()
+  .regex(/^\d+$/, 'must be a whole number')
+  .transform(Number)
+  .refine((value) => value <= max, `must be at most ${max}`);
+
+// Options accepted alongside the uploaded file (multipart text fields)
+export const AnalyzeOptionsSchema = z.object({
+  depth: z.enum([EXTRACTION_DEPTHS.FAST, EXTRACTION_DEPTHS.FULL]).default(EXTRACTION_DEPTHS.FAST),
+  password: PasswordSchema,
+  deck: DeckIdSchema.default(DEFAULT_DECK),
+  spread: z.enum(SPREAD_IDS).default(DEFAULT_SPREAD),
+  // The `seed` and `drawNumber` of an earlier response reproduce that reading
+  seed: CountSchema(MAX_SEED).optional(),
+  // Redraw count: 1, 2, ... deal other readings from the same seed
+  drawNumber: CountSchema(MAX_DRAW_NUMBER).optional(),
+  // `legacy` reproduces readings made before document fingerprints
+  seedMode: z.enum(Object.values(SEED_MODES)).default(SEED_MODES.FINGERPRINT),
+}).refine(
+  // The original generator only ever dealt one classic three-card reading
+  (options) => options.seedMode !== SEED_MODES.LEGACY ||
+    (options.deck === DEFAULT_DECK && options.spread === 'three_card' && !options.drawNumber),
+  { message: `legacy only reproduces ${DEFAULT_DECK} three-card readings without a drawNumber`, path: ['seedMode'] }
+).refine(
+  // The original seed hashed pdf-parse text and the old title rules, which
+  // today's extraction can't reproduce, so it has to be sent back
+  (options) => options.seedMode !== SEED_MODES.LEGACY || options.seed !== undefined,
+  { message: 'is required with seedMode=legacy, since the original seed can no longer be worked out from the document', path: ['seed'] }
+);
+
+// Options for /api/analyze/batch. Legacy mode reproduces one saved reading
+// from that reading's own seed, so it is turned away before anything else.
+export const BatchOptionsSchema = z.object({
+  seedMode: z.string().optional().refine(
+    (seedMode) => seedMode !== SEED_MODES.LEGACY,
+    'legacy reproduces one saved reading; send that document to /api/analyze'
+  ),
+}).passthrough().pipe(AnalyzeOptionsSchema);
+
+// Query parameters for /api/analyze; `explain=1` adds the "why this card" trace
+export const AnalyzeQuerySchema = z.object({
+  explain: z.enum(['0', '1', 'true', 'false']).optional()
+    .transform((value) => value === '1' || value === 'true'),
+});
+
+// Options accepted by /api/render alongside the file and analysis JSON
+export const RenderOptionsSchema = z.object({
+  password: PasswordSchema,
+});
+
+// Spread definition sent with a reading, so clients can lay it out
+const SpreadSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  columns: z.number().int().positive(),
+  rows: z.number().int().positive(),
+  positions: z.array(z.object({
+    id: z.string(),
+    label: z.string(),
+    draw: z.enum(CARD_POOLS),
+    column: z.number().int().positive(),
+    row: z.number().int().positive(),
+    rotate: z.number().optional(),
+  })).min(1),
+});
+
+// Why a card was dealt (only with explain=1)
+const CardExplanationSchema = z.object({
+  weight: z.number().nonnegative(),
+  chance: z.number().min(0).max(1).nullable(),
+  categories: z.array(z.object({ id: z.string(), weight: z.number().positive() })),
+  keywords: z.array(z.string()),
+  metadata: z.array(z.string()),
+  pagesExcluded: z.boolean(),
+  seedStep: z.number().int().nonnegative(),
+  roll: z.number().min(0).max(1).nullable(),
+  repeat: z.boolean(),
+  orientation: z.object({
+    roll: z.number().min(0).max(1),
+    reversedBelow: z.number().min(0).max(1),
+  }).nullable(),
+});
+
+// A pick made by seed alone
+const SeededPickSchema = z.object({
+  seedStep: z.number().int().nonnegative(),
+  index: z.number().int().nonnegative(),
+  poolSize: z.number().int().positive(),
+});
+
+// The aura pick: by tone when the best tone fit reaches the threshold,
+// otherwise by seed
+const AuraPickSchema = SeededPickSchema.extend({
+  pickedBy: z.enum(Object.values(AURA_PICKS)),
+  toneFit: z.number().nonnegative(),
+  toneThreshold: z.number().positive(),
+});
+
+const ToneSchema = z.object({
+  scores: z.object(Object.fromEntries(TONES.map((tone) => [tone, z.number().min(0).max(1)]))),
+  sentiment: z.number().min(-1).max(1),
+  dominant: z.enum(TONES).nullable(),
+});
+
+// Document statistics; per-page figures average over the pages read
+const StatisticsSchema = z.object({
+  wordCount: z.number().int().nonnegative(),
+  sentenceCount: z.number().int().nonnegative(),
+  readingMinutes: z.number().int().nonnegative(),
+  averageSentenceLength: z.number().nonnegative(),
+  fleschReadingEase: z.number().min(0).max(100).nullable(),
+  passiveVoiceRatio: z.number().min(0).max(1).nullable(),
+  headings: z.number().int().nonnegative(),
+  tables: z.number().int().nonnegative(),
+  images: z.number().int().nonnegative(),
+  perPage: z.object({
+    headings: z.number().nonnegative(),
+    tables: z.number().nonnegative(),
+    images: z.number().nonnegative(),
+  }),
+  blankPageRatio: z.number().min(0).max(1),
+  pagesMeasured: z.number().int().nonnegative(),
+});
+
+// ISO date, or "--MM-DD" when the document gives no year
+const EntityDateSchema = z.string().regex(/^(?:\d{4}|-)-\d{2}-\d{2}$/);
+
+const NamedEntitySchema = z.object({
+  name: z.string().min(1),
+  count: z.number().int().positive(),
+});
+
+const EntitiesSchema = z.object({
+  people: z.array(NamedEntitySchema),
+  organizations: z.array(NamedEntitySchema),
+  amounts: z.array(z.object({
+    text: z.string().min(1),
+    value: z.number().nonnegative(),
+    currency: z.string().min(3),
+    count: z.number().int().positive(),
+  })),
+  dates: z.array(z.object({
+    text: z.string().min(1),
+    date: EntityDateSchema,
+    count: z.number().int().positive(),
+  })),
+  deadlines: z.array(z.object({
+    text: z.string().min(1),
+    date: EntityDateSchema,
+  })),
+});
+
+// Response schema for validation
+export const AnalysisResponseSchema = z.object({
+  title: z.string(),
+  titleConfidence: z.number().min(0).max(1),
+  titleSource: z.enum(Object.values(TITLE_SOURCES)),
+  keywords: z.array(z.string()),
+  keywordScores: z.array(z.object({
+    term: z.string(),
+    score: z.number().min(0).max(1),
+    count: z.number().int().positive(),
+  })),
+  language: z.object({
+    code: z.string(),
+    name: z.string(),
+    confidence: z.number().min(0).max(1),
+  }),
+  statistics: StatisticsSchema,
+  tone: ToneSchema,
+  entities: EntitiesSchema,
+  category: z.string(),
+  categories: z.array(z.object({
+    id: z.string(),
+    label: z.string(),
+    confidence: z.number().min(0).max(1),
+  })).min(1),
+  deck: z.string(),
+  spread: SpreadSchema,
+  // SHA-256 of the file and the text read: depth-specific, since `fast` and
+  // `full` read different text
+  documentFingerprint: z.string().regex(/^[0-9a-f]{64}$/),
+  seedMode: z.enum(Object.values(SEED_MODES)),
+  // 32 bits; a document's own seed comes from its file bytes alone, so it is
+  // the same at every depth
+  seed: z.number().int().nonnegative(),
+  drawNumber: z.number().int().nonnegative(),
+  aura: AuraSchema,
+  certification: z.string(),
+  provider: z.enum(Object.values(READING_PROVIDERS)),
+  // False when the meanings came from a model, which may word them
+  // differently next time even with the same seed and drawNumber
+  reproducible: z.boolean(),
+  narrative: z.array(z.string().min(1)).min(1),
+  cards: z.array(z.object({
+    position: z.string(),
+    name: z.string(),
+    orientation: z.enum(Object.values(CARD_ORIENTATIONS)),
+    meaning: z.string(),
+    explanation: CardExplanationSchema.optional(),
+  })).min(1),
+  explanation: z.object({
+    aura: AuraPickSchema,
+    certification: SeededPickSchema,
+  }).optional(),
+  extraction: z.object({
+    depth: z.enum([EXTRACTION_DEPTHS.FAST, EXTRACTION_DEPTHS.FULL]),
+    pagesRead: z.number().int().nonnegative(),
+    totalPages: z.number().int().nonnegative(),
+    truncated: z.boolean(),
+    ocrPages: z.array(z.number().int().positive()),
+  }),
+  metadata: z.object({
+    author: z.string().nullable(),
+    creator: z.string().nullable(),
+    producer: z.string().nullable(),
+    createdAt: z.string().datetime().nullable(),
+    modifiedAt: z.string().datetime().nullable(),
+    pageCount: z.number().int().nonnegative(),
+    pdfVersion: z.string().nullable(),
+    pageSizes: z.array(z.object({
+      width: z.number().nonnegative(),
+      height: z.number().nonnegative(),
+      name: z.string().nullable(),
+      orientation: z.enum(['portrait', 'landscape']),
+      count: z.number().int().positive(),
+    })),
+    tagged: z.boolean(),
+    linearized: z.boolean(),
+  }),
+}).refine(
+  (analysis) => analysis.cards.length === analysis.spread.positions.length &&
+    analysis.cards.every((card, index) => card.position === analysis.spread.positions[index].id),
+  { message: 'Cards must match the spread positions', path: ['cards'] }
+);
+
+/**
+ * Turn an options validation failure into a user-facing message
+ *
+ * @param {ZodError} error - Error from AnalyzeOptionsSchema.safeParse
+ * @returns {string}
+ */
+export function describeOptionsError(error) {
+  const issue = error.issues[0];
+  return `Invalid option "${issue.path.join('.')}": ${issue.message}`;
+}
+
+export default { AnalyzeOptionsSchema, BatchOptionsSchema, AnalyzeQuerySchema, RenderOptionsSchema, AnalysisResponseSchema, describeOptionsError };
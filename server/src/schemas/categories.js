@@ -0,0 +1,30 @@
+/**
+ * Category Config Schema
+ *
+ * Shape of the classifier's category files (src/data/categories.json and the
+ * optional file named by CATEGORY_CONFIG_PATH)
+ */
+
+import { z } from 'zod';
+
+// Evidence weights keyed by term, creator substring or layout signal
+const WeightsSchema = z.record(z.string().min(1), z.number().positive());
+
+export const CategorySchema = z.object({
+  id: z.string().regex(/^[a-z][a-z0-9_]*$/, 'must be snake_case'),
+  label: z.string().min(1),
+  terms: WeightsSchema.default({}),
+  creators: WeightsSchema.default({}),
+  layout: z.object({
+    landscape: z.number().positive().optional(),
+    sparse: z.number().positive().optional(),
+  }).default({}),
+});
+
+export const CategoryConfigSchema = z.object({
+  // Evidence a category needs before it beats "general"
+  baseline: z.number().nonnegative().optional(),
+  categories: z.array(CategorySchema),
+});
+
+export default { CategorySchema, CategoryConfigSchema };
@@ -0,0 +1,98 @@
+/**
+ * Compatibility Schemas
+ *
+ * Request and response validation for /api/compare and /api/compare/render,
+ * shared by the Express routes and the Vercel functions
+ */
+
+import { z } from 'zod';
+import { EXTRACTION_DEPTHS } from '../services/textExtractor.js';
+import { DEFAULT_DECK } from '../services/deckLoader.js';
+import { DeckIdSchema } from './decks.js';
+import { RELATIONSHIP_POOLS } from '../services/spreads.js';
+import { CARD_ORIENTATIONS } from '../services/readingGenerator.js';
+import { COMPATIBILITY_SIGNALS } from '../services/compatibilityScorer.js';
+
+// Password for an encrypted PDF; an empty field counts as no password
+const PasswordSchema = z.string().max(1024).optional().transform((value) => value || undefined);
+
+// Passwords for the two uploads, one field each
+const PasswordFields = {
+  firstPassword: PasswordSchema,
+  secondPassword: PasswordSchema,
+};
+
+// Options accepted alongside the two uploaded files (multipart text fields)
+export const CompareOptionsSchema = z.object({
+  depth: z.enum([EXTRACTION_DEPTHS.FAST, EXTRACTION_DEPTHS.FULL]).default(EXTRACTION_DEPTHS.FAST),
+  deck: DeckIdSchema.default(DEFAULT_DECK),
+  ...PasswordFields,
+});
+
+// Options accepted by /api/compare/render alongside the files and reading JSON
+export const CompareRenderOptionsSchema = z.object({
+  ...PasswordFields,
+});
+
+const ShareSchema = z.number().min(0).max(1);
+
+// One of the two documents, as much of it as the compatibility view shows
+const ComparedDocumentSchema = z.object({
+  title: z.string(),
+  filename: z.string().nullable(),
+  category: z.object({
+    id: z.string(),
+    label: z.string(),
+    confidence: ShareSchema,
+  }),
+  keywords: z.array(z.string()),
+  wordCount: z.number().int().nonnegative(),
+  pageCount: z.number().int().nonnegative(),
+  documentFingerprint: z.string().regex(/^[0-9a-f]{64}$/),
+});
+
+// Response schema for validation
+export const CompareResponseSchema = z.object({
+  title: z.string(),
+  documents: z.tuple([ComparedDocumentSchema, ComparedDocumentSchema]),
+  deck: z.string(),
+  spread: z.object({
+    id: z.string(),
+    name: z.string(),
+    columns: z.number().int().positive(),
+    rows: z.number().int().positive(),
+    positions: z.array(z.object({
+      id: z.string(),
+      label: z.string(),
+      draw: z.enum(RELATIONSHIP_POOLS),
+      column: z.number().int().positive(),
+      row: z.number().int().positive(),
+      rotate: z.number().optional(),
+    })).min(1),
+  }),
+  seed: z.number().int().nonnegative(),
+  compatibility: z.object({
+    score: z.number().int().min(0).max(100),
+    keywordOverlap: ShareSchema,
+    categoryMatch: ShareSchema,
+    styleSimilarity: ShareSchema,
+    sharedKeywords: z.array(z.string()),
+    signals: z.object(Object.fromEntries(COMPATIBILITY_SIGNALS.map((signal) => [signal, z.boolean()]))),
+  }),
+  verdict: z.object({
+    name: z.string().min(1),
+    description: z.string().min(1),
+  }),
+  cards: z.array(z.object({
+    position: z.string(),
+    name: z.string(),
+    orientation: z.enum(Object.values(CARD_ORIENTATIONS)),
+    meaning: z.string(),
+  })).min(1),
+}).refine(
+  (reading) => reading.cards.length === reading.spread.positions.length &&
+    reading.cards.every((card, index) => card.position === reading.spread.positions[index].id),
+  { message: 'Cards must match the spread positions', path: ['cards'] }
+);
+
+export default { CompareOptionsSchema, CompareRenderOptionsSchema, CompareResponseSchema };
@@ -0,0 +1,113 @@
+/**
+ * Deck Pack Schema
+ *
+ * Shape of the card deck files in src/data/decks (and DECK_PACKS_DIR).
+ * `schemaVersion` is bumped when the file format changes; `version` is the
+ * pack's own release number.
+ */
+
+import { z } from 'zod';
+
+// Format of the deck files this server understands
+export const DECK_SCHEMA_VERSION = 1;
+
+// Pack ids are used as the `deck` request parameter
+export const DeckIdSchema = z.string().regex(/^[a-z][a-z0-9_-]*$/, 'must be lowercase letters, digits, "-" or "_"');
+
+// Icons the app can draw next to an aura; packs pick one by id
+export const AURA_ICONS = [
+  'sparkle', 'target', 'hourglass', 'magnet', 'envelope', 'cycle',
+  'check', 'expand', 'brush', 'archive', 'tabs',
+];
+
+export const AuraSchema = z.object({
+  name: z.string().min(1),
+  description: z.string().min(1),
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/, 'must be a hex colour like #805AD5').default('#805AD5'),
+  icon: z.enum(AURA_ICONS).default('sparkle'),
+  // Weight per tone score (see toneAnalyzer.js); a document whose tone fits
+  // an aura strongly enough gets it instead of a seeded pick
+  tones: z.object({
+    urgency: z.number().positive().optional(),
+    hedging: z.number().positive().optional(),
+    passive: z.number().positive().optional(),
+    exclamation: z.number().positive().optional(),
+    shouting: z.number().positive().optional(),
+    positivity: z.number().positive().optional(),
+    negativity: z.number().positive().optional(),
+  }).optional(),
+});
+
+const AffinitiesSchema = z.object({
+  categories: z.record(z.string().min(1), z.number().positive()).default({}),
+  keywords: z.array(z.string().min(1)).default([]),
+  pages: z.object({
+    min: z.number().int().nonnegative().optional(),
+    max: z.number().int().positive().optional(),
+  }).optional(),
+  // Document signals; see documentSignals() in readingGenerator.js
+  metadata: z.object({
+    revised: z.number().positive().optional(),
+    untouched: z.number().positive().optional(),
+    dense: z.number().positive().optional(),
+    passive: z.number().positive().optional(),
+    tabular: z.number().positive().optional(),
+    illustrated: z.number().positive().optional(),
+    blankPages: z.number().positive().optional(),
+    longRead: z.number().positive().optional(),
+  }).default({}),
+}).default({});
+
+export const CardSchema = z.object({
+  name: z.string().min(1),
+  meaning: z.string().min(1),
+  // Meaning when the card is dealt upside down; cards without one are
+  // always dealt upright
+  reversed: z.string().min(1).optional(),
+  affinities: AffinitiesSchema,
+});
+
+// Compatibility signals; see compatibilitySignals() in compatibilityScorer.js
+const RelationshipAffinitiesSchema = z.object({
+  signals: z.object({
+    identical: z.number().positive().optional(),
+    sameCategory: z.number().positive().optional(),
+    sharedInterests: z.number().positive().optional(),
+    strangers: z.number().positive().optional(),
+    kindredStyle: z.number().positive().optional(),
+    styleClash: z.number().positive().optional(),
+    lengthGap: z.number().positive().optional(),
+    toneClash: z.number().positive().optional(),
+  }).default({}),
+}).default({});
+
+// A card for a compatibility reading of two documents
+export const RelationshipCardSchema = z.object({
+  name: z.string().min(1),
+  meaning: z.string().min(1),
+  reversed: z.string().min(1).optional(),
+  affinities: RelationshipAffinitiesSchema,
+});
+
+export const DeckPackSchema = z.object({
+  schemaVersion: z.literal(DECK_SCHEMA_VERSION),
+  id: DeckIdSchema,
+  name: z.string().min(1),
+  version: z.string().regex(/^\d+\.\d+\.\d+$/, 'must be a semantic version like 1.0.0'),
+  description: z.string().default(''),
+  cards: z.object({
+    past: z.array(CardSchema).min(1),
+    present: z.array(CardSchema).min(1),
+    future: z.array(CardSchema).min(1),
+  }),
+  // Packs without relationship cards can't deal compatibility readings
+  relationship: z.object({
+    bond: z.array(RelationshipCardSchema).min(1),
+    tension: z.array(RelationshipCardSchema).min(1),
+    outcome: z.array(RelationshipCardSchema).min(1),
+  }).optional(),
+  auras: z.array(AuraSchema).min(1),
+  certifications: z.array(z.string().min(1)).min(1),
+});
+
+export default { DECK_SCHEMA_VERSION, DeckIdSchema, AURA_ICONS, AuraSchema, CardSchema, RelationshipCardSchema, DeckPackSchema };
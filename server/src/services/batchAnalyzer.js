@@ -0,0 +1,182 @@
+/**
+ * Batch Analysis
+ *
+ * Runs analyzeDocument over many uploaded files, a few at a time, and
+ * reports each file's reading or error. One bad file doesn't fail the batch.
+ * Zip archives are replaced by the PDFs inside them. Shared by the Express
+ * routes and the Vercel functions.
+ */
+
+import { analyzeDocument } from './documentAnalyzer.js';
+import { digestFile } from './documentFingerprint.js';
+import { hashCode } from './seededRandom.js';
+import { isZipUpload, extractPdfsFromZip, MAX_EXTRACTED_BYTES } from './zipExtractor.js';
+import { DocumentError, ERROR_CODES } from '../errors.js';
+
+/**
+ * Most files accepted in one batch request, counting the PDFs in archives
+ */
+export const MAX_BATCH_FILES = 20;
+
+// Documents analysed at the same time. Extraction and OCR are CPU-bound, so
+// more workers mostly add memory pressure.
+const BATCH_CONCURRENCY = 2;
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping input order
+ *
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * The `{ message, code }` body analyzeRoute would have sent for an error
+ */
+function describeFailure(error) {
+  if (error instanceof DocumentError) {
+    return { message: error.message, code: error.code };
+  }
+
+  if (error.name === 'ZodError') {
+    return { message: 'Internal validation error' };
+  }
+
+  if (error.message?.includes('extract text')) {
+    return { message: error.message };
+  }
+
+  return { message: 'Failed to analyze PDF' };
+}
+
+/**
+ * Replace zip uploads with the PDFs inside them
+ *
+ * All archives in a batch share one extraction budget, so several zip
+ * bombs can't add up to more than one.
+ *
+ * @param {Array<Object>} files - Uploaded files
+ * @returns {Array<Object>} - Files to analyze, or report, in upload order
+ * @throws {DocumentError} - When the archives hold more than MAX_BATCH_FILES PDFs
+ */
+function expandArchives(files) {
+  let budget = MAX_EXTRACTED_BYTES;
+
+  const documents = files.flatMap((file) => {
+    if (!isZipUpload(file)) {
+      return [file];
+    }
+
+    try {
+      const { files: entries, extractedBytes } = extractPdfsFromZip(file.buffer, {
+        archiveName: file.filename,
+        maxExtractedBytes: budget,
+      });
+      budget -= extractedBytes;
+
+      if (entries.length === 0) {
+        return [{
+          filename: file.filename,
+          error: { message: 'No PDF files found in this archive.', code: ERROR_CODES.INVALID_ZIP },
+        }];
+      }
+      return entries;
+    } catch (error) {
+      if (error instanceof DocumentError) {
+        return [{ filename: file.filename, error: { message: error.message, code: error.code } }];
+      }
+      throw error;
+    }
+  });
+
+  if (documents.length > MAX_BATCH_FILES) {
+    throw new DocumentError(
+      `Too many files. Maximum is ${MAX_BATCH_FILES} PDFs per batch, including those in archives`,
+      { status: 400, code: ERROR_CODES.TOO_MANY_FILES }
+    );
+  }
+
+  return documents;
+}
+
+/**
+ * The seed a file in the batch is dealt from
+ *
+ * A `seed` sent with the batch is mixed with each file's digest, so
+ * different documents still get different readings; sending a file's
+ * `analysis.seed` to /api/analyze reproduces its reading.
+ *
+ * @param {number|undefined} seed - Seed sent with the batch
+ * @param {Buffer} buffer - The file's bytes
+ * @returns {number|undefined} - undefined to use the document's own seed
+ */
+function fileSeed(seed, buffer) {
+  return seed === undefined ? undefined : hashCode(`${seed}:${digestFile(buffer)}`);
+}
+
+/**
+ * Analyze a batch of uploaded files
+ *
+ * Options apply to every file, so a password only unlocks the files it
+ * belongs to; the others report `password_incorrect`. A `seed` is turned
+ * into one per file (see fileSeed). PDFs from an archive are named
+ * "archive.zip/path/in/archive.pdf".
+ *
+ * @param {Array<{filename: string, mimetype: string, buffer: Buffer}>} files - Uploaded files
+ * @param {Object} options - Parsed AnalyzeOptionsSchema and AnalyzeQuerySchema values
+ * @returns {Promise<{results: Array<Object>, succeeded: number, failed: number}>} - One result
+ *   per file, in upload order: `{ filename, ok: true, analysis }` or
+ *   `{ filename, ok: false, error: { message, code } }`
+ * @throws {DocumentError} - When the batch holds too many files
+ */
+export async function analyzeBatch(files, options = {}) {
+  const documents = expandArchives(files);
+
+  const results = await mapWithConcurrency(documents, BATCH_CONCURRENCY, async ({ filename, mimetype, buffer, error }) => {
+    // Archive entries that were unsafe to extract
+    if (error) {
+      return { filename, ok: false, error };
+    }
+
+    if (mimetype !== 'application/pdf') {
+      return {
+        filename,
+        ok: false,
+        error: { message: 'Only PDF or ZIP files are allowed', code: ERROR_CODES.NOT_PDF },
+      };
+    }
+
+    try {
+      // The last-resort title comes from the file's own name, not its path
+      const analysis = await analyzeDocument(buffer, {
+        ...options,
+        seed: fileSeed(options.seed, buffer),
+        filename: filename.split('/').pop(),
+      });
+      return { filename, ok: true, analysis };
+    } catch (error) {
+      console.error(`[analyzeBatch] ${filename}:`, error);
+      return { filename, ok: false, error: describeFailure(error) };
+    }
+  });
+
+  const succeeded = results.filter((result) => result.ok).length;
+  return { results, succeeded, failed: results.length - succeeded };
+}
+
+export default { MAX_BATCH_FILES, analyzeBatch };
@@ -0,0 +1,173 @@
+/**
+ * Compatibility Reading Generator Service
+ *
+ * Deals the relationship spread for two documents from a deck pack's
+ * `relationship` cards and gives the pair a verdict
+ */
+
+import { hashCode, seededRandom } from './seededRandom.js';
+import { RELATIONSHIP_SPREAD } from './spreads.js';
+import { CARD_ORIENTATIONS } from './readingGenerator.js';
+import { DocumentError, ERROR_CODES } from '../errors.js';
+
+// A relationship card's `affinities.signals` gives a weight per
+// compatibility signal (see compatibilitySignals in compatibilityScorer.js);
+// each signal that holds for the pair adds its weight to the card's.
+//
+// Meanings are templates like single-document ones: `{slot}` or
+// `{slot|fallback}`, filled from compatibilitySlots.
+
+// Every card starts at this weight so any card can still be drawn
+const BASE_WEIGHT = 1;
+
+// Keeps the orientation draws apart from the card draws on the same seed
+const ORIENTATION_OFFSET = 100;
+
+// Chance of a card being dealt reversed at a score of 0; it falls to none
+// at 100, so a perfect match always reads upright
+const MAX_REVERSED_CHANCE = 2 / 3;
+
+/**
+ * Verdicts by the lowest score that earns them, best first
+ */
+export const VERDICTS = [
+  { from: 80, name: 'Soulmates', description: 'Made for each other, or at least for the same folder' },
+  { from: 60, name: 'Kindred Spirits', description: 'More in common than either would admit' },
+  { from: 40, name: 'Worth a Second Meeting', description: 'Some sparks, some awkward silences' },
+  { from: 20, name: 'It’s Complicated', description: 'They can share a drive, but not a paragraph' },
+  { from: 0, name: 'Ships in the Night', description: 'Two documents, passing without a word' },
+];
+
+// Stand-in text for slots without an inline fallback
+const SLOT_FALLBACKS = {
+  first: 'the first document',
+  second: 'the second document',
+  sharedKeyword: 'the same things',
+  score: 'this level of',
+  firstCategory: '',
+  secondCategory: '',
+};
+
+// Titles that say nothing about the document
+const PLACEHOLDER_TITLES = new Set(['untitled document']);
+
+// `{slot}` or `{slot|fallback}`
+const SLOT_PATTERN = /\{(\w+)(?:\|([^}]*))?\}/g;
+
+/**
+ * The pair's seed: the same two files get the same reading, in either
+ * order and at any depth
+ */
+function pairSeed(first, second) {
+  return hashCode([first.fileDigest, second.fileDigest].sort().join(':'));
+}
+
+/**
+ * Pick a card with probability proportional to how many of the pair's
+ * signals it has an affinity for
+ */
+function selectRelationshipCard(cards, signals, seed, offset) {
+  const weights = cards.map((card) => Object.entries(card.affinities?.signals || {})
+    .reduce((weight, [signal, bonus]) => (signals[signal] ? weight + bonus : weight), BASE_WEIGHT));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let target = seededRandom(seed, offset) * total;
+  for (let i = 0; i < cards.length; i++) {
+    target -= weights[i];
+    if (target < 0) {
+      return cards[i];
+    }
+  }
+  // Rounding can leave a sliver at the end
+  return cards[cards.length - 1];
+}
+
+/**
+ * A category as it reads in a sentence, or null for "general"
+ */
+function categoryPhrase(profile) {
+  const [top] = profile.categories;
+  return top && top.id !== 'general' ? (top.label || top.id.replace(/_/g, ' ')).toLowerCase() : null;
+}
+
+/**
+ * A title as it reads in a sentence, or null when it says nothing
+ */
+function titlePhrase(profile) {
+  const { title } = profile;
+  return title && !PLACEHOLDER_TITLES.has(title.toLowerCase()) ? `“${title}”` : null;
+}
+
+/**
+ * Values for the relationship card template slots
+ */
+function compatibilitySlots(first, second, compatibility) {
+  return {
+    first: titlePhrase(first),
+    second: titlePhrase(second),
+    sharedKeyword: compatibility.sharedKeywords[0] ?? null,
+    score: `${compatibility.score}%`,
+    firstCategory: categoryPhrase(first),
+    secondCategory: categoryPhrase(second),
+  };
+}
+
+/**
+ * Fill a meaning template's slots
+ */
+function fillMeaning(template, slots) {
+  return template
+    .replace(SLOT_PATTERN, (match, slot, fallback) => slots[slot] ?? fallback ?? SLOT_FALLBACKS[slot] ?? '')
+    .replace(/ {2,}/g, ' ')
+    // Fallbacks like "the first document" can open a sentence
+    .replace(/(^|[.!?] )([a-z])/g, (match, before, letter) => before + letter.toUpperCase());
+}
+
+/**
+ * Generate the relationship spread for two documents
+ *
+ * @param {Object} params
+ * @param {Object} params.first - Profile of the first document from profileDocument()
+ * @param {Object} params.second - Profile of the second document
+ * @param {Object} params.compatibility - Result of scoreCompatibility()
+ * @param {Object} params.deck - Deck pack from getDeckPack()
+ * @returns {Object} - { title, deck, spread, seed, verdict, cards }
+ * @throws {DocumentError} - 400 `no_relationship_cards` when the deck has none
+ */
+export function generateCompatibilityReading({ first, second, compatibility, deck }) {
+  if (!deck.relationship) {
+    throw new DocumentError(`The "${deck.name}" deck has no cards for compatibility readings.`, {
+      status: 400,
+      code: ERROR_CODES.NO_RELATIONSHIP_CARDS,
+    });
+  }
+
+  const seed = pairSeed(first, second);
+  const signals = compatibility.signals;
+  const slots = compatibilitySlots(first, second, compatibility);
+  const reversedChance = MAX_REVERSED_CHANCE * (1 - compatibility.score / 100);
+
+  const cards = RELATIONSHIP_SPREAD.positions.map((position, index) => {
+    const card = selectRelationshipCard(deck.relationship[position.draw], signals, seed, index);
+    const reversed = Boolean(card.reversed) && seededRandom(seed, ORIENTATION_OFFSET + index) < reversedChance;
+    return {
+      position: position.id,
+      name: card.name,
+      orientation: reversed ? CARD_ORIENTATIONS.REVERSED : CARD_ORIENTATIONS.UPRIGHT,
+      meaning: fillMeaning(reversed ? card.reversed : card.meaning, slots),
+    };
+  });
+
+  const { name, description } = VERDICTS.find(({ from }) => compatibility.score >= from);
+
+  return {
+    title: `${first.title} & ${second.title}`,
+    deck: deck.id,
+    spread: RELATIONSHIP_SPREAD,
+    seed,
+    verdict: { name, description },
+    cards,
+  };
+}
+
+export default { VERDICTS, generateCompatibilityReading };
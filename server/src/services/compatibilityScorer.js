@@ -0,0 +1,174 @@
+/**
+ * Compatibility Scorer Service
+ *
+ * Measures how well two documents go together from their profiles (see
+ * profileDocument in documentAnalyzer.js): how much their keywords overlap,
+ * whether they belong to the same category, and how alike their writing
+ * style is. The three combine into a 0-100 compatibility score.
+ */
+
+import { extractKeywords } from './keywordExtractor.js';
+import { TONES } from './toneAnalyzer.js';
+
+// Keywords compared per document; more than a reading shows, so two
+// documents on the same subject are likely to share some
+const OVERLAP_KEYWORDS = 30;
+
+// Shared keywords reported back, best first
+const MAX_SHARED_KEYWORDS = 5;
+
+// How much each measure counts towards the score
+const SCORE_WEIGHTS = {
+  keywordOverlap: 0.4,
+  categoryMatch: 0.3,
+  styleSimilarity: 0.3,
+};
+
+// Style features compared, with the difference at which two documents
+// count as completely unalike on that feature
+const STYLE_FEATURES = [
+  { read: ({ statistics }) => statistics.averageSentenceLength, range: 20 },
+  { read: ({ statistics }) => statistics.fleschReadingEase, range: 100 },
+  { read: ({ statistics }) => statistics.passiveVoiceRatio, range: 0.5 },
+  { read: ({ statistics }) => statistics.perPage.headings, range: 2 },
+  { read: ({ statistics }) => statistics.perPage.tables, range: 1 },
+  { read: ({ statistics }) => statistics.perPage.images, range: 2 },
+  ...TONES.map((tone) => ({ read: (profile) => profile.tone.scores[tone], range: 1 })),
+];
+
+// Thresholds for the compatibility signals
+const SHARED_INTERESTS_FROM = 0.2;
+const STRANGERS_BELOW = 0.05;
+const KINDRED_STYLE_FROM = 0.8;
+const STYLE_CLASH_BELOW = 0.6;
+const LENGTH_GAP_FROM_RATIO = 3;
+const TONE_CLASH_FROM = 0.5;
+
+/**
+ * Compatibility signals a relationship card can have an affinity for
+ */
+export const COMPATIBILITY_SIGNALS = [
+  'identical', 'sameCategory', 'sharedInterests', 'strangers',
+  'kindredStyle', 'styleClash', 'lengthGap', 'toneClash',
+];
+
+/**
+ * Round a 0-1 measure to two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Weight per keyword word: phrases are split so "annual report" and
+ * "report" still meet, and a word keeps its best score
+ */
+function keywordWeights(profile) {
+  const weights = new Map();
+  const keywords = extractKeywords(profile.text, { maxKeywords: OVERLAP_KEYWORDS, language: profile.language.code });
+  for (const { term, score } of keywords) {
+    for (const word of term.split(' ')) {
+      weights.set(word, Math.max(weights.get(word) || 0, score));
+    }
+  }
+  return weights;
+}
+
+/**
+ * Weighted Jaccard overlap of two documents' keywords, and the shared
+ * words ranked by how much both documents care about them
+ */
+function keywordOverlap(first, second) {
+  const a = keywordWeights(first);
+  const b = keywordWeights(second);
+
+  let shared = 0;
+  let combined = 0;
+  for (const word of new Set([...a.keys(), ...b.keys()])) {
+    shared += Math.min(a.get(word) || 0, b.get(word) || 0);
+    combined += Math.max(a.get(word) || 0, b.get(word) || 0);
+  }
+
+  const sharedKeywords = [...a.keys()]
+    .filter((word) => b.has(word))
+    .sort((x, y) => Math.min(b.get(y), a.get(y)) - Math.min(b.get(x), a.get(x)))
+    .slice(0, MAX_SHARED_KEYWORDS);
+
+  return { overlap: combined > 0 ? shared / combined : 0, sharedKeywords };
+}
+
+/**
+ * Cosine similarity of the two documents' category confidences
+ */
+function categoryMatch(first, second) {
+  const a = Object.fromEntries(first.categories.map(({ id, confidence }) => [id, confidence]));
+  const b = Object.fromEntries(second.categories.map(({ id, confidence }) => [id, confidence]));
+
+  const dot = Object.keys(a).reduce((sum, id) => sum + a[id] * (b[id] || 0), 0);
+  const norm = (vector) => Math.sqrt(Object.values(vector).reduce((sum, value) => sum + value * value, 0));
+  const lengths = norm(a) * norm(b);
+  return lengths > 0 ? dot / lengths : 0;
+}
+
+/**
+ * Average likeness over the style features both documents have
+ */
+function styleSimilarity(first, second) {
+  const similarities = STYLE_FEATURES
+    .map(({ read, range }) => [read(first), read(second), range])
+    .filter(([a, b]) => a != null && b != null)
+    .map(([a, b, range]) => 1 - Math.min(1, Math.abs(a - b) / range));
+
+  return similarities.length
+    ? similarities.reduce((sum, value) => sum + value, 0) / similarities.length
+    : 0;
+}
+
+/**
+ * Boolean signals about the pair, for the relationship cards' affinities
+ */
+function compatibilitySignals(first, second, measures) {
+  const words = [first.statistics.wordCount, second.statistics.wordCount];
+  const sentiments = [first.tone.sentiment, second.tone.sentiment];
+
+  return {
+    identical: first.documentFingerprint === second.documentFingerprint,
+    sameCategory: first.category === second.category,
+    sharedInterests: measures.keywordOverlap >= SHARED_INTERESTS_FROM,
+    strangers: measures.keywordOverlap < STRANGERS_BELOW,
+    kindredStyle: measures.styleSimilarity >= KINDRED_STYLE_FROM,
+    styleClash: measures.styleSimilarity < STYLE_CLASH_BELOW,
+    lengthGap: Math.min(...words) > 0 && Math.max(...words) / Math.min(...words) >= LENGTH_GAP_FROM_RATIO,
+    toneClash: sentiments[0] * sentiments[1] < 0 && Math.abs(sentiments[0] - sentiments[1]) >= TONE_CLASH_FROM,
+  };
+}
+
+/**
+ * Score how compatible two documents are
+ *
+ * @param {Object} first - Profile of the first document from profileDocument()
+ * @param {Object} second - Profile of the second document
+ * @returns {Object} - { score (0-100), keywordOverlap, categoryMatch,
+ *   styleSimilarity (each 0-1), sharedKeywords, signals }; `signals` maps
+ *   each COMPATIBILITY_SIGNALS entry to whether it holds
+ */
+export function scoreCompatibility(first, second) {
+  const { overlap, sharedKeywords } = keywordOverlap(first, second);
+  const measures = {
+    keywordOverlap: round(overlap),
+    categoryMatch: round(categoryMatch(first, second)),
+    styleSimilarity: round(styleSimilarity(first, second)),
+  };
+
+  const score = Math.round(100 * Object.entries(SCORE_WEIGHTS)
+    .reduce((sum, [measure, weight]) => sum + weight * measures[measure], 0));
+
+  return {
+    score,
+    ...measures,
+    sharedKeywords,
+    signals: compatibilitySignals(first, second, measures),
+  };
+}
+
+export default { COMPATIBILITY_SIGNALS, scoreCompatibility };
@@ -0,0 +1,114 @@
+/**
+ * Deck Pack Loader
+ *
+ * Loads the card deck packs in src/data/decks, plus any in the directory
+ * named by DECK_PACKS_DIR, so new decks can ship as JSON files alone.
+ * Shared by the Express server and the Vercel functions.
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { DeckPackSchema } from '../schemas/decks.js';
+import { DocumentError, ERROR_CODES } from '../errors.js';
+
+const BUILT_IN_DIR = fileURLToPath(new URL('../data/decks/', import.meta.url));
+
+/**
+ * Deck used when a request doesn't ask for one
+ */
+export const DEFAULT_DECK = 'classic';
+
+// Validated packs by id, loaded on first use
+let packs = null;
+
+/**
+ * Read and validate every pack file in a directory
+ */
+function readPackDir(dir) {
+  const files = readdirSync(dir).filter((file) => file.endsWith('.json')).sort();
+
+  return files.map((file) => {
+    const path = join(dir, file);
+    const result = DeckPackSchema.safeParse(JSON.parse(readFileSync(path, 'utf8')));
+    if (!result.success) {
+      const issue = result.error.issues[0];
+      throw new Error(`Invalid deck pack in ${path}: ${issue.path.join('.')} ${issue.message}`);
+    }
+    return result.data;
+  });
+}
+
+/**
+ * Load the built-in packs plus any from DECK_PACKS_DIR
+ *
+ * Packs in DECK_PACKS_DIR replace built-in ones with the same id.
+ *
+ * @returns {Map<string, Object>} - Packs by id
+ */
+function loadDeckPacks() {
+  if (packs) {
+    return packs;
+  }
+
+  const loaded = new Map();
+  for (const pack of readPackDir(BUILT_IN_DIR)) {
+    if (loaded.has(pack.id)) {
+      throw new Error(`Duplicate deck pack id "${pack.id}" in ${BUILT_IN_DIR}`);
+    }
+    loaded.set(pack.id, pack);
+  }
+
+  const extraDir = process.env.DECK_PACKS_DIR;
+  if (extraDir) {
+    for (const pack of readPackDir(extraDir)) {
+      loaded.set(pack.id, pack);
+    }
+  }
+
+  if (!loaded.has(DEFAULT_DECK)) {
+    throw new Error(`The default deck pack "${DEFAULT_DECK}" is missing`);
+  }
+
+  packs = loaded;
+  return packs;
+}
+
+/**
+ * Look up a deck pack by id
+ *
+ * @param {string} id - Pack id from the `deck` request parameter
+ * @returns {Object} - Validated deck pack
+ * @throws {DocumentError} - 400 `unknown_deck` when no pack has that id
+ */
+export function getDeckPack(id = DEFAULT_DECK) {
+  const pack = loadDeckPacks().get(id);
+  if (!pack) {
+    const available = [...loadDeckPacks().keys()].join(', ');
+    throw new DocumentError(`Unknown deck "${id}". Available decks: ${available}.`, {
+      status: 400,
+      code: ERROR_CODES.UNKNOWN_DECK,
+    });
+  }
+  return pack;
+}
+
+/**
+ * Summaries of the available deck packs, for GET /api/decks
+ *
+ * @returns {Array<{id: string, name: string, version: string, description: string, cardCount: number, compatibility: boolean, default: boolean}>}
+ */
+export function listDeckPacks() {
+  return [...loadDeckPacks().values()].map((pack) => ({
+    id: pack.id,
+    name: pack.name,
+    version: pack.version,
+    description: pack.description,
+    cardCount: Object.values(pack.cards).reduce((sum, cards) => sum + cards.length, 0),
+    // Whether the pack can deal compatibility readings
+    compatibility: Boolean(pack.relationship),
+    default: pack.id === DEFAULT_DECK,
+  }));
+}
+
+export default { getDeckPack, listDeckPacks, DEFAULT_DECK };
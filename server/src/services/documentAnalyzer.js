@@ -0,0 +1,185 @@
+/**
+ * Document Analysis Pipeline
+ *
+ * Runs extraction, keyword analysis and reading generation for one PDF.
+ * Shared by the Express route and the Vercel function; profileDocument is
+ * also the first step of a compatibility reading.
+ */
+
+import { extractText } from './textExtractor.js';
+import { extractKeywords } from './keywordExtractor.js';
+import { classifyDocument } from './documentClassifier.js';
+import { detectLanguage } from './languageDetector.js';
+import { generateReadingWithProvider, READING_PROVIDERS } from './readingProviders.js';
+import { generateLegacyReading, SEED_MODES } from './readingGenerator.js';
+import { generateNarrative } from './narrativeGenerator.js';
+import { getDeckPack } from './deckLoader.js';
+import { getSpread } from './spreads.js';
+import { digestFile, fingerprintDocument } from './documentFingerprint.js';
+import { computeDocumentStatistics } from './documentStatistics.js';
+import { analyzeTone } from './toneAnalyzer.js';
+import { extractEntities } from './entityExtractor.js';
+import { AnalysisResponseSchema } from '../schemas/analysis.js';
+import { DocumentError } from '../errors.js';
+
+// Below this many characters we treat the text layer as missing
+const MIN_TEXT_LENGTH = 10;
+
+/**
+ * Read a PDF and measure everything a reading is drawn from: its text,
+ * keywords, category, statistics, tone, entities, fingerprint and file digest
+ *
+ * @param {Buffer} pdfBuffer - PDF file as buffer
+ * @param {Object} options
+ * @param {string} options.depth - Extraction depth ('fast' or 'full')
+ * @param {string} options.password - Password for encrypted PDFs
+ * @param {string} options.filename - Original upload filename
+ * @returns {Promise<Object>} - Document profile
+ * @throws {DocumentError} - When the PDF can't be opened or has no text
+ */
+export async function profileDocument(pdfBuffer, { depth, password, filename } = {}) {
+  // Extract text from PDF
+  const extraction = await extractText(pdfBuffer, { depth, password, filename });
+  const { text, title } = extraction;
+
+  if (!text || text.length < MIN_TEXT_LENGTH) {
+    throw new DocumentError(
+      'Could not extract text from PDF. The document may be scanned or encrypted.'
+    );
+  }
+
+  // Detect language so keywords use the right stop words
+  const language = detectLanguage(text);
+
+  // Extract keywords and key phrases with their TF-IDF scores
+  const keywordScores = extractKeywords(text, { language: language.code });
+  const keywords = keywordScores.map((keyword) => keyword.term);
+
+  // Classify over the full text read, not just the top keywords
+  const categories = classifyDocument({
+    text,
+    metadata: extraction.metadata,
+    pages: extraction.pages,
+  });
+  const category = categories[0].id;
+
+  // Vital signs: length, readability and page structure
+  const statistics = computeDocumentStatistics({
+    text,
+    pages: extraction.pages,
+    numPages: extraction.numPages,
+    truncated: extraction.truncated,
+    language: language.code,
+  });
+
+  // Urgency, hedging, shouting...; a strong tone decides the aura
+  const tone = analyzeTone(text, { statistics });
+
+  // Who, what and when, for the card templates
+  const entities = extractEntities(text);
+
+  // Identifies this exact document as read
+  const documentFingerprint = fingerprintDocument(pdfBuffer, text);
+
+  // Seeds the reading: the same file at any depth
+  const fileDigest = digestFile(pdfBuffer);
+
+  return {
+    extraction,
+    text,
+    title,
+    language,
+    keywordScores,
+    keywords,
+    categories,
+    category,
+    statistics,
+    tone,
+    entities,
+    documentFingerprint,
+    fileDigest,
+  };
+}
+
+/**
+ * Analyze a PDF and produce a validated tarot reading
+ *
+ * @param {Buffer} pdfBuffer - PDF file as buffer
+ * @param {Object} options - Parsed AnalyzeOptionsSchema values
+ * @param {string} options.depth - Extraction depth ('fast' or 'full')
+ * @param {string} options.password - Password for encrypted PDFs
+ * @param {string} options.filename - Original upload filename
+ * @param {string} options.deck - Deck pack id
+ * @param {string} options.spread - Spread id
+ * @param {string} options.seedMode - `legacy` runs the original generator instead
+ * @param {number} options.seed - Seed to deal from instead of the document's own
+ * @param {number} options.drawNumber - Redraw count (0 for the first reading)
+ * @param {boolean} options.explain - Include the "why this card" explanations
+ * @returns {Promise<Object>} - Analysis response
+ */
+export async function analyzeDocument(pdfBuffer, { depth, password, filename, deck, spread, seedMode, seed, drawNumber, explain } = {}) {
+  // Resolve the deck first so an unknown id fails before any PDF work
+  const deckPack = getDeckPack(deck);
+
+  const {
+    extraction, text, title, language, keywordScores, keywords, categories, category,
+    statistics, tone, entities, documentFingerprint, fileDigest,
+  } = await profileDocument(pdfBuffer, { depth, password, filename });
+
+  // Everything in the response besides the reading itself
+  const buildResponse = (reading) => ({
+    ...reading,
+    // Tie the cards together into an overall reading
+    narrative: generateNarrative({ ...reading, categories }),
+    documentFingerprint,
+    keywordScores,
+    categories,
+    language,
+    statistics,
+    tone,
+    entities,
+    titleConfidence: extraction.titleConfidence,
+    titleSource: extraction.titleSource,
+    extraction: {
+      depth: extraction.depth,
+      pagesRead: extraction.pages.length,
+      totalPages: extraction.numPages,
+      truncated: extraction.truncated,
+      ocrPages: extraction.ocrPages,
+    },
+    metadata: extraction.metadata,
+  });
+
+  // Old links get the original generator's reading, word for word
+  if (seedMode === SEED_MODES.LEGACY) {
+    const reading = generateLegacyReading({ title, keywords, category, text, seed });
+    return AnalysisResponseSchema.parse(buildResponse({ ...reading, provider: READING_PROVIDERS.TEMPLATE, reproducible: true }));
+  }
+
+  // Generate tarot reading; a provider whose reading wouldn't validate is
+  // replaced by the templates rather than failing the upload
+  const reading = await generateReadingWithProvider({
+    title,
+    keywords,
+    category,
+    categories,
+    metadata: extraction.metadata,
+    statistics,
+    tone,
+    entities,
+    text,
+    deck: deckPack,
+    spread: getSpread(spread),
+    fileDigest,
+    seed,
+    drawNumber,
+    explain,
+  }, {
+    validate: (candidate) => AnalysisResponseSchema.safeParse(buildResponse(candidate)).success,
+  });
+
+  // Validate response structure
+  return AnalysisResponseSchema.parse(buildResponse(reading));
+}
+
+export default { profileDocument, analyzeDocument };
@@ -0,0 +1,208 @@
+/**
+ * Document Classifier Service
+ *
+ * Scores a document against weighted category definitions loaded from JSON.
+ * Categories can be added or overridden without code changes by pointing
+ * CATEGORY_CONFIG_PATH at another file with the same shape as
+ * src/data/categories.json.
+ */
+
+import { createRequire } from 'module';
+import { readFileSync } from 'fs';
+import { toLemmas } from './lemmatizer.js';
+import { CategoryConfigSchema } from '../schemas/categories.js';
+
+const require = createRequire(import.meta.url);
+const BUILT_IN_CONFIG = require('../data/categories.json');
+
+/**
+ * Fallback category when nothing else has enough evidence
+ */
+export const GENERAL_CATEGORY = { id: 'general', label: 'General' };
+
+// Default evidence "general" is given; a category has to beat it to win
+const DEFAULT_BASELINE = 4;
+
+// Softmax temperature - higher spreads confidence across more categories
+const TEMPERATURE = 2;
+
+// Pages averaging fewer characters than this read like slides
+const SPARSE_PAGE_CHARS = 600;
+
+// Sparse-page detection needs a few pages to mean anything
+const MIN_PAGES_FOR_SPARSE = 3;
+
+// Compiled categories, built on first use
+let compiledConfig = null;
+
+/**
+ * Read and validate a category config file
+ */
+function parseConfig(config, source) {
+  const result = CategoryConfigSchema.safeParse(config);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw new Error(`Invalid category config in ${source}: ${issue.path.join('.')} ${issue.message}`);
+  }
+  return result.data;
+}
+
+/**
+ * Load the built-in categories plus any from CATEGORY_CONFIG_PATH
+ *
+ * Categories in the external file replace built-in ones with the same id
+ * and are appended otherwise.
+ */
+function loadConfig() {
+  if (compiledConfig) {
+    return compiledConfig;
+  }
+
+  const builtIn = parseConfig(BUILT_IN_CONFIG, 'src/data/categories.json');
+  const byId = new Map(builtIn.categories.map((category) => [category.id, category]));
+  let baseline = builtIn.baseline ?? DEFAULT_BASELINE;
+
+  const extraPath = process.env.CATEGORY_CONFIG_PATH;
+  if (extraPath) {
+    const extra = parseConfig(JSON.parse(readFileSync(extraPath, 'utf8')), extraPath);
+    for (const category of extra.categories) {
+      byId.set(category.id, category);
+    }
+    baseline = extra.baseline ?? baseline;
+  }
+
+  const cache = new Map();
+  const categories = [...byId.values()].map((category) => ({
+    ...category,
+    terms: Object.entries(category.terms).map(([term, weight]) => ({
+      lemmas: toLemmas(term, cache),
+      weight,
+    })),
+    creators: Object.entries(category.creators).map(([name, weight]) => ({
+      name: name.toLowerCase(),
+      weight,
+    })),
+  }));
+
+  compiledConfig = { baseline, categories };
+  return compiledConfig;
+}
+
+/**
+ * Count how often each configured term occurs in the lemma stream
+ */
+function countTerms(lemmas, categories) {
+  // Positions of every lemma, so phrases only check where their first word is
+  const positions = new Map();
+  lemmas.forEach((lemma, index) => {
+    const list = positions.get(lemma);
+    if (list) {
+      list.push(index);
+    } else {
+      positions.set(lemma, [index]);
+    }
+  });
+
+  const counts = new Map();
+  for (const category of categories) {
+    for (const { lemmas: termLemmas } of category.terms) {
+      const key = termLemmas.join(' ');
+      if (counts.has(key)) continue;
+
+      const starts = positions.get(termLemmas[0]) || [];
+      const count = termLemmas.length === 1
+        ? starts.length
+        : starts.filter((start) => termLemmas.every((lemma, i) => lemmas[start + i] === lemma)).length;
+      counts.set(key, count);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Layout signals derived from metadata and per-page text
+ */
+function layoutSignals(metadata, pages) {
+  const sizes = metadata?.pageSizes || [];
+  const sized = sizes.reduce((sum, size) => sum + size.count, 0);
+  const landscape = sizes
+    .filter((size) => size.orientation === 'landscape')
+    .reduce((sum, size) => sum + size.count, 0);
+
+  const averageChars = pages.length
+    ? pages.reduce((sum, page) => sum + page.text.length, 0) / pages.length
+    : Infinity;
+
+  return {
+    landscape: sized > 0 && landscape / sized >= 0.5,
+    sparse: pages.length >= MIN_PAGES_FOR_SPARSE && averageChars < SPARSE_PAGE_CHARS,
+  };
+}
+
+/**
+ * Classify a document into weighted categories
+ *
+ * Each category collects evidence: for every configured term found, its
+ * weight times 1 + ln(occurrences), so repetition helps with diminishing
+ * returns; plus fixed weights for matching creator applications and layout
+ * signals. Evidence is turned into confidences with a softmax in which
+ * "general" competes at the baseline evidence; categories with no evidence
+ * at all are left out so they can't dilute it.
+ *
+ * @param {Object} document
+ * @param {string} document.text - Extracted text (the full text read, not just keywords)
+ * @param {Object} document.metadata - Metadata from getDocumentMetadata()
+ * @param {Array<{text: string}>} document.pages - Pages read by extractText()
+ * @param {Object} options
+ * @param {number} options.limit - How many categories to return (default: 3)
+ * @returns {Array<{id: string, label: string, confidence: number}>} - Best first
+ */
+export function classifyDocument({ text, metadata = null, pages = [] }, { limit = 3 } = {}) {
+  const { baseline, categories } = loadConfig();
+  const counts = countTerms(toLemmas(text), categories);
+  const signals = layoutSignals(metadata, pages);
+  const software = `${metadata?.creator || ''} ${metadata?.producer || ''}`.toLowerCase();
+
+  const scored = categories.map((category) => {
+    let evidence = 0;
+
+    for (const { lemmas, weight } of category.terms) {
+      const count = counts.get(lemmas.join(' '));
+      if (count > 0) {
+        evidence += weight * (1 + Math.log(count));
+      }
+    }
+
+    for (const { name, weight } of category.creators) {
+      if (software.includes(name)) {
+        evidence += weight;
+      }
+    }
+
+    for (const [signal, weight] of Object.entries(category.layout)) {
+      if (signals[signal]) {
+        evidence += weight;
+      }
+    }
+
+    return { id: category.id, label: category.label, evidence };
+  }).filter((entry) => entry.evidence > 0);
+  scored.push({ ...GENERAL_CATEGORY, evidence: baseline });
+
+  // Softmax, shifted by the max for numerical stability
+  const maxEvidence = Math.max(...scored.map((entry) => entry.evidence));
+  const weights = scored.map((entry) => Math.exp((entry.evidence - maxEvidence) / TEMPERATURE));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return scored
+    .map((entry, index) => ({
+      id: entry.id,
+      label: entry.label,
+      confidence: Math.round((weights[index] / total) * 100) / 100,
+    }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .filter((entry, index) => index === 0 || entry.confidence > 0)
+    .slice(0, limit);
+}
+
+export default { classifyDocument, GENERAL_CATEGORY };
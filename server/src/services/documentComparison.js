@@ -0,0 +1,80 @@
+/**
+ * Document Comparison Pipeline
+ *
+ * Profiles two PDFs, scores how compatible they are and deals the
+ * relationship spread. Shared by the Express route and the Vercel function.
+ */
+
+import { profileDocument } from './documentAnalyzer.js';
+import { scoreCompatibility } from './compatibilityScorer.js';
+import { generateCompatibilityReading } from './compatibilityReading.js';
+import { getDeckPack } from './deckLoader.js';
+import { CompareResponseSchema } from '../schemas/compare.js';
+import { DocumentError } from '../errors.js';
+
+// Keywords shown per document
+const DOCUMENT_KEYWORDS = 5;
+
+/**
+ * Profile one of the pair, naming it in any error so the client knows
+ * which upload to fix
+ */
+async function profileOne({ buffer, filename, password }, { depth, label }) {
+  try {
+    return await profileDocument(buffer, { depth, password, filename });
+  } catch (error) {
+    if (error instanceof DocumentError) {
+      throw new DocumentError(`${filename || label}: ${error.message}`, { status: error.status, code: error.code });
+    }
+    throw error;
+  }
+}
+
+/**
+ * What the response says about each document
+ */
+function describeDocument(profile, filename) {
+  return {
+    title: profile.title,
+    filename: filename || null,
+    category: profile.categories[0],
+    keywords: profile.keywords.slice(0, DOCUMENT_KEYWORDS),
+    wordCount: profile.statistics.wordCount,
+    pageCount: profile.extraction.numPages,
+    documentFingerprint: profile.documentFingerprint,
+  };
+}
+
+/**
+ * Compare two PDFs and produce a validated compatibility reading
+ *
+ * @param {{buffer: Buffer, filename: string}} firstFile - First uploaded PDF
+ * @param {{buffer: Buffer, filename: string}} secondFile - Second uploaded PDF
+ * @param {Object} options - Parsed CompareOptionsSchema values
+ * @param {string} options.depth - Extraction depth ('fast' or 'full')
+ * @param {string} options.deck - Deck pack id
+ * @param {string} options.firstPassword - Password for the first PDF
+ * @param {string} options.secondPassword - Password for the second PDF
+ * @returns {Promise<Object>} - Compatibility response
+ * @throws {DocumentError} - When either PDF can't be read, or the deck has
+ *   no relationship cards
+ */
+export async function compareDocuments(firstFile, secondFile, { depth, deck, firstPassword, secondPassword } = {}) {
+  // Resolve the deck first so an unknown id fails before any PDF work
+  const deckPack = getDeckPack(deck);
+
+  // One after the other: extraction and OCR are CPU-bound
+  const first = await profileOne({ ...firstFile, password: firstPassword }, { depth, label: 'First document' });
+  const second = await profileOne({ ...secondFile, password: secondPassword }, { depth, label: 'Second document' });
+
+  const compatibility = scoreCompatibility(first, second);
+  const reading = generateCompatibilityReading({ first, second, compatibility, deck: deckPack });
+
+  return CompareResponseSchema.parse({
+    ...reading,
+    documents: [describeDocument(first, firstFile.filename), describeDocument(second, secondFile.filename)],
+    compatibility,
+  });
+}
+
+export default { compareDocuments };
@@ -0,0 +1,50 @@
+/**
+ * Document Fingerprint Service
+ *
+ * SHA-256 over the uploaded file and its extracted text. It identifies a
+ * document as read: files that only share a boilerplate header still get
+ * different fingerprints, and so does one file read at another depth.
+ * Reading seeds come from the digest of the file bytes alone, so they
+ * don't depend on how much of the document was read.
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Text as the fingerprint sees it: Unicode-normalized, with whitespace runs
+ * collapsed, so extraction spacing differences don't change the digest
+ *
+ * @param {string} text - Extracted text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return (text || '').normalize('NFKC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Digest of the uploaded file alone
+ *
+ * @param {Buffer} pdfBuffer - Uploaded file bytes
+ * @returns {string} - Lowercase hex SHA-256 digest
+ */
+export function digestFile(pdfBuffer) {
+  return createHash('sha256').update(pdfBuffer).digest('hex');
+}
+
+/**
+ * Fingerprint a document
+ *
+ * @param {Buffer} pdfBuffer - Uploaded file bytes
+ * @param {string} text - Text extracted from it
+ * @returns {string} - Lowercase hex SHA-256 digest
+ */
+export function fingerprintDocument(pdfBuffer, text) {
+  return createHash('sha256')
+    .update(pdfBuffer)
+    // Separates the bytes from the text so the two can't run into each other
+    .update('\0')
+    .update(normalizeText(text), 'utf8')
+    .digest('hex');
+}
+
+export default { digestFile, fingerprintDocument };
@@ -0,0 +1,206 @@
+/**
+ * Document Statistics Service
+ *
+ * Measures the text read from a document: length, reading time, sentence
+ * length, readability, passive voice, and the headings, tables, images and
+ * blank pages found on its pages. These are the reading's "vital signs".
+ */
+
+import { DEFAULT_LANGUAGE } from './languageDetector.js';
+
+// Average silent reading speed for non-fiction (Brysbaert, 2019)
+const WORDS_PER_MINUTE = 238;
+
+// A line this much larger than the page's body text is a heading
+const HEADING_SCALE = 1.2;
+
+// Longer lines are body text set large, not headings
+const MAX_HEADING_LENGTH = 100;
+
+// A table is at least this many consecutive lines...
+const MIN_TABLE_ROWS = 3;
+
+// ...each split into at least this many cells
+const MIN_TABLE_CELLS = 3;
+
+// Forms of "to be" that start a passive construction
+const PASSIVE_AUXILIARIES = 'am|is|are|was|were|be|been|being';
+
+// Common past participles that don't end in "-ed"
+const IRREGULAR_PARTICIPLES = [
+  'begun', 'bought', 'brought', 'built', 'chosen', 'done', 'drawn', 'driven',
+  'forgotten', 'found', 'given', 'held', 'hidden', 'kept', 'known', 'left',
+  'lost', 'made', 'meant', 'paid', 'put', 'read', 'said', 'seen', 'sent',
+  'set', 'shown', 'sold', 'spent', 'spoken', 'taken', 'taught', 'thought',
+  'told', 'understood', 'won', 'written',
+];
+
+// "was written", "is carefully reviewed", "have been sent"
+const PASSIVE_PATTERN = new RegExp(
+  `\\b(?:${PASSIVE_AUXILIARIES})\\s+(?:\\w+ly\\s+)?(?:\\w{2,}ed|${IRREGULAR_PARTICIPLES.join('|')})\\b`,
+  'i'
+);
+
+// Words: letters or digits, with inner apostrophes and hyphens
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+// Text with at least one word in it
+const HAS_WORD = /[\p{L}\p{N}]/u;
+
+// Sentences end at terminal punctuation, a blank line, or a line break
+// before a capital, digit or bullet - slides and lists rarely punctuate
+const SENTENCE_BREAK = /[.!?]+(?=\s|$)|\n\s*\n|\n(?=\s*(?:[\p{Lu}\p{N}]|[•▪◦*–-]\s))/u;
+
+/**
+ * Count the headings and tables in a page's lines
+ *
+ * Headings are short lines set noticeably larger than the page's body text
+ * (a heading wrapped over consecutive lines counts once). Tables are runs of
+ * consecutive lines split into several cells by wide gaps.
+ *
+ * @param {Array<{text: string, fontSize: number, cells: number}>} lines - Lines from getPageLines
+ * @returns {{headings: number, tables: number}}
+ */
+export function describePageLayout(lines) {
+  const textLines = lines.filter((line) => line.text.trim() && line.fontSize > 0);
+  const bodySize = bodyFontSize(textLines);
+
+  let headings = 0;
+  let tables = 0;
+  let previousWasHeading = false;
+  let tableRows = 0;
+
+  for (const line of textLines) {
+    const text = line.text.trim();
+    const isHeading = line.fontSize >= bodySize * HEADING_SCALE &&
+      text.length <= MAX_HEADING_LENGTH &&
+      HAS_WORD.test(text) &&
+      !/[.,;]$/.test(text);
+    if (isHeading && !previousWasHeading) {
+      headings++;
+    }
+    previousWasHeading = isHeading;
+
+    tableRows = line.cells >= MIN_TABLE_CELLS ? tableRows + 1 : 0;
+    if (tableRows === MIN_TABLE_ROWS) {
+      tables++;
+    }
+  }
+
+  return { headings, tables };
+}
+
+/**
+ * The font size most of a page's text is set in
+ */
+function bodyFontSize(lines) {
+  const characters = new Map();
+  for (const { text, fontSize } of lines) {
+    const size = Math.round(fontSize * 10) / 10;
+    characters.set(size, (characters.get(size) || 0) + text.length);
+  }
+
+  let body = 0;
+  let most = 0;
+  for (const [size, count] of characters) {
+    if (count > most) {
+      body = size;
+      most = count;
+    }
+  }
+  return body;
+}
+
+/**
+ * Estimate the syllables in an English word
+ */
+function countSyllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) {
+    return letters ? 1 : 0;
+  }
+
+  // Silent endings ("-es", "-ed", "-e") and a leading "y" don't add a syllable
+  const trimmed = letters
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '');
+  return Math.max(1, (trimmed.match(/[aeiouy]{1,2}/g) || []).length);
+}
+
+/**
+ * Round to a number of decimal places
+ */
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Measure a document
+ *
+ * Counts cover the text and pages read. Reading time is estimated for the
+ * whole document, scaling up from the pages read when extraction stopped
+ * early. Readability and passive voice use English rules and are null for
+ * other languages.
+ *
+ * @param {Object} params
+ * @param {string} params.text - Extracted text
+ * @param {Array<{text: string, headings: number, tables: number, images: number}>} params.pages - Pages read
+ * @param {number} params.numPages - Total pages in the document
+ * @param {boolean} params.truncated - Whether extraction stopped before the end
+ * @param {string} params.language - ISO 639-1 code from detectLanguage()
+ * @returns {Object} - Document statistics
+ */
+export function computeDocumentStatistics({ text, pages, numPages, truncated, language }) {
+  const words = text.match(WORD_PATTERN) || [];
+  const sentences = text
+    .split(SENTENCE_BREAK)
+    .filter((sentence) => sentence && HAS_WORD.test(sentence));
+
+  const wordCount = words.length;
+  const sentenceCount = sentences.length;
+  const wordsPerSentence = sentenceCount ? wordCount / sentenceCount : 0;
+
+  const pagesRead = pages.length;
+  const estimatedWords = truncated && pagesRead ? wordCount * (numPages / pagesRead) : wordCount;
+
+  let fleschReadingEase = null;
+  let passiveVoiceRatio = null;
+  if (language === DEFAULT_LANGUAGE && wordCount > 0 && sentenceCount > 0) {
+    const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+    const score = 206.835 - 1.015 * wordsPerSentence - 84.6 * (syllables / wordCount);
+    // The formula runs past both ends for extreme text; the scale is 0-100
+    fleschReadingEase = round(Math.min(100, Math.max(0, score)));
+
+    const passive = sentences.filter((sentence) => PASSIVE_PATTERN.test(sentence)).length;
+    passiveVoiceRatio = round(passive / sentenceCount, 2);
+  }
+
+  const total = (field) => pages.reduce((sum, page) => sum + (page[field] || 0), 0);
+  const perPage = (count) => (pagesRead ? round(count / pagesRead, 2) : 0);
+  const headings = total('headings');
+  const tables = total('tables');
+  const images = total('images');
+  const blankPages = pages.filter((page) => !HAS_WORD.test(page.text) && !page.images).length;
+
+  return {
+    wordCount,
+    sentenceCount,
+    readingMinutes: wordCount ? Math.max(1, Math.round(estimatedWords / WORDS_PER_MINUTE)) : 0,
+    averageSentenceLength: round(wordsPerSentence),
+    fleschReadingEase,
+    passiveVoiceRatio,
+    headings,
+    tables,
+    images,
+    perPage: {
+      headings: perPage(headings),
+      tables: perPage(tables),
+      images: perPage(images),
+    },
+    blankPageRatio: perPage(blankPages),
+    pagesMeasured: pagesRead,
+  };
+}
+
+export default { describePageLayout, computeDocumentStatistics };
@@ -0,0 +1,295 @@
+/**
+ * Entity Extractor Service
+ *
+ * Pulls people, organisations, monetary amounts, dates and deadlines out of
+ * the extracted text with patterns, offline. It goes for precision over
+ * recall: names need an honorific, a job title or a context like "Dear" or
+ * "Approved by", and organisations a suffix like "Inc." or a form like
+ * "University of ...". The patterns are English.
+ */
+
+// Most entities of each kind returned
+const MAX_ENTITIES = 10;
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+};
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// Capitalised month names and abbreviations ("may" the verb stays out)
+const MONTH = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const YEAR = '(\\d{4})';
+
+// Date formats: "March 3rd, 2025", "3 March 2025", "2025-03-03", "3/3/2025"
+// and "03.03.2025" (dotted dates need a full year, or version numbers match)
+const DATE_PATTERNS = [
+  { pattern: new RegExp(`\\b${MONTH} ${DAY}\\b(?:,? ${YEAR}\\b)?`, 'g'), parts: ['month', 'day', 'year'] },
+  { pattern: new RegExp(`\\b${DAY} (?:of )?${MONTH}(?:,? ${YEAR}\\b)?`, 'g'), parts: ['day', 'month', 'year'] },
+  { pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g, parts: ['year', 'month', 'day'] },
+  { pattern: /\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/g, parts: ['month', 'day', 'year'] },
+  { pattern: /\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/g, parts: ['day', 'month', 'year'] },
+];
+
+// Words right before a date that make it a deadline: "due by", "Deadline:",
+// "no later than Friday,"
+const DEADLINE_CUE = /\b(?:due(?: date| on| by)?|deadline(?: is| of)?|no later than|by|before|until|expires?(?: on)?|expiry(?: date)?|closing date|cut-?off(?: date)?|submit(?:ted)? by):?\s+(?:the\s+)?(?:(?:Mon|Tues|Wednes|Thurs|Fri|Satur|Sun)day,?\s+)?$/i;
+
+// How far before a date to look for a deadline cue
+const DEADLINE_CUE_WINDOW = 40;
+
+// A capitalised name: "Jane", "O'Brien", "Smith-Jones"
+const NAME = "[A-Z][a-z]*(?:['’-][A-Z]?[a-z]+)*";
+const FULL_NAME = `${NAME}(?: [A-Z]\\.)?(?: ${NAME}){0,2}`;
+const HONORIFIC = '(?:Mr|Mrs|Ms|Miss|Dr|Prof|Professor|Sir|Dame)\\.?';
+
+const PERSON_PATTERNS = [
+  // "Dr. Jane Smith", "Mr Brown"
+  new RegExp(`\\b(${HONORIFIC} ${FULL_NAME})`, 'g'),
+  // "Dear Jane", "Approved by Dr. John Smith"
+  new RegExp(`\\b(?:Dear|Attn:?|Attention:|Signed by|Prepared by|Approved by|Reviewed by|Written by|Authored by|Contact:|From:|To:|Cc:) ((?:${HONORIFIC} )?${FULL_NAME})`, 'g'),
+  // "Jane Smith, CEO"
+  new RegExp(`\\b(${NAME}(?: [A-Z]\\.)? ${NAME}), (?:CEO|CFO|COO|CTO|Director|Manager|President|Vice President|Chair|Chairman|Chairwoman|Secretary|Partner|Head|Lead|Founder|Owner|Attorney|Counsel)\\b`, 'g'),
+];
+
+// Greetings and sign-offs that look like names
+const NOT_PEOPLE = new Set([
+  'All', 'Team', 'Sir', 'Madam', 'Sirs', 'Customer', 'Customers', 'Client', 'Colleague',
+  'Colleagues', 'Member', 'Members', 'Friend', 'Friends', 'Everyone', 'Reader', 'Applicant',
+]);
+
+// A capitalised word in an organisation's name: "ACME", "Smith & Sons"
+const ORG_WORD = "(?:[A-Z][\\w'’.-]*|&)";
+
+const ORGANIZATION_PATTERNS = [
+  // "ACME Corp", "Globex Holdings Ltd."
+  new RegExp(`\\b((?:${ORG_WORD} ){0,4}${ORG_WORD},? (?:Inc\\.?|Incorporated|Ltd\\.?|Limited|LLC|LLP|GmbH|AG|plc|PLC|Corp\\.?|Corporation|Co\\.|Company|Group|Holdings|Foundation|Association|Institute|Agency|Bank))(?![\\w])`, 'g'),
+  // "University of Leeds", "Department of Health"
+  new RegExp(`\\b((?:University|Department|Ministry|Bank|Bureau|Office|College|Institute|Board) of (?:the )?${ORG_WORD}(?: ${ORG_WORD}){0,3})`, 'g'),
+];
+
+// Sentence-opening words that can run into an organisation's name
+const LEADING_NOT_ORG = /^(?:(?:The|A|An|And|Or|At|By|For|From|To|With|Of|In|On|Dear|Contact|Between|Our|Your|Their|This|That)\s+)+/;
+
+// Email addresses hold names, numbers and dates that aren't entities
+// ("Sales@...", "ops-2025-03-03@...")
+const EMAIL_PATTERN = /[\w.%+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+const CURRENCY_WORDS = { dollar: 'USD', dollars: 'USD', euro: 'EUR', euros: 'EUR', pound: 'GBP', pounds: 'GBP' };
+const SCALES = { k: 1e3, thousand: 1e3, m: 1e6, mn: 1e6, million: 1e6, bn: 1e9, b: 1e9, billion: 1e9 };
+
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d+))?';
+const SCALE = '(?: ?(k|m|mn|bn|b|thousand|million|billion)\\b)?';
+
+const AMOUNT_PATTERNS = [
+  // "$1,200.50", "£3.5m"
+  { pattern: new RegExp(`([$€£¥]) ?${NUMBER}${SCALE}`, 'gi'), currency: 1, number: 2 },
+  // "USD 1,200"
+  { pattern: new RegExp(`\\b(USD|EUR|GBP|JPY|CHF|CAD|AUD) ?${NUMBER}${SCALE}`, 'gi'), currency: 1, number: 2 },
+  // "1,200 EUR", "40 million dollars"
+  { pattern: new RegExp(`\\b${NUMBER}${SCALE} ?(USD|EUR|GBP|JPY|CHF|CAD|AUD|dollars?|euros?|pounds?)\\b`, 'gi'), currency: 4, number: 1 },
+];
+
+/**
+ * Mentions in order of appearance, dropping any that overlap a longer or
+ * earlier one ("March 3" inside "March 3, 2025")
+ *
+ * @param {Array<{start: number, end: number}>} mentions
+ * @returns {Array}
+ */
+function longestMentions(mentions) {
+  const sorted = [...mentions].sort((a, b) => a.start - b.start || b.end - a.end);
+  const kept = [];
+  for (const mention of sorted) {
+    if (!kept.some((other) => mention.start < other.end && mention.end > other.start)) {
+      kept.push(mention);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Count named entities, most mentioned first (ties in order of appearance)
+ */
+function rankNames(names) {
+  const counts = new Map();
+  for (const name of names) {
+    counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_ENTITIES)
+    .map(([name, count]) => ({ name, count }));
+}
+
+/**
+ * People named in the text
+ */
+function extractPeople(text) {
+  const found = [];
+  for (const pattern of PERSON_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const name = match[1].trim();
+      const start = match.index + match[0].indexOf(match[1]);
+      if (!NOT_PEOPLE.has(name.split(' ')[0])) {
+        found.push({ name, start, end: start + name.length });
+      }
+    }
+  }
+  return rankNames(longestMentions(found).map(({ name }) => name));
+}
+
+/**
+ * Organisations named in the text
+ */
+function extractOrganizations(text) {
+  const names = [];
+  for (const pattern of ORGANIZATION_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const name = match[1].replace(LEADING_NOT_ORG, '').replace(/,(?= \S+$)/, '').trim();
+      // A bare suffix ("Company") left after trimming isn't a name
+      if (name.includes(' ')) {
+        names.push({ name, index: match.index });
+      }
+    }
+  }
+  return rankNames(names.sort((a, b) => a.index - b.index).map(({ name }) => name));
+}
+
+/**
+ * Monetary amounts in the text, largest first
+ */
+function extractAmounts(text) {
+  const amounts = new Map();
+  const taken = [];
+
+  for (const { pattern, currency: currencyGroup, number: numberGroup } of AMOUNT_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      // Formats overlap ("$5 USD"); the first pattern to claim the text wins
+      if (taken.some(([from, to]) => start < to && end > from)) continue;
+      taken.push([start, end]);
+
+      const [whole, fraction, scale] = [match[numberGroup], match[numberGroup + 1], match[numberGroup + 2]];
+      const code = match[currencyGroup];
+      const currency = CURRENCY_SYMBOLS[code] || CURRENCY_WORDS[code.toLowerCase()] || code.toUpperCase();
+      const value = Number(`${whole.replace(/,/g, '')}.${fraction || 0}`) * (SCALES[scale?.toLowerCase()] || 1);
+
+      const key = `${currency}:${value}`;
+      const amount = amounts.get(key);
+      if (amount) {
+        amount.count++;
+      } else {
+        amounts.set(key, { text: match[0].trim(), value, currency, count: 1 });
+      }
+    }
+  }
+
+  return [...amounts.values()].sort((a, b) => b.value - a.value).slice(0, MAX_ENTITIES);
+}
+
+/**
+ * Turn matched date parts into an ISO date, or null for an impossible date
+ *
+ * Slashed dates are read month first and dotted ones day first, swapped
+ * when the month can't be one.
+ * Without a year the date is "--MM-DD" (ISO 8601 for a day of the year).
+ */
+function toIsoDate({ year, month, day }) {
+  let monthNumber = /^\d+$/.test(month) ? Number(month) : MONTHS[month.slice(0, 4).toLowerCase()] ?? MONTHS[month.slice(0, 3).toLowerCase()];
+  let dayNumber = Number(day);
+  if (monthNumber > 12 && dayNumber <= 12) {
+    [monthNumber, dayNumber] = [dayNumber, monthNumber];
+  }
+
+  const fullYear = year?.length === 2 ? 2000 + Number(year) : Number(year) || null;
+  // Day 0 of the next month is the last day of this one; leap years need a year
+  const daysInMonth = new Date(Date.UTC(fullYear ?? 2000, monthNumber, 0)).getUTCDate();
+  if (!monthNumber || monthNumber > 12 || dayNumber < 1 || dayNumber > daysInMonth) {
+    return null;
+  }
+
+  const monthDay = `${String(monthNumber).padStart(2, '0')}-${String(dayNumber).padStart(2, '0')}`;
+  return fullYear ? `${fullYear}-${monthDay}` : `--${monthDay}`;
+}
+
+/**
+ * Dates in the text, in order of first mention, and the ones that read as deadlines
+ */
+function extractDates(text) {
+  const found = [];
+  for (const { pattern, parts } of DATE_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const values = Object.fromEntries(parts.map((part, i) => [part, match[i + 1]]));
+      const date = toIsoDate(values);
+      if (date) {
+        found.push({ text: match[0], date, start: match.index, end: match.index + match[0].length });
+      }
+    }
+  }
+
+  const mentions = longestMentions(found);
+
+  const dates = new Map();
+  const deadlines = [];
+  for (const mention of mentions) {
+    const entry = dates.get(mention.date);
+    if (entry) {
+      entry.count++;
+    } else {
+      dates.set(mention.date, { text: mention.text, date: mention.date, count: 1 });
+    }
+
+    const before = text.slice(Math.max(0, mention.start - DEADLINE_CUE_WINDOW), mention.start);
+    if (DEADLINE_CUE.test(before) && !deadlines.some(({ date }) => date === mention.date)) {
+      deadlines.push({ text: mention.text, date: mention.date });
+    }
+  }
+
+  return {
+    dates: [...dates.values()].slice(0, MAX_ENTITIES),
+    deadlines: deadlines.slice(0, MAX_ENTITIES),
+  };
+}
+
+/**
+ * Extract entities from a document's text
+ *
+ * @param {string} text - Extracted text
+ * @returns {{people: Array<{name: string, count: number}>, organizations: Array<{name: string, count: number}>, amounts: Array<{text: string, value: number, currency: string, count: number}>, dates: Array<{text: string, date: string, count: number}>, deadlines: Array<{text: string, date: string}>}}
+ *   Dates are ISO 8601: "2025-03-03", or "--03-03" when the text gives no year
+ */
+export function extractEntities(text) {
+  // Blank out email addresses, keeping every other offset where it was
+  const prose = text.replace(EMAIL_PATTERN, (email) => ' '.repeat(email.length));
+  return {
+    people: extractPeople(prose),
+    organizations: extractOrganizations(prose),
+    amounts: extractAmounts(prose),
+    ...extractDates(prose),
+  };
+}
+
+/**
+ * Spell out an extracted date for a reading: "March 3rd"
+ *
+ * @param {string} date - Date from extractEntities()
+ * @returns {string}
+ */
+export function formatEntityDate(date) {
+  const [, month, day] = date.match(/(\d{2})-(\d{2})$/).map(Number);
+  const ordinal = day % 10 === 1 && day !== 11 ? 'st'
+    : day % 10 === 2 && day !== 12 ? 'nd'
+      : day % 10 === 3 && day !== 13 ? 'rd'
+        : 'th';
+  return `${MONTH_NAMES[month - 1]} ${day}${ordinal}`;
+}
+
+export default { extractEntities, formatEntityDate };
@@ -1,83 +1,189 @@
 /**
  * Keyword Extraction Service
  *
- * Simple TF-IDF style keyword extraction for document analysis
+ * TF-IDF keyword and phrase extraction against a bundled background corpus
  */
 
-// Common words to filter out (stop words)
-const STOP_WORDS = new Set([
-  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of',
-  'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been', 'be', 'have',
-  'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may',
-  'might', 'must', 'shall', 'can', 'need', 'dare', 'ought', 'used', 'this',
-  'that', 'these', 'those', 'it', 'its', 'they', 'them', 'their', 'we', 'us',
-  'our', 'you', 'your', 'i', 'me', 'my', 'he', 'him', 'his', 'she', 'her',
-  'which', 'who', 'whom', 'what', 'where', 'when', 'why', 'how', 'all', 'each',
-  'every', 'both', 'few', 'more', 'most', 'other', 'some', 'such', 'no', 'not',
-  'only', 'same', 'so', 'than', 'too', 'very', 'just', 'also', 'now', 'here',
-  'there', 'then', 'once', 'page', 'document', 'file', 'version', 'date', 'new',
-  'one', 'two', 'three', 'first', 'last', 'next', 'any', 'many', 'much', 'own'
-]);
+import { createRequire } from 'module';
+import { lemmatizeWord } from './lemmatizer.js';
+import { getStopWords, stripElision, resolveLanguage, DEFAULT_LANGUAGE } from './languageDetector.js';
+
+// Background document frequencies, generated by scripts/buildDocumentFrequency.js
+const require = createRequire(import.meta.url);
+const BACKGROUND = require('../data/documentFrequency.json');
+
+// Words rarer than anything in the table count as the rarest known word,
+// so OCR noise and typos don't outrank real vocabulary
+const UNSEEN_DF = Math.min(...Object.values(BACKGROUND.df));
+
+// Longest phrase considered
+const MAX_NGRAM = 3;
+
+// A phrase has to recur to count - one-off word pairs are mostly noise
+const MIN_PHRASE_COUNT = 2;
+
+// Shortest token worth keeping ("api", "law", "tax")
+const MIN_WORD_LENGTH = 3;
+
+// Punctuation ends a phrase; line breaks don't, since PDF text wraps mid-sentence
+const PHRASE_BOUNDARY = /[.,;:!?()[\]{}"“”•|/\\]+/;
+
+/**
+ * Inverse document frequency of a lemma against the background corpus
+ *
+ * The corpus is English, so every other language gets a flat IDF and
+ * ranking falls back to term frequency.
+ *
+ * @param {string} lemma - Lemmatized word
+ * @param {string} language - ISO 639-1 code
+ * @returns {number}
+ */
+function inverseDocumentFrequency(lemma, language) {
+  if (language !== DEFAULT_LANGUAGE) {
+    return 1;
+  }
+  const df = BACKGROUND.df[lemma] ?? UNSEEN_DF;
+  return Math.log((BACKGROUND.documents + 1) / (df + 1)) + 1;
+}
+
+/**
+ * Split text into runs of lemmatized content words
+ *
+ * Stop words and punctuation break runs, so every n-gram taken from a run
+ * is a plausible phrase.
+ *
+ * @param {string} text - Raw text content
+ * @param {string} language - ISO 639-1 code
+ * @returns {{runs: string[][], tokenCount: number}}
+ */
+function tokenize(text, language) {
+  const stopWords = getStopWords(language);
+  const runs = [];
+  let tokenCount = 0;
+
+  for (const segment of text.toLowerCase().split(PHRASE_BOUNDARY)) {
+    let run = [];
+    for (const token of segment.match(/[\p{L}\p{N}]+(?:['’-][\p{L}]+)*/gu) || []) {
+      tokenCount++;
+      const word = stripElision(token, language);
+      const isContent =
+        word.length >= MIN_WORD_LENGTH && /\p{L}/u.test(word) && !stopWords.has(word);
+
+      if (!isContent) {
+        if (run.length) runs.push(run);
+        run = [];
+        continue;
+      }
+      run.push(lemmatizeWord(word, language));
+    }
+    if (run.length) runs.push(run);
+  }
+
+  return { runs, tokenCount };
+}
 
 /**
- * Extract keywords from text using simple frequency analysis
+ * Extract keywords and key phrases from text using TF-IDF
+ *
+ * Words are scored by term frequency times inverse document frequency
+ * against the background corpus. Phrases of up to three words that recur
+ * are scored the same way, with a phrase's IDF taken as the sum of its
+ * words' IDFs (the IDF of the words co-occurring if they were independent).
+ * A term that overlaps a higher-scoring one is dropped, so "service level
+ * agreement" doesn't also produce "service level" and "agreement".
  *
  * @param {string} text - Raw text content
- * @param {number} maxKeywords - Maximum keywords to return
- * @returns {string[]} - Array of keywords
+ * @param {Object} options
+ * @param {number} options.maxKeywords - Maximum keywords to return
+ * @param {string} options.language - ISO 639-1 code from detectLanguage(); undetermined counts as English
+ * @returns {Array<{term: string, score: number, count: number}>} - Keywords, best first; scores are relative to the top keyword (0-1]
  */
-export function extractKeywords(text, maxKeywords = 10) {
-  // Tokenize: extract words, lowercase, remove short words
-  const words = text
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .split(/\s+/)
-    .filter(word => word.length > 3 && !STOP_WORDS.has(word));
-
-  // Count frequency
-  const frequency = {};
-  for (const word of words) {
-    frequency[word] = (frequency[word] || 0) + 1;
+export function extractKeywords(text, { maxKeywords = 10, language: detected = DEFAULT_LANGUAGE } = {}) {
+  // Stop words, lemmas and IDF all have to agree on the language
+  const language = resolveLanguage(detected);
+  const { runs, tokenCount } = tokenize(text, language);
+  if (tokenCount === 0) {
+    return [];
   }
 
-  // Sort by frequency and take top N
-  const sorted = Object.entries(frequency)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, maxKeywords)
-    .map(([word]) => word);
+  // Count every n-gram inside each run
+  const counts = new Map();
+  for (const run of runs) {
+    for (let n = 1; n <= MAX_NGRAM; n++) {
+      for (let i = 0; i + n <= run.length; i++) {
+        const words = run.slice(i, i + n);
+        // Repeated words ("very very") aren't phrases
+        if (n > 1 && new Set(words).size < n) continue;
+        const key = words.join(' ');
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  const candidates = [];
+  for (const [term, count] of counts) {
+    const words = term.split(' ');
+    if (words.length > 1 && count < MIN_PHRASE_COUNT) continue;
+
+    const idf = words.reduce((sum, word) => sum + inverseDocumentFrequency(word, language), 0);
+    candidates.push({ term, words, count, score: (count / tokenCount) * idf });
+  }
+  candidates.sort((a, b) => b.score - a.score || a.term.localeCompare(b.term));
+
+  // Take the best terms, skipping any that overlap one already chosen
+  const selected = [];
+  for (const candidate of candidates) {
+    if (selected.length >= maxKeywords) break;
+    const overlaps = selected.some((chosen) => overlapsPhrase(chosen, candidate));
+    if (!overlaps) {
+      selected.push(candidate);
+    }
+  }
 
-  return sorted;
+  const topScore = selected[0]?.score || 1;
+  return selected.map(({ term, score, count }) => ({
+    term,
+    score: Math.round((score / topScore) * 1000) / 1000,
+    count,
+  }));
 }
 
 /**
- * Categorize document based on keywords
+ * Whether two terms describe the same stretch of text
  *
- * @param {string[]} keywords - Extracted keywords
- * @returns {string} - Category label
+ * Besides containment, two phrases that occur exactly as often where one
+ * ends with the words the other starts with are sliding windows over one
+ * longer repeated passage.
+ */
+function overlapsPhrase(a, b) {
+  if (containsPhrase(a.words, b.words) || containsPhrase(b.words, a.words)) {
+    return true;
+  }
+  return a.count === b.count && (chainsInto(a.words, b.words) || chainsInto(b.words, a.words));
+}
+
+/**
+ * Whether the tail of `first` is the head of `second`
  */
-export function categorizeDocument(keywords) {
-  const keywordSet = new Set(keywords.map(k => k.toLowerCase()));
-
-  // Category detection rules
-  const categories = [
-    { name: 'technical', words: ['code', 'software', 'system', 'data', 'api', 'function', 'error', 'debug'] },
-    { name: 'business', words: ['revenue', 'sales', 'market', 'customer', 'strategy', 'growth', 'budget'] },
-    { name: 'legal', words: ['agreement', 'contract', 'terms', 'party', 'clause', 'liability', 'law'] },
-    { name: 'academic', words: ['research', 'study', 'analysis', 'hypothesis', 'methodology', 'results'] },
-    { name: 'creative', words: ['design', 'concept', 'creative', 'brand', 'visual', 'story', 'content'] },
-    { name: 'administrative', words: ['meeting', 'agenda', 'minutes', 'action', 'review', 'report', 'status'] },
-  ];
-
-  let bestMatch = { name: 'general', score: 0 };
-
-  for (const category of categories) {
-    const score = category.words.filter(w => keywordSet.has(w)).length;
-    if (score > bestMatch.score) {
-      bestMatch = { name: category.name, score };
+function chainsInto(first, second) {
+  for (let k = 1; k <= Math.min(first.length, second.length); k++) {
+    if (first.slice(-k).every((word, i) => word === second[i])) {
+      return true;
     }
   }
+  return false;
+}
 
-  return bestMatch.name;
+/**
+ * Whether `inner` appears as a contiguous run inside `outer`
+ */
+function containsPhrase(outer, inner) {
+  for (let i = 0; i + inner.length <= outer.length; i++) {
+    if (inner.every((word, j) => outer[i + j] === word)) {
+      return true;
+    }
+  }
+  return false;
 }
 
-export default { extractKeywords, categorizeDocument };
+export default { extractKeywords };
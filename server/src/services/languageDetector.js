@@ -0,0 +1,174 @@
+/**
+ * Language Detection Service
+ *
+ * Identifies the language of extracted text from its function words and
+ * supplies the matching stop-word list for keyword extraction
+ */
+
+import { eng, deu, fra, spa, por, ita } from 'stopword';
+
+const UNDETERMINED = 'und';
+
+/**
+ * Supported languages, keyed by ISO 639-1 code
+ *
+ * `markers` are frequent function words used for detection only - short
+ * enough that a longer stop-word list can't skew the vote. `elision` strips
+ * contracted articles ("l'entreprise" -> "entreprise") before matching.
+ */
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    stopWords: eng,
+    // Our original list - modal verbs and words that litter PDFs
+    // ("page", "document") without saying anything about the content
+    extraStopWords: [
+      'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of',
+      'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been', 'be', 'have',
+      'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may',
+      'might', 'must', 'shall', 'can', 'need', 'dare', 'ought', 'used', 'this',
+      'that', 'these', 'those', 'it', 'its', 'they', 'them', 'their', 'we', 'us',
+      'our', 'you', 'your', 'i', 'me', 'my', 'he', 'him', 'his', 'she', 'her',
+      'which', 'who', 'whom', 'what', 'where', 'when', 'why', 'how', 'all', 'each',
+      'every', 'both', 'few', 'more', 'most', 'other', 'some', 'such', 'no', 'not',
+      'only', 'same', 'so', 'than', 'too', 'very', 'just', 'also', 'now', 'here',
+      'there', 'then', 'once', 'page', 'document', 'file', 'version', 'date', 'new',
+      'one', 'two', 'three', 'first', 'last', 'next', 'any', 'many', 'much', 'own',
+      'into', 'onto', 'upon', 'about', 'above', 'below', 'under', 'over', 'between',
+      'through', 'during', 'before', 'after', 'within', 'without', 'against', 'per',
+      'via', 'if', 'else', 'while', 'because', 'since', 'until', 'unless', 'whether',
+      'being', 'having', 'doing', 'yet', 'nor', 'etc', 'hereby',
+    ],
+    markers: ['the', 'and', 'of', 'to', 'is', 'that', 'for', 'with', 'are', 'this', 'be', 'by', 'not', 'which', 'have', 'from', 'or', 'will', 'an', 'it'],
+  },
+  de: {
+    name: 'German',
+    stopWords: deu,
+    extraStopWords: ['seite', 'dokument', 'datei', 'version', 'datum'],
+    markers: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'den', 'von', 'zu', 'für', 'auf', 'sich', 'dem', 'eine', 'ein', 'auch', 'werden', 'wird', 'oder'],
+  },
+  fr: {
+    name: 'French',
+    stopWords: fra,
+    extraStopWords: ['page', 'document', 'fichier', 'version', 'date'],
+    markers: ['le', 'les', 'et', 'des', 'est', 'une', 'du', 'pour', 'dans', 'qui', 'sur', 'pas', 'par', 'au', 'avec', 'sont', 'ce', 'aux', 'cette', 'être'],
+    elision: /^(?:[cdjlmnst]|qu)['’]/,
+  },
+  es: {
+    name: 'Spanish',
+    stopWords: spa,
+    extraStopWords: ['página', 'documento', 'archivo', 'versión', 'fecha'],
+    markers: ['el', 'los', 'las', 'y', 'del', 'por', 'con', 'una', 'para', 'es', 'se', 'al', 'lo', 'como', 'más', 'pero', 'sus', 'este', 'está', 'muy'],
+  },
+  pt: {
+    name: 'Portuguese',
+    stopWords: por,
+    extraStopWords: ['página', 'documento', 'arquivo', 'ficheiro', 'versão', 'data'],
+    markers: ['o', 'os', 'da', 'dos', 'das', 'em', 'com', 'uma', 'não', 'na', 'ao', 'mais', 'são', 'ou', 'mas', 'pelo', 'pela', 'também', 'à', 'seu'],
+  },
+  it: {
+    name: 'Italian',
+    stopWords: ita,
+    extraStopWords: ['pagina', 'documento', 'file', 'versione', 'data'],
+    markers: ['il', 'di', 'che', 'della', 'per', 'un', 'sono', 'gli', 'nel', 'alla', 'dei', 'anche', 'è', 'delle', 'questo', 'essere', 'più', 'ed', 'dalla', 'sul'],
+    elision: /^(?:[lt]|un|dell|all|dall|nell|sull|quell)['’]/,
+  },
+};
+
+/**
+ * Supported language codes
+ */
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+// Language used when the text is too short or ambiguous to tell
+export const DEFAULT_LANGUAGE = 'en';
+
+// Only this many leading words are sampled - plenty to tell languages apart
+const SAMPLE_WORDS = 5000;
+
+// Fewer marker hits than this and we don't trust the vote
+const MIN_MARKER_HITS = 5;
+
+// Stop-word sets are built once per language on first use
+const stopWordCache = new Map();
+
+const markerSets = Object.fromEntries(
+  Object.entries(LANGUAGES).map(([code, language]) => [code, new Set(language.markers)])
+);
+
+/**
+ * Detect the language of a text
+ *
+ * Counts how many sampled words are marker words of each language. The
+ * confidence is the winner's share of the top two counts, so 1 means no
+ * competition and 0.5 a dead heat.
+ *
+ * @param {string} text - Extracted text
+ * @returns {{code: string, name: string, confidence: number}}
+ */
+export function detectLanguage(text) {
+  const words = (text.toLowerCase().match(/\p{L}+/gu) || []).slice(0, SAMPLE_WORDS);
+
+  const hits = Object.fromEntries(SUPPORTED_LANGUAGES.map((code) => [code, 0]));
+  for (const word of words) {
+    for (const code of SUPPORTED_LANGUAGES) {
+      if (markerSets[code].has(word)) {
+        hits[code]++;
+      }
+    }
+  }
+
+  const [[bestCode, best], [, second]] = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+  if (best < MIN_MARKER_HITS) {
+    return { code: UNDETERMINED, name: 'Undetermined', confidence: 0 };
+  }
+
+  return {
+    code: bestCode,
+    name: LANGUAGES[bestCode].name,
+    confidence: Math.round((best / (best + second)) * 100) / 100,
+  };
+}
+
+/**
+ * The language to process a text as: the detected one when it is supported,
+ * English otherwise
+ *
+ * Short documents (slides, forms, invoices) rarely reach MIN_MARKER_HITS and
+ * come back undetermined; they are almost always English.
+ *
+ * @param {string} code - ISO 639-1 code from detectLanguage()
+ * @returns {string}
+ */
+export function resolveLanguage(code) {
+  return LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Stop words for a language, falling back to English for anything else
+ *
+ * @param {string} code - ISO 639-1 code from detectLanguage()
+ * @returns {Set<string>}
+ */
+export function getStopWords(code) {
+  const key = resolveLanguage(code);
+  if (!stopWordCache.has(key)) {
+    const { stopWords, extraStopWords } = LANGUAGES[key];
+    stopWordCache.set(key, new Set([...stopWords, ...extraStopWords]));
+  }
+  return stopWordCache.get(key);
+}
+
+/**
+ * Strip an elided article or preposition from the front of a word
+ *
+ * @param {string} word - Lowercase word
+ * @param {string} code - ISO 639-1 code
+ * @returns {string}
+ */
+export function stripElision(word, code) {
+  const elision = LANGUAGES[code]?.elision;
+  return elision ? word.replace(elision, '') : word;
+}
+
+export default { detectLanguage, resolveLanguage, getStopWords, stripElision, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE };
@@ -0,0 +1,62 @@
+/**
+ * Lemmatizer
+ *
+ * Reduces English words to their dictionary form so inflections of the same
+ * word ("contracts", "contract") are counted together. Other languages are
+ * passed through unchanged.
+ */
+
+import winkLemmatizer from 'wink-lemmatizer';
+
+// Words WordNet would rewrite into forms nobody uses in documents
+const LEMMA_EXCEPTIONS = new Map([
+  ['data', 'data'],
+  ['media', 'media'],
+  ['species', 'species'],
+  ['goods', 'goods'],
+  ['physics', 'physics'],
+  ['lenses', 'lens'],
+]);
+
+/**
+ * Lemmatize a lowercase word as a noun
+ *
+ * Keywords are overwhelmingly nouns, and treating every token as one keeps
+ * words like "meeting" or "building" intact instead of turning them into
+ * verbs. Plurals and irregular nouns ("analyses", "criteria") still merge.
+ *
+ * @param {string} word - Lowercase word
+ * @param {string} language - ISO 639-1 code (default: 'en')
+ * @returns {string} - Lemma
+ */
+export function lemmatizeWord(word, language = 'en') {
+  if (language !== 'en') {
+    return word;
+  }
+  return LEMMA_EXCEPTIONS.get(word) ?? winkLemmatizer.lemmatizeNoun(word);
+}
+
+/**
+ * Split text into lowercase English lemmas
+ *
+ * Used where word lists are matched against document text: both sides go
+ * through the same lemmatizer whatever the document language, so they
+ * always match up.
+ *
+ * @param {string} text - Raw text
+ * @param {Map<string, string>} cache - Word to lemma, shared across calls that lemmatize the same words
+ * @returns {string[]} - Lemmas in text order
+ */
+export function toLemmas(text, cache = new Map()) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map((word) => {
+    let lemma = cache.get(word);
+    if (lemma === undefined) {
+      lemma = lemmatizeWord(word);
+      cache.set(word, lemma);
+    }
+    return lemma;
+  });
+}
+
+export default { lemmatizeWord, toLemmas };
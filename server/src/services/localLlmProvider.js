@@ -0,0 +1,170 @@
+/**
+ * Local LLM Reading Provider
+ *
+ * Deals the cards exactly like the template provider, then asks a local
+ * OpenAI-compatible chat endpoint (llama.cpp's server, Ollama, LM Studio...)
+ * to write each card's meaning from the document itself.
+ *
+ * Replies are requested at temperature 0 with the reading's seed, so a
+ * server that honours them writes the same meanings for the same reading.
+ * Not every server does, and a different model or build writes different
+ * ones, so these readings are reported as not reproducible.
+ *
+ * Configured with:
+ *   LOCAL_LLM_URL        - API base, default http://127.0.0.1:8080/v1
+ *   LOCAL_LLM_MODEL      - model name sent with requests, default "local"
+ *   LOCAL_LLM_TIMEOUT_MS - per-request timeout, default 20000
+ */
+
+import { z } from 'zod';
+import { generateReading } from './readingGenerator.js';
+
+const DEFAULT_URL = 'http://127.0.0.1:8080/v1';
+const DEFAULT_MODEL = 'local';
+const DEFAULT_TIMEOUT_MS = 20000;
+
+// After the server can't be reached the model is skipped for this long, so
+// a stopped server doesn't cost every upload a timeout
+const RETRY_AFTER_MS = 30000;
+
+// How much of the document the model sees
+const EXCERPT_LENGTH = 2000;
+
+// Card meanings stay about as long as the deck's own
+const MAX_MEANING_LENGTH = 400;
+
+const SYSTEM_PROMPT = [
+  'You are a tongue-in-cheek tarot reader for office documents.',
+  'For each card you are given, write its meaning for this document in one or two sentences:',
+  'playful, specific to the document, never offensive, no more than 60 words.',
+  'Reversed cards mean the opposite of the card\'s usual meaning.',
+  'Reply with JSON only: {"meanings": ["...", "..."]}, one string per card, in the order given.',
+].join(' ');
+
+// Time before which the model isn't tried again
+let unavailableUntil = 0;
+
+/**
+ * Read a positive integer from the environment
+ */
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Prompt describing the document and the dealt cards
+ */
+function buildPrompt({ title, keywords, category, text, spread }, cards) {
+  const cardList = cards.map((card, index) => {
+    const position = spread.positions[index];
+    const orientation = card.orientation === 'reversed' ? ', reversed' : '';
+    return `${index + 1}. ${position.label}: ${card.name}${orientation} (usual reading: ${card.meaning})`;
+  });
+
+  return [
+    `Document title: ${title}`,
+    `Category: ${category}`,
+    `Keywords: ${keywords.slice(0, 10).join(', ')}`,
+    '',
+    'Document excerpt:',
+    text.slice(0, EXCERPT_LENGTH),
+    '',
+    'Cards:',
+    ...cardList,
+  ].join('\n');
+}
+
+/**
+ * Pull the JSON object out of a model reply (some models wrap it in a code fence)
+ */
+function parseReply(content) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('reply is not JSON');
+  }
+  return JSON.parse(content.slice(start, end + 1));
+}
+
+/**
+ * Ask the model for one meaning per card
+ *
+ * @param {Object} params - generateReading parameters
+ * @param {Object} reading - The reading dealt from them
+ * @returns {Promise<string[]>}
+ */
+async function requestMeanings(params, { cards, seed }) {
+  const baseUrl = (process.env.LOCAL_LLM_URL || DEFAULT_URL).replace(/\/+$/, '');
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal: AbortSignal.timeout(envNumber('LOCAL_LLM_TIMEOUT_MS', DEFAULT_TIMEOUT_MS)),
+      body: JSON.stringify({
+        model: process.env.LOCAL_LLM_MODEL || DEFAULT_MODEL,
+        temperature: 0,
+        seed,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: buildPrompt(params, cards) },
+        ],
+      }),
+    });
+  } catch (error) {
+    unavailableUntil = Date.now() + RETRY_AFTER_MS;
+    throw new Error(`model server unreachable (${error.message})`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`model server responded ${response.status}`);
+  }
+
+  const completion = await response.json();
+  const content = completion.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') {
+    throw new Error('reply has no message content');
+  }
+
+  const MeaningsSchema = z.object({
+    meanings: z.array(z.string().trim().min(1).max(MAX_MEANING_LENGTH)).length(cards.length),
+  });
+  const result = MeaningsSchema.safeParse(parseReply(content));
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw new Error(`unusable reply (${issue.path.join('.')}: ${issue.message})`);
+  }
+  return result.data.meanings;
+}
+
+/**
+ * Local LLM reading provider
+ */
+export const localLlmProvider = {
+  id: 'local_llm',
+  reproducible: false,
+
+  /**
+   * @param {Object} params - Same parameters as generateReading
+   * @returns {Promise<Object>} - Reading with model-written card meanings
+   * @throws {Error} - When the model is unavailable or its reply is unusable
+   */
+  async generate(params) {
+    if (Date.now() < unavailableUntil) {
+      throw new Error('model server recently unavailable');
+    }
+
+    const reading = generateReading(params);
+    const meanings = await requestMeanings(params, reading);
+
+    return {
+      ...reading,
+      cards: reading.cards.map((card, index) => ({ ...card, meaning: meanings[index] })),
+    };
+  },
+};
+
+export default { localLlmProvider };
@@ -0,0 +1,192 @@
+/**
+ * Narrative Generator Service
+ *
+ * Composes the "overall reading": a few paragraphs that tie the dealt cards,
+ * aura and certification together, written from a small grammar with
+ * seeded choices so a reading always gets the same narrative
+ */
+
+import { hashCode, seededRandom } from './seededRandom.js';
+
+// Grammar rules. `#rule#` expands to one of that rule's alternatives and
+// `{name}` to a value from the reading; `.capitalize` or `.uncapitalize`
+// after either changes the case of the first letter.
+const GRAMMAR = {
+  opening: [
+    'The cards have gathered around #subject#, and they have opinions.',
+    '#subject.capitalize# has been laid on the table, and the deck has been shuffled accordingly.',
+    'Few documents are read this closely. #subject.capitalize# is about to find out why.',
+    'The deck took one look at #subject# and went very quiet.',
+  ],
+  category: [
+    'The cards read it as {category} material.',
+    'As far as the deck can tell, it belongs under {category}.',
+  ],
+  themes: [
+    'Its pages keep circling back to {keywords}.',
+    'Between the lines: {keywords}, again and again.',
+    'The recurring themes are {keywords}, and the cards noticed.',
+  ],
+  past: [
+    '{where.capitalize}, {card} recalls how it all began.',
+    '{card} sits {where}, remembering drafts long deleted.',
+    'Looking back, {card} appears {where}.',
+    'The history is written in {card}, {where}.',
+    '{card} turns up {where}, and nobody is surprised.',
+  ],
+  present: [
+    '{card} stands {where}, which explains a great deal about the current situation.',
+    '{where.capitalize}, {card} describes where things stand today.',
+    'Right now it is {card} {where}, for better or worse.',
+    '{card} lands {where} and makes itself at home.',
+    'There is no ignoring {card} {where}.',
+  ],
+  future: [
+    '{where.capitalize}, {card} waits with quiet determination.',
+    'Ahead lies {card}, {where}.',
+    'The road continues to {card}, {where}.',
+    '{card} is already circling {where}.',
+    'Soon enough comes {card}, {where}.',
+  ],
+  aura: [
+    'The {aura} aura sums it up: {auraDescription.uncapitalize}.',
+    'And its aura? {aura}. {auraDescription}.',
+  ],
+  closing: [
+    'The final seal reads “{certification}”. #signoff#',
+    'The deck has stamped it “{certification}”. #signoff#',
+  ],
+  signoff: [
+    'Proceed with caution, and perhaps a second coffee.',
+    'Handle with care and reply-all with restraint.',
+    'The cards have spoken; the calendar will have the last word.',
+  ],
+};
+
+// Expansion stops here, in case a rule ever refers back to itself
+const MAX_DEPTH = 8;
+
+// `#rule#`, `#rule.modifier#`, `{name}` or `{name.modifier}`
+const TOKEN_PATTERN = /#(\w+)(?:\.(\w+))?#|\{(\w+)(?:\.(\w+))?\}/g;
+
+const MODIFIERS = {
+  capitalize: (text) => text.charAt(0).toUpperCase() + text.slice(1),
+  uncapitalize: (text) => text.charAt(0).toLowerCase() + text.slice(1),
+};
+
+// Titles that say nothing about the document
+const PLACEHOLDER_TITLES = new Set(['untitled document']);
+
+/**
+ * Expand a grammar rule
+ *
+ * Rules and values are substituted in a single pass, so text coming from
+ * the document (a title with "#" or braces in it) is never expanded again.
+ *
+ * @param {string} text - Rule alternative to expand
+ * @param {Object} grammar - Rules by name
+ * @param {Object} values - Values for `{name}` tokens
+ * @param {Function} pick - Seeded choice from an array
+ * @param {number} depth - Current nesting
+ * @returns {string}
+ */
+function expand(text, grammar, values, pick, depth = 0) {
+  return text.replace(TOKEN_PATTERN, (match, rule, ruleModifier, name, nameModifier) => {
+    const expanded = rule
+      ? (depth < MAX_DEPTH && grammar[rule] ? expand(pick(grammar[rule]), grammar, values, pick, depth + 1) : '')
+      : values[name] ?? '';
+    const modifier = MODIFIERS[rule ? ruleModifier : nameModifier];
+    return modifier ? modifier(expanded) : expanded;
+  });
+}
+
+/**
+ * "a", "a and b", "a, b and c"
+ */
+function joinList(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items.at(-1)}` : items[0] || '';
+}
+
+/**
+ * Generate the overall reading
+ *
+ * @param {Object} params
+ * @param {string} params.title - Document title
+ * @param {string[]} params.keywords - Extracted keywords, best first
+ * @param {Array<{id: string, label: string}>} params.categories - Scored categories, best first
+ * @param {Object} params.spread - Spread the cards were dealt into
+ * @param {Array<{name: string, orientation: string}>} params.cards - Dealt cards, in spread order
+ * @param {Object} params.aura - Aura ({ name, description })
+ * @param {string} params.certification - Certification text
+ * @param {number} params.seed - Reading seed
+ * @param {number} params.drawNumber - Redraw count
+ * @returns {string[]} - Paragraphs
+ */
+export function generateNarrative({ title, keywords, categories, spread, cards, aura, certification, seed, drawNumber = 0 }) {
+  const narrativeSeed = hashCode(`narrative:${seed}:${drawNumber}`);
+  let step = 0;
+
+  // Alternatives aren't repeated until a rule has used them all, so a big
+  // spread doesn't read the same sentence twice in a row
+  const used = new Map();
+  const pick = (options) => {
+    const usedHere = used.get(options) || new Set();
+    if (usedHere.size === options.length) {
+      usedHere.clear();
+    }
+    const fresh = options.filter((option) => !usedHere.has(option));
+    const choice = fresh[Math.floor(seededRandom(narrativeSeed, step++) * fresh.length)];
+    used.set(options, usedHere.add(choice));
+    return choice;
+  };
+
+  const topCategory = categories?.[0];
+  const category = topCategory && topCategory.id !== 'general'
+    ? (topCategory.label || topCategory.id.replace(/_/g, ' ')).toLowerCase()
+    : null;
+  const hasTitle = title && !PLACEHOLDER_TITLES.has(title.toLowerCase());
+
+  // The subject is the only rule that depends on the document
+  const grammar = {
+    ...GRAMMAR,
+    subject: hasTitle ? ['“{title}”', 'this document'] : ['this document'],
+  };
+  const values = {
+    title,
+    category,
+    keywords: joinList(keywords.slice(0, 3)),
+    aura: aura.name,
+    auraDescription: (aura.description || '').replace(/\.$/, ''),
+    certification,
+  };
+  const say = (rule, extra = {}) => expand(`#${rule}#`, grammar, { ...values, ...extra }, pick);
+
+  // One sentence per card, in the voice of the pool it was drawn from
+  const single = spread.positions.length === 1;
+  const cardSentences = spread.positions.map((position, index) => {
+    const card = cards[index];
+    return {
+      pool: position.draw,
+      text: say(position.draw, {
+        card: card.orientation === 'reversed' ? `${card.name} (reversed)` : card.name,
+        where: single ? 'at the centre of the reading' : `in the ${position.label.toLowerCase()} position`,
+      }),
+    };
+  });
+  const sentencesFrom = (pools) => cardSentences
+    .filter(({ pool }) => pools.includes(pool))
+    .map(({ text }) => text);
+
+  const paragraphs = [
+    [say('opening'), category ? say('category') : null, keywords.length > 0 ? say('themes') : null],
+    sentencesFrom(['past', 'present']),
+    [...sentencesFrom(['future']), aura.description ? say('aura') : null],
+    [say('closing')],
+  ];
+
+  return paragraphs
+    .map((sentences) => sentences.filter(Boolean).join(' '))
+    .filter(Boolean);
+}
+
+export default { generateNarrative };
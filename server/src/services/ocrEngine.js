@@ -0,0 +1,63 @@
+/**
+ * OCR Service
+ *
+ * Rasterizes PDF pages and reads them with tesseract.js. Language data is
+ * bundled via @tesseract.js-data so nothing is downloaded at runtime.
+ */
+
+import { createRequire } from 'module';
+import { dirname, join } from 'path';
+import { createWorker, OEM } from 'tesseract.js';
+
+const require = createRequire(import.meta.url);
+const LANG_PATH = join(dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0');
+
+// Render at 2x (~144 DPI) - enough for tesseract without huge bitmaps
+const RENDER_SCALE = 2;
+
+/**
+ * Start an OCR session
+ *
+ * Spinning up a tesseract worker is the slow part, so one session is shared
+ * across every page of a document. Callers must `close()` it when done.
+ *
+ * @returns {Promise<{recognizePage: Function, close: Function}>}
+ */
+export async function createOcrSession() {
+  const worker = await createWorker('eng', OEM.LSTM_ONLY, {
+    langPath: LANG_PATH,
+    cacheMethod: 'none',
+    gzip: true,
+  });
+
+  /**
+   * Rasterize a pdf.js page and run OCR over it
+   *
+   * @param {PDFPageProxy} page - Page to read
+   * @param {Object} canvasFactory - The owning document's canvas factory
+   * @returns {Promise<{text: string, confidence: number}>}
+   */
+  async function recognizePage(page, canvasFactory) {
+    const viewport = page.getViewport({ scale: RENDER_SCALE });
+    const { canvas, context } = canvasFactory.create(
+      Math.ceil(viewport.width),
+      Math.ceil(viewport.height)
+    );
+
+    try {
+      await page.render({ canvas, canvasContext: context, viewport }).promise;
+      const image = canvas.toBuffer('image/png');
+      const { data } = await worker.recognize(image);
+      return { text: data.text.trim(), confidence: data.confidence };
+    } finally {
+      canvasFactory.destroy({ canvas, context });
+    }
+  }
+
+  return {
+    recognizePage,
+    close: () => worker.terminate(),
+  };
+}
+
+export default { createOcrSession };
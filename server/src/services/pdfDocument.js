@@ -0,0 +1,279 @@
+/**
+ * PDF Document Loader
+ *
+ * Thin wrapper around pdfjs-dist for loading PDFs on the server
+ */
+
+import { createRequire } from 'module';
+import { dirname, join } from 'path';
+import {
+  getDocument,
+  OPS,
+  PasswordResponses,
+  PDFDateString,
+  VerbosityLevel,
+} from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { passwordError } from '../errors.js';
+
+// Standard font data ships with pdfjs-dist; point the loader at it so glyph
+// metrics resolve without a network fetch
+const require = createRequire(import.meta.url);
+const PDFJS_ROOT = dirname(require.resolve('pdfjs-dist/package.json'));
+const STANDARD_FONT_DATA_URL = join(PDFJS_ROOT, 'standard_fonts') + '/';
+
+// Page sizes beyond this many pages aren't sampled - big documents are
+// almost always uniform and each getPage() call costs a worker round trip
+const MAX_SIZED_PAGES = 500;
+
+// Common paper sizes in PDF points (1/72 inch), portrait orientation
+const PAPER_SIZES = [
+  { name: 'Letter', width: 612, height: 792 },
+  { name: 'Legal', width: 612, height: 1008 },
+  { name: 'Tabloid', width: 792, height: 1224 },
+  { name: 'A3', width: 842, height: 1191 },
+  { name: 'A4', width: 595, height: 842 },
+  { name: 'A5', width: 420, height: 595 },
+];
+
+// Tolerance in points when matching a page against PAPER_SIZES
+const PAPER_SIZE_TOLERANCE = 3;
+
+// A horizontal gap wider than this many font sizes starts a new cell
+const CELL_GAP_EMS = 1.5;
+
+// Operators that draw an image
+const IMAGE_OPS = new Set([
+  OPS.paintImageXObject,
+  OPS.paintImageXObjectRepeat,
+  OPS.paintInlineImageXObject,
+  OPS.paintInlineImageXObjectGroup,
+  OPS.paintImageMaskXObject,
+  OPS.paintImageMaskXObjectRepeat,
+  OPS.paintImageMaskXObjectGroup,
+]);
+
+/**
+ * Load a PDF buffer into a pdf.js document proxy
+ *
+ * The caller owns the returned document and must call `destroy()` on it.
+ * Encrypted files are decrypted with `password`; a missing or wrong password
+ * rejects with a 401 DocumentError.
+ *
+ * @param {Buffer} pdfBuffer - PDF file as buffer
+ * @param {Object} options
+ * @param {string} options.password - Password for encrypted PDFs
+ * @returns {Promise<PDFDocumentProxy>}
+ */
+export async function loadPdfDocument(pdfBuffer, { password } = {}) {
+  const loadingTask = getDocument({
+    // Copy so pdf.js can't detach the caller's buffer
+    data: new Uint8Array(pdfBuffer),
+    password,
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    isEvalSupported: false,
+    useSystemFonts: false,
+    verbosity: VerbosityLevel.ERRORS,
+  });
+
+  try {
+    return await loadingTask.promise;
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      await loadingTask.destroy();
+      throw passwordError(error.code === PasswordResponses.INCORRECT_PASSWORD);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Iterate over the pages of a loaded document one at a time
+ *
+ * Each page is cleaned up before the next one is requested, so only a single
+ * page's resources are held in memory at once.
+ *
+ * @param {PDFDocumentProxy} doc - Loaded document
+ * @param {Object} options
+ * @param {number} options.maxPages - Stop after this many pages
+ * @yields {PDFPageProxy}
+ */
+export async function* iteratePages(doc, { maxPages = Infinity } = {}) {
+  const lastPage = Math.min(doc.numPages, maxPages);
+
+  for (let pageNumber = 1; pageNumber <= lastPage; pageNumber++) {
+    const page = await doc.getPage(pageNumber);
+    try {
+      yield page;
+    } finally {
+      page.cleanup();
+    }
+  }
+}
+
+/**
+ * Read the text lines of a single page along with their layout
+ *
+ * Starts a new line whenever the baseline moves, matching pdf-parse's output.
+ * `fontSize` is the largest glyph height on the line in points, `top` is
+ * the line's distance from the top edge as a fraction of the page height and
+ * `cells` counts the runs of text separated by wide gaps (table columns).
+ *
+ * @param {PDFPageProxy} page - Page to read
+ * @returns {Promise<Array<{text: string, fontSize: number, top: number, cells: number}>>}
+ */
+export async function getPageLines(page) {
+  const content = await page.getTextContent();
+  const [, bottom, , top] = page.view;
+  const pageHeight = top - bottom || 1;
+
+  const lines = [];
+  let line = null;
+  for (const item of content.items) {
+    const y = item.transform[5];
+    if (!line || y !== line.y) {
+      line = { text: '', fontSize: 0, y, cells: 0, right: null };
+      lines.push(line);
+    }
+    line.text += item.str;
+    if (item.str.trim()) {
+      // Vertical scale of the text matrix is the rendered font size
+      const fontSize = Math.hypot(item.transform[2], item.transform[3]);
+      line.fontSize = Math.max(line.fontSize, fontSize);
+
+      const x = item.transform[4];
+      if (line.right === null || x - line.right > CELL_GAP_EMS * fontSize) {
+        line.cells++;
+      }
+      line.right = x + item.width;
+    }
+  }
+
+  return lines.map(({ text, fontSize, y, cells }) => ({
+    text,
+    fontSize,
+    top: Math.min(1, Math.max(0, (top - y) / pageHeight)),
+    cells,
+  }));
+}
+
+/**
+ * Count the images drawn on a single page
+ *
+ * Walks the page's drawing operators, so an image placed twice counts twice.
+ * Pages whose content can't be parsed count as having none.
+ *
+ * @param {PDFPageProxy} page - Page to read
+ * @returns {Promise<number>}
+ */
+export async function getPageImageCount(page) {
+  const { fnArray } = await page.getOperatorList().catch(() => ({ fnArray: [] }));
+  return fnArray.filter((fn) => IMAGE_OPS.has(fn)).length;
+}
+
+/**
+ * Read the plain text of a single page
+ *
+ * @param {PDFPageProxy} page - Page to read
+ * @returns {Promise<string>}
+ */
+export async function getPageText(page) {
+  const lines = await getPageLines(page);
+  return lines.map((line) => line.text).join('\n');
+}
+
+/**
+ * Read the document information dictionary and structural flags
+ *
+ * Every string field is null when the PDF doesn't set it. Dates are ISO 8601
+ * strings; page sizes are grouped so a uniform document yields one entry.
+ *
+ * @param {PDFDocumentProxy} doc - Loaded document
+ * @param {Object} options
+ * @param {number} options.maxPages - Only size this many pages (the pages read at the extraction depth)
+ * @returns {Promise<{title: string|null, author: string|null, creator: string|null, producer: string|null, createdAt: string|null, modifiedAt: string|null, pageCount: number, pdfVersion: string|null, pageSizes: Array<{width: number, height: number, name: string|null, orientation: string, count: number}>, tagged: boolean, linearized: boolean}>}
+ */
+export async function getDocumentMetadata(doc, { maxPages = Infinity } = {}) {
+  const [{ info }, markInfo] = await Promise.all([
+    doc.getMetadata().catch(() => ({ info: {} })),
+    doc.getMarkInfo().catch(() => null),
+  ]);
+
+  return {
+    title: infoString(info?.Title),
+    author: infoString(info?.Author),
+    creator: infoString(info?.Creator),
+    producer: infoString(info?.Producer),
+    createdAt: infoDate(info?.CreationDate),
+    modifiedAt: infoDate(info?.ModDate),
+    pageCount: doc.numPages,
+    pdfVersion: infoString(info?.PDFFormatVersion),
+    pageSizes: await collectPageSizes(doc, maxPages),
+    tagged: markInfo?.Marked === true,
+    linearized: info?.IsLinearized === true,
+  };
+}
+
+/**
+ * Group page dimensions into distinct sizes with page counts
+ *
+ * @param {PDFDocumentProxy} doc - Loaded document
+ * @param {number} maxPages - Stop after this many pages
+ * @returns {Promise<Array<{width: number, height: number, name: string|null, orientation: string, count: number}>>}
+ */
+async function collectPageSizes(doc, maxPages) {
+  const sizes = new Map();
+
+  for await (const page of iteratePages(doc, { maxPages: Math.min(maxPages, MAX_SIZED_PAGES) })) {
+    // Scale 1 viewport is in points and already accounts for /Rotate
+    const { width, height } = page.getViewport({ scale: 1 });
+    const key = `${Math.round(width)}x${Math.round(height)}`;
+
+    const size = sizes.get(key);
+    if (size) {
+      size.count++;
+    } else {
+      sizes.set(key, {
+        width: Math.round(width),
+        height: Math.round(height),
+        name: paperSizeName(width, height),
+        orientation: width > height ? 'landscape' : 'portrait',
+        count: 1,
+      });
+    }
+  }
+
+  return [...sizes.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Name a page size if it matches a common paper format in either orientation
+ */
+function paperSizeName(width, height) {
+  const [short, long] = width < height ? [width, height] : [height, width];
+  const match = PAPER_SIZES.find(
+    (paper) =>
+      Math.abs(paper.width - short) <= PAPER_SIZE_TOLERANCE &&
+      Math.abs(paper.height - long) <= PAPER_SIZE_TOLERANCE
+  );
+  return match?.name || null;
+}
+
+/**
+ * Normalize an info dictionary string, treating blanks as missing
+ */
+function infoString(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  return value.trim() || null;
+}
+
+/**
+ * Parse a PDF date string ("D:20190314...") into ISO 8601
+ */
+function infoDate(value) {
+  const date = typeof value === 'string' ? PDFDateString.toDateObject(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+export default { loadPdfDocument, iteratePages, getPageLines, getPageImageCount, getPageText, getDocumentMetadata };
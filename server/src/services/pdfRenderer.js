@@ -2,9 +2,12 @@
  * PDF Renderer Service
  *
  * Creates tarot cover pages and merges with original PDFs using pdf-lib
+ * (the @cantoo fork, which can decrypt password-protected files)
  */
 
-import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
+import { PDFDocument, rgb, degrees, StandardFonts, EncryptedPDFError } from '@cantoo/pdf-lib';
+import { DocumentError, passwordError } from '../errors.js';
+import { getSpread } from './spreads.js';
 
 // Colors matching design system
 const COLORS = {
@@ -16,17 +19,163 @@ const COLORS = {
   past: rgb(104 / 255, 211 / 255, 145 / 255),          // Sage Green #68D391
   present: rgb(66 / 255, 153 / 255, 225 / 255),        // Ocean Blue #4299E1
   future: rgb(237 / 255, 100 / 255, 166 / 255),        // Twilight Rose #ED64A6
+  bond: rgb(246 / 255, 135 / 255, 179 / 255),          // Blush #F687B3
+  tension: rgb(245 / 255, 101 / 255, 101 / 255),       // Ember #F56565
+  outcome: rgb(159 / 255, 122 / 255, 234 / 255),       // Lavender #9F7AEA
+  track: rgb(0.15, 0.18, 0.25),
 };
 
+// Full-size card on the cover; bigger spreads shrink cards to fit
+const CARD_SIZE = { width: 140, height: 180, gap: 20 };
+
+// Space kept free below the spread for the aura, certification and footer
+const SPREAD_BOTTOM_MARGIN = 220;
+
+// Space kept free at the page sides
+const SPREAD_SIDE_MARGIN = 40;
+
+// Overall reading text
+const NARRATIVE_FONT_SIZE = 9;
+const NARRATIVE_LINE_HEIGHT = 13;
+
+// Compatibility cover: the score meters, and the space kept free below
+// the spread for the shared keywords and footer
+const METER_WIDTH = 180;
+const METER_LABEL_WIDTH = 130;
+const COMPATIBILITY_BOTTOM_MARGIN = 110;
+
+// The footer sits this high; page content stays clear of it
+const FOOTER_Y = 40;
+const FOOTER_CLEARANCE = 60;
+
+// Text never shrinks below these sizes, however small the cards get
+const MIN_FONT_SIZES = { label: 6, name: 7, meaning: 5.5 };
+
+/**
+ * Card size and text scale for a spread's grid within the space available
+ *
+ * A three-card spread on a Letter page gets full-size cards; larger grids
+ * and smaller pages scale everything down together.
+ */
+function spreadLayout(spread, availableWidth, availableHeight) {
+  const { gap } = CARD_SIZE;
+  const width = Math.min(CARD_SIZE.width, (availableWidth - gap * (spread.columns - 1)) / spread.columns);
+  const height = Math.min(CARD_SIZE.height, (availableHeight - gap * (spread.rows - 1)) / spread.rows);
+  const scale = Math.min(width / CARD_SIZE.width, height / CARD_SIZE.height);
+
+  return {
+    width,
+    height,
+    gap,
+    totalWidth: width * spread.columns + gap * (spread.columns - 1),
+    totalHeight: height * spread.rows + gap * (spread.rows - 1),
+    fonts: {
+      label: Math.max(MIN_FONT_SIZES.label, 10 * scale),
+      name: Math.max(MIN_FONT_SIZES.name, 12 * scale),
+      meaning: Math.max(MIN_FONT_SIZES.meaning, 8 * scale),
+    },
+    scale,
+  };
+}
+
+/**
+ * Draw a spread's cards on their grid
+ *
+ * @param {PDFPage} page - Page to draw on
+ * @param {Array} cards - Dealt cards ({ position, name, orientation, meaning })
+ * @param {Object} spread - Spread definition the cards were dealt into
+ * @param {Object} layout - Card size and fonts from spreadLayout()
+ * @param {{x: number, top: number}} origin - Top left corner of the grid
+ * @param {{boldFont: PDFFont, regularFont: PDFFont}} fontFaces - Embedded fonts
+ */
+function drawSpread(page, cards, spread, layout, origin, { boldFont, regularFont }) {
+  const { width: cardWidth, height: cardHeight, fonts, scale } = layout;
+
+  const padding = 10 * scale;
+  const textWidth = cardWidth - padding * 2;
+  const meaningLineHeight = fonts.meaning * 1.5;
+  const meaningTop = 75 * scale;
+  const maxMeaningLines = Math.max(1, Math.floor((cardHeight - meaningTop - padding) / meaningLineHeight) + 1);
+
+  spread.positions.forEach((position, index) => {
+    const card = cards.find((c) => c.position === position.id) || cards[index];
+    const color = COLORS[position.draw];
+    const cardX = origin.x + (position.column - 1) * (cardWidth + layout.gap);
+    const cardTop = origin.top - (position.row - 1) * (cardHeight + layout.gap);
+
+    // Card background
+    page.drawRectangle({
+      x: cardX,
+      y: cardTop - cardHeight,
+      width: cardWidth,
+      height: cardHeight,
+      color: COLORS.track,
+      borderColor: color,
+      borderWidth: 2,
+    });
+
+    // A reversed card's face is drawn turned 180° about the card's centre
+    const reversed = card.orientation === 'reversed';
+    const centerX = cardX + cardWidth / 2;
+    const centerY = cardTop - cardHeight / 2;
+    const drawOnFace = (text, options) => page.drawText(text, reversed
+      ? { ...options, x: 2 * centerX - options.x, y: 2 * centerY - options.y, rotate: degrees(180) }
+      : options);
+
+    // Position label
+    const labelText = fitText(
+      position.label.toUpperCase() + (reversed ? ' · REVERSED' : ''),
+      boldFont,
+      fonts.label,
+      textWidth
+    );
+    const labelWidth = boldFont.widthOfTextAtSize(labelText, fonts.label);
+    drawOnFace(labelText, {
+      x: centerX - labelWidth / 2,
+      y: cardTop - 25 * scale,
+      size: fonts.label,
+      font: boldFont,
+      color: color,
+    });
+
+    // Card name
+    const cardName = fitText(card.name, boldFont, fonts.name, textWidth);
+    const nameWidth = boldFont.widthOfTextAtSize(cardName, fonts.name);
+    drawOnFace(cardName, {
+      x: centerX - nameWidth / 2,
+      y: cardTop - 50 * scale,
+      size: fonts.name,
+      font: boldFont,
+      color: COLORS.white,
+    });
+
+    // Card meaning (wrapped)
+    const meaningLines = wrapToWidth(card.meaning, regularFont, fonts.meaning, textWidth, maxMeaningLines);
+    let meaningY = cardTop - meaningTop;
+    for (const line of meaningLines) {
+      drawOnFace(line, {
+        x: cardX + padding,
+        y: meaningY,
+        size: fonts.meaning,
+        font: regularFont,
+        color: COLORS.muted,
+      });
+      meaningY -= meaningLineHeight;
+    }
+  });
+}
+
 /**
  * Create a tarot cover page with the reading
  *
  * @param {Object} analysis - The analysis result
+ * @param {Object} spread - Spread definition the cards were dealt into
  * @param {number} pageWidth - Width of original PDF pages
  * @param {number} pageHeight - Height of original PDF pages
- * @returns {Promise<PDFDocument>} - PDF document with cover page
+ * @returns {Promise<PDFDocument>} - PDF document with cover page, plus an
+ *   overall reading page when the narrative doesn't fit on the cover
  */
-async function createCoverPage(analysis, pageWidth = 612, pageHeight = 792) {
+async function createCoverPage(analysis, spread, pageWidth = 612, pageHeight = 792) {
   const pdfDoc = await PDFDocument.create();
   const page = pdfDoc.addPage([pageWidth, pageHeight]);
 
@@ -80,76 +229,21 @@ async function createCoverPage(analysis, pageWidth = 612, pageHeight = 792) {
     color: COLORS.muted,
   });
 
-  // Draw three cards
+  // Draw the spread on its grid
   y -= 50;
-  const cardWidth = 140;
-  const cardHeight = 180;
-  const cardGap = 20;
-  const totalCardsWidth = cardWidth * 3 + cardGap * 2;
-  let cardX = centerX - totalCardsWidth / 2;
-
-  const positionColors = [COLORS.past, COLORS.present, COLORS.future];
-  const positionLabels = ['PAST', 'PRESENT', 'FUTURE'];
-
-  for (let i = 0; i < 3; i++) {
-    const card = analysis.cards[i];
-    const color = positionColors[i];
-
-    // Card background
-    page.drawRectangle({
-      x: cardX,
-      y: y - cardHeight,
-      width: cardWidth,
-      height: cardHeight,
-      color: rgb(0.15, 0.18, 0.25),
-      borderColor: color,
-      borderWidth: 2,
-    });
-
-    // Position label
-    const labelY = y - 25;
-    const labelText = positionLabels[i];
-    const labelWidth = boldFont.widthOfTextAtSize(labelText, 10);
-    page.drawText(labelText, {
-      x: cardX + cardWidth / 2 - labelWidth / 2,
-      y: labelY,
-      size: 10,
-      font: boldFont,
-      color: color,
-    });
-
-    // Card name
-    const nameY = y - 50;
-    const cardName = truncateText(card.name, 18);
-    const nameWidth = boldFont.widthOfTextAtSize(cardName, 12);
-    page.drawText(cardName, {
-      x: cardX + cardWidth / 2 - nameWidth / 2,
-      y: nameY,
-      size: 12,
-      font: boldFont,
-      color: COLORS.white,
-    });
-
-    // Card meaning (wrapped)
-    const meaningLines = wrapText(card.meaning, 22);
-    let meaningY = y - 75;
-    for (const line of meaningLines.slice(0, 5)) {
-      page.drawText(line, {
-        x: cardX + 10,
-        y: meaningY,
-        size: 8,
-        font: regularFont,
-        color: COLORS.muted,
-      });
-      meaningY -= 12;
-    }
-
-    cardX += cardWidth + cardGap;
-  }
-
-  // Aura badge
-  y -= cardHeight + 50;
-  const auraText = 'AURA: ' + analysis.aura;
+  const layout = spreadLayout(
+    spread,
+    pageWidth - SPREAD_SIDE_MARGIN * 2,
+    y - SPREAD_BOTTOM_MARGIN
+  );
+  const gridX = centerX - layout.totalWidth / 2;
+
+  drawSpread(page, analysis.cards, spread, layout, { x: gridX, top: y }, { boldFont, regularFont });
+
+  // Aura badge (readings from before auras had descriptions carry just the name)
+  y -= layout.totalHeight + 50;
+  const aura = typeof analysis.aura === 'string' ? { name: analysis.aura } : analysis.aura;
+  const auraText = 'AURA: ' + aura.name;
   const auraWidth = boldFont.widthOfTextAtSize(auraText, 14);
 
   // Badge background
@@ -160,7 +254,7 @@ async function createCoverPage(analysis, pageWidth = 612, pageHeight = 792) {
     y: y - 25,
     width: badgeWidth,
     height: 30,
-    color: COLORS.primary,
+    color: hexToRgb(aura.color) || COLORS.primary,
     borderColor: COLORS.gold,
     borderWidth: 1,
   });
@@ -173,8 +267,20 @@ async function createCoverPage(analysis, pageWidth = 612, pageHeight = 792) {
     color: COLORS.white,
   });
 
+  if (aura.description) {
+    const description = fitText(aura.description, regularFont, 10, pageWidth - SPREAD_SIDE_MARGIN * 2);
+    const descriptionWidth = regularFont.widthOfTextAtSize(description, 10);
+    page.drawText(description, {
+      x: centerX - descriptionWidth / 2,
+      y: y - 42,
+      size: 10,
+      font: regularFont,
+      color: COLORS.muted,
+    });
+  }
+
   // Certification stamp
-  y -= 70;
+  y -= 85;
   const certText = analysis.certification || 'Certified Chaotic Neutral';
   const certWidth = boldFont.widthOfTextAtSize(certText, 12);
 
@@ -207,19 +313,194 @@ async function createCoverPage(analysis, pageWidth = 612, pageHeight = 792) {
     color: COLORS.primary,
   });
 
-  // Footer
-  y = 40;
+  // Overall reading: under the stamp when it fits there, otherwise on a
+  // page of its own right after the cover
+  if (analysis.narrative?.length) {
+    const textWidth = pageWidth - SPREAD_SIDE_MARGIN * 2;
+    const lines = narrativeLines(analysis.narrative, regularFont, textWidth);
+    const top = y - 50;
+
+    if (lines.length * NARRATIVE_LINE_HEIGHT <= top - FOOTER_CLEARANCE) {
+      drawNarrative(page, lines, top, regularFont);
+    } else {
+      const narrativePage = pdfDoc.addPage([pageWidth, pageHeight]);
+      narrativePage.drawRectangle({ x: 0, y: 0, width: pageWidth, height: pageHeight, color: COLORS.background });
+
+      const headingText = 'THE OVERALL READING';
+      const headingWidth = boldFont.widthOfTextAtSize(headingText, 18);
+      narrativePage.drawText(headingText, {
+        x: centerX - headingWidth / 2,
+        y: pageHeight - 60,
+        size: 18,
+        font: boldFont,
+        color: COLORS.gold,
+      });
+
+      drawNarrative(narrativePage, lines, pageHeight - 100, regularFont);
+      drawFooter(narrativePage, regularFont, centerX);
+    }
+  }
+
+  drawFooter(page, regularFont, centerX);
+
+  return pdfDoc;
+}
+
+/**
+ * Create the cover page for a compatibility reading of two documents
+ *
+ * @param {Object} reading - The compatibility result from /api/compare
+ * @param {number} pageWidth - Width of the first document's pages
+ * @param {number} pageHeight - Height of the first document's pages
+ * @returns {Promise<PDFDocument>} - PDF document with the cover page
+ */
+async function createCompatibilityCover(reading, pageWidth = 612, pageHeight = 792) {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([pageWidth, pageHeight]);
+
+  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const regularFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+  const centerX = pageWidth / 2;
+  const textWidth = pageWidth - SPREAD_SIDE_MARGIN * 2;
+  const drawCentered = (text, y, size, font, color) => {
+    const fitted = fitText(text, font, size, textWidth);
+    page.drawText(fitted, { x: centerX - font.widthOfTextAtSize(fitted, size) / 2, y, size, font, color });
+  };
+
+  page.drawRectangle({ x: 0, y: 0, width: pageWidth, height: pageHeight, color: COLORS.background });
+
+  // Title and decorative line
+  let y = pageHeight - 60;
+  drawCentered('PDF TAROT COMPATIBILITY', y, 26, boldFont, COLORS.gold);
+  y -= 15;
+  page.drawRectangle({ x: centerX - 100, y, width: 200, height: 2, color: COLORS.primary });
+
+  // The couple
+  const [first, second] = reading.documents;
+  y -= 30;
+  drawCentered(first.title || 'Untitled Document', y, 13, regularFont, COLORS.white);
+  y -= 18;
+  drawCentered('&', y, 12, boldFont, COLORS.bond);
+  y -= 18;
+  drawCentered(second.title || 'Untitled Document', y, 13, regularFont, COLORS.white);
+
+  // Score and verdict
+  const { compatibility, verdict } = reading;
+  y -= 50;
+  drawCentered(`${compatibility.score}%`, y, 40, boldFont, COLORS.gold);
+  y -= 22;
+  drawCentered(verdict.name.toUpperCase(), y, 14, boldFont, COLORS.bond);
+  y -= 16;
+  drawCentered(verdict.description, y, 10, regularFont, COLORS.muted);
+
+  // What the score is made of, as meters
+  const meters = [
+    ['KEYWORD OVERLAP', compatibility.keywordOverlap],
+    ['CATEGORY MATCH', compatibility.categoryMatch],
+    ['STYLE SIMILARITY', compatibility.styleSimilarity],
+  ];
+  const meterX = centerX - (METER_LABEL_WIDTH + METER_WIDTH) / 2;
+  y -= 12;
+  for (const [label, value] of meters) {
+    y -= 16;
+    page.drawText(label, { x: meterX, y, size: 8, font: boldFont, color: COLORS.muted });
+    const barX = meterX + METER_LABEL_WIDTH;
+    page.drawRectangle({ x: barX, y: y - 1, width: METER_WIDTH, height: 8, color: COLORS.track });
+    if (value > 0) {
+      page.drawRectangle({ x: barX, y: y - 1, width: METER_WIDTH * value, height: 8, color: COLORS.primary });
+    }
+    page.drawText(`${Math.round(value * 100)}%`, { x: barX + METER_WIDTH + 8, y, size: 8, font: regularFont, color: COLORS.muted });
+  }
+
+  // The relationship spread
+  y -= 35;
+  const spread = reading.spread;
+  const layout = spreadLayout(spread, textWidth, y - COMPATIBILITY_BOTTOM_MARGIN);
+  drawSpread(page, reading.cards, spread, layout, { x: centerX - layout.totalWidth / 2, top: y }, { boldFont, regularFont });
+
+  // What they have in common
+  y -= layout.totalHeight + 35;
+  const shared = compatibility.sharedKeywords.length
+    ? 'SHARED KEYWORDS: ' + compatibility.sharedKeywords.join(', ')
+    : 'NO SHARED KEYWORDS';
+  drawCentered(shared, y, 10, boldFont, COLORS.muted);
+
+  drawFooter(page, regularFont, centerX);
+
+  return pdfDoc;
+}
+
+/**
+ * Wrap the narrative's paragraphs, with a blank line between them
+ *
+ * @param {string[]} paragraphs - Narrative paragraphs
+ * @param {PDFFont} font - Font the text is set in
+ * @param {number} maxWidth - Line width
+ * @returns {string[]}
+ */
+function narrativeLines(paragraphs, font, maxWidth) {
+  return paragraphs.flatMap((paragraph, index) => [
+    ...(index > 0 ? [''] : []),
+    ...wrapToWidth(paragraph, font, NARRATIVE_FONT_SIZE, maxWidth, Infinity),
+  ]);
+}
+
+/**
+ * Draw wrapped narrative lines from `top` down, stopping above the footer
+ */
+function drawNarrative(page, lines, top, font) {
+  const maxLines = Math.max(1, Math.floor((top - FOOTER_CLEARANCE) / NARRATIVE_LINE_HEIGHT));
+  lines.slice(0, maxLines).forEach((line, index) => {
+    if (!line) return;
+    page.drawText(line, {
+      x: SPREAD_SIDE_MARGIN,
+      y: top - index * NARRATIVE_LINE_HEIGHT,
+      size: NARRATIVE_FONT_SIZE,
+      font,
+      color: COLORS.muted,
+    });
+  });
+}
+
+/**
+ * Site credit at the bottom of a cover page
+ */
+function drawFooter(page, font, centerX) {
   const footerText = 'pdftarot.app';
-  const footerWidth = regularFont.widthOfTextAtSize(footerText, 10);
+  const footerWidth = font.widthOfTextAtSize(footerText, 10);
   page.drawText(footerText, {
     x: centerX - footerWidth / 2,
-    y,
+    y: FOOTER_Y,
     size: 10,
-    font: regularFont,
+    font,
     color: COLORS.muted,
   });
+}
 
-  return pdfDoc;
+/**
+ * Load the original PDF, decrypting it when needed
+ *
+ * An empty password is always tried so owner-restricted PDFs (which open
+ * without a password in any viewer) keep working.
+ *
+ * @param {Buffer} pdfBuffer - Original PDF as buffer
+ * @param {string} password - Password for encrypted PDFs
+ * @returns {Promise<PDFDocument>}
+ */
+async function loadOriginalPdf(pdfBuffer, password) {
+  try {
+    return await PDFDocument.load(pdfBuffer, { password: password ?? '' });
+  } catch (error) {
+    if (
+      error instanceof EncryptedPDFError ||
+      error.message === 'NEEDS PASSWORD' ||
+      error.message === 'Password incorrect'
+    ) {
+      throw passwordError(Boolean(password));
+    }
+    throw error;
+  }
 }
 
 /**
@@ -227,28 +508,31 @@ async function createCoverPage(analysis, pageWidth = 612, pageHeight = 792) {
  *
  * @param {Buffer} originalPdfBuffer - Original PDF as buffer
  * @param {Object} analysis - Analysis result for cover page
+ * @param {Object} options
+ * @param {string} options.password - Password for encrypted PDFs
  * @returns {Promise<Buffer>} - Merged PDF as buffer
  */
-export async function renderMergedPdf(originalPdfBuffer, analysis) {
+export async function renderMergedPdf(originalPdfBuffer, analysis, { password } = {}) {
   try {
-    // Load original PDF
-    const originalPdf = await PDFDocument.load(originalPdfBuffer, {
-      ignoreEncryption: true,
-    });
+    // Load (and decrypt) original PDF
+    const originalPdf = await loadOriginalPdf(originalPdfBuffer, password);
 
     // Get page dimensions from first page
     const firstPage = originalPdf.getPages()[0];
     const { width, height } = firstPage.getSize();
 
-    // Create cover page
-    const coverPdf = await createCoverPage(analysis, width, height);
+    // Create cover page (readings without a spread are three-card readings)
+    const spread = getSpread(analysis.spread?.id) || getSpread();
+    const coverPdf = await createCoverPage(analysis, spread, width, height);
 
     // Create new document and merge
     const mergedPdf = await PDFDocument.create();
 
-    // Copy cover page
-    const [coverPage] = await mergedPdf.copyPages(coverPdf, [0]);
-    mergedPdf.addPage(coverPage);
+    // Copy the cover (and the overall reading, when it needed its own page)
+    const coverPages = await mergedPdf.copyPages(coverPdf, coverPdf.getPageIndices());
+    for (const page of coverPages) {
+      mergedPdf.addPage(page);
+    }
 
     // Copy all original pages
     const pageIndices = originalPdf.getPageIndices();
@@ -262,11 +546,81 @@ export async function renderMergedPdf(originalPdfBuffer, analysis) {
     return Buffer.from(pdfBytes);
 
   } catch (error) {
+    if (error instanceof DocumentError) {
+      throw error;
+    }
+    console.error('[pdfRenderer] Error:', error);
+    throw new Error('Failed to render PDF');
+  }
+}
+
+/**
+ * Put a compatibility cover in front of both documents
+ *
+ * @param {Buffer} firstPdfBuffer - First PDF as buffer
+ * @param {Buffer} secondPdfBuffer - Second PDF as buffer
+ * @param {Object} reading - Compatibility result for the cover page
+ * @param {Object} options
+ * @param {string} options.firstPassword - Password for the first PDF
+ * @param {string} options.secondPassword - Password for the second PDF
+ * @param {string[]} options.filenames - Upload filenames, for error messages
+ * @returns {Promise<Buffer>} - Merged PDF as buffer
+ */
+export async function renderCompatibilityPdf(firstPdfBuffer, secondPdfBuffer, reading, { firstPassword, secondPassword, filenames = [] } = {}) {
+  try {
+    // Password errors name the document they're about
+    const labels = [filenames[0] || 'First document', filenames[1] || 'Second document'];
+    const originals = [];
+    for (const [index, [buffer, password]] of [[firstPdfBuffer, firstPassword], [secondPdfBuffer, secondPassword]].entries()) {
+      try {
+        originals.push(await loadOriginalPdf(buffer, password));
+      } catch (error) {
+        if (error instanceof DocumentError) {
+          throw new DocumentError(`${labels[index]}: ${error.message}`, { status: error.status, code: error.code });
+        }
+        throw error;
+      }
+    }
+
+    // The cover takes the first document's page size
+    const { width, height } = originals[0].getPages()[0].getSize();
+    const coverPdf = await createCompatibilityCover(reading, width, height);
+
+    const mergedPdf = await PDFDocument.create();
+    for (const source of [coverPdf, ...originals]) {
+      const pages = await mergedPdf.copyPages(source, source.getPageIndices());
+      for (const page of pages) {
+        mergedPdf.addPage(page);
+      }
+    }
+
+    const pdfBytes = await mergedPdf.save();
+    return Buffer.from(pdfBytes);
+
+  } catch (error) {
+    if (error instanceof DocumentError) {
+      throw error;
+    }
     console.error('[pdfRenderer] Error:', error);
     throw new Error('Failed to render PDF');
   }
 }
 
+/**
+ * Parse a #RRGGBB colour
+ *
+ * @param {string} hex - Colour from a deck pack
+ * @returns {Object|null} - pdf-lib colour, or null when missing or malformed
+ */
+function hexToRgb(hex) {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!match) {
+    return null;
+  }
+  const [r, g, b] = match.slice(1).map((part) => parseInt(part, 16) / 255);
+  return rgb(r, g, b);
+}
+
 /**
  * Truncate text to max length with ellipsis
  */
@@ -276,19 +630,39 @@ function truncateText(text, maxLength) {
 }
 
 /**
- * Wrap text into lines of max characters
+ * Shorten text with an ellipsis until it fits a width
  */
-function wrapText(text, maxChars) {
+function fitText(text, font, size, maxWidth) {
+  if (font.widthOfTextAtSize(text, size) <= maxWidth) return text;
+
+  let fitted = text;
+  while (fitted.length > 1 && font.widthOfTextAtSize(fitted + '...', size) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return fitted.trimEnd() + '...';
+}
+
+/**
+ * Wrap text into lines that fit a width, ending with an ellipsis when it
+ * runs past the last allowed line
+ */
+function wrapToWidth(text, font, size, maxWidth, maxLines) {
   const words = text.split(' ');
   const lines = [];
   let currentLine = '';
 
-  for (const word of words) {
-    if (currentLine.length + word.length + 1 <= maxChars) {
-      currentLine += (currentLine ? ' ' : '') + word;
-    } else {
-      if (currentLine) lines.push(currentLine);
-      currentLine = word;
+  for (let i = 0; i < words.length; i++) {
+    const candidate = currentLine ? currentLine + ' ' + words[i] : words[i];
+    if (!currentLine || font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+      currentLine = candidate;
+      continue;
+    }
+
+    lines.push(currentLine);
+    currentLine = words[i];
+    if (lines.length === maxLines) {
+      lines[maxLines - 1] = fitText(lines[maxLines - 1] + ' ' + words.slice(i).join(' '), font, size, maxWidth);
+      return lines;
     }
   }
   if (currentLine) lines.push(currentLine);
@@ -296,4 +670,4 @@ function wrapText(text, maxChars) {
   return lines;
 }
 
-export default { renderMergedPdf };
+export default { renderMergedPdf, renderCompatibilityPdf };
@@ -4,152 +4,158 @@
  * Generates tarot-style readings based on document analysis
  */
 
-// Tarot card decks for each position
-const CARD_DECKS = {
-  past: [
-    {
-      name: 'The Procrastinator',
-      meaning: "This document began its journey in the depths of someone's 'to-do later' pile. It has known neglect, yet persevered."
-    },
-    {
-      name: 'The Midnight Oil',
-      meaning: 'Born from late-night inspiration and questionable coffee decisions. This document carries the energy of deadlines past.'
-    },
-    {
-      name: 'The Copy-Paste Sage',
-      meaning: 'Much wisdom here was borrowed from documents that came before. Standing on the shoulders of templates.'
-    },
-    {
-      name: 'The Revision Maze',
-      meaning: 'This document has seen many versions, each one slightly different, none quite right. Version 17 remembers.'
-    },
-    {
-      name: 'The Abandoned Draft',
-      meaning: 'Once begun with great enthusiasm, then forgotten for weeks. Its early paragraphs still echo with optimism.'
-    },
-    {
-      name: 'The Meeting Minutes',
-      meaning: 'This document was birthed in a conference room. It carries the collective indecision of many voices.'
-    },
-    {
-      name: 'The Inherited Legacy',
-      meaning: 'Someone else started this. The original author has moved on, leaving only cryptic comments behind.'
-    },
-    {
-      name: 'The Scope Creeper',
-      meaning: 'What began as a simple task grew into something far more complex. Feature creep left its mark.'
-    }
-  ],
-  present: [
-    {
-      name: 'The Attention Seeker',
-      meaning: 'Right now, this document desperately wants to be read. It yearns for someone to actually make it to page 2.'
-    },
-    {
-      name: 'The Hopeful Attachment',
-      meaning: 'Currently sitting in an inbox, waiting to be opened. It believes today could be the day.'
-    },
-    {
-      name: 'The Polished Facade',
-      meaning: 'Presenting its best self with clean formatting and professional fonts. But we know the tracked changes it hides.'
-    },
-    {
-      name: 'The Meeting Survivor',
-      meaning: 'This document has been projected onto screens and scrutinized by many. It seeks validation.'
-    },
-    {
-      name: 'The Urgent Flag',
-      meaning: 'Marked as important! High priority! But is anyone actually reading it? The document wonders.'
-    },
-    {
-      name: 'The Circling Approval',
-      meaning: 'Currently making rounds through the approval chain. Each signature brings it closer to its destiny.'
-    },
-    {
-      name: 'The Open Tab',
-      meaning: 'Living in a browser tab among dozens of others. Occasionally glimpsed but never fully absorbed.'
-    },
-    {
-      name: 'The Desktop Dweller',
-      meaning: 'Saved to the desktop for "quick access." Now buried under 47 other files with similar intentions.'
-    }
-  ],
-  future: [
-    {
-      name: 'The Forgotten Archive',
-      meaning: "Beware! This document's destiny leads to a folder called 'Old Stuff' where it will languish for eternity."
-    },
-    {
-      name: 'The Scope Creep',
-      meaning: 'Warning: Additional requirements approach. This document will grow to twice its intended size.'
-    },
-    {
-      name: 'The Reply All Catastrophe',
-      meaning: 'Danger ahead! This document may be accidentally sent to people who should never see it.'
-    },
-    {
-      name: 'The Printer Nemesis',
-      meaning: 'A formatting disaster awaits. Margins will shift, fonts will change, and someone will say "it looked fine on my screen."'
-    },
-    {
-      name: 'The Endless Revision',
-      meaning: 'More feedback is coming. Version numbers will climb. The "final" version will spawn many children.'
-    },
-    {
-      name: 'The Deadline Demon',
-      meaning: 'A hard deadline approaches. Corners will be cut. Sleep will be lost. The document will ship anyway.'
-    },
-    {
-      name: 'The Silent Archive',
-      meaning: 'After much fanfare, this document will be filed away and never opened again. Such is the cycle.'
-    },
-    {
-      name: 'The Rebirth',
-      meaning: 'This document will be repurposed. Its content will live on in presentations, emails, and other forms.'
-    }
-  ]
+import { createRequire } from 'module';
+import { hashCode, seededRandom } from './seededRandom.js';
+import { formatEntityDate } from './entityExtractor.js';
+import { getSpread } from './spreads.js';
+
+// The cards, auras and certifications of the original generator, frozen so
+// legacy readings keep their exact wording whatever happens to the classic pack
+const require = createRequire(import.meta.url);
+const LEGACY_DECK = require('../data/legacyDeck.json');
+
+// Cards, auras and certifications come from a deck pack (see deckLoader.js).
+//
+// A card's `affinities` make it more likely for documents that fit it:
+//   categories - weight per category id, scaled by the classifier's confidence
+//   keywords   - lemmas that count when they appear in the extracted keywords
+//   pages      - { min, max } page count; outside it the card can't be drawn
+//   metadata   - weight per document signal: history from the metadata
+//                dates, or the shape of the text (see documentSignals)
+//
+// Meanings are templates: `{slot}` is filled from the analysis (see
+// readingSlots) and `{slot|fallback}` gives the words to use instead when
+// the document has nothing for that slot.
+
+/**
+ * Which way up a card was dealt
+ */
+export const CARD_ORIENTATIONS = {
+  UPRIGHT: 'upright',
+  REVERSED: 'reversed',
+};
+
+// Share of cards (with a reversed meaning) that are dealt upside down
+const REVERSED_CHANCE = 1 / 3;
+
+// Keeps the orientation draws apart from the card draws on the same seed
+const ORIENTATION_OFFSET = 100;
+
+/**
+ * How a reading is dealt
+ *
+ * FINGERPRINT seeds the deck pack's weighted draw from the digest of
+ * the file bytes, the same at every extraction depth. LEGACY runs the original generator instead: the original
+ * cards, auras and certifications picked by `(seed + step) % length`,
+ * upright, with their meanings as written, from the original 32-bit hash of
+ * the first 500 characters and the title (or the `seed` given).
+ */
+export const SEED_MODES = {
+  FINGERPRINT: 'fingerprint',
+  LEGACY: 'legacy',
 };
 
-// Aura types based on document characteristics
-const AURAS = [
-  { name: 'Focus Goblin', description: 'Highly concentrated content, dense with purpose' },
-  { name: 'Deadline Phantom', description: 'Created under pressure, radiates urgency' },
-  { name: 'Meeting Magnet', description: 'Will spawn many discussions and calendar invites' },
-  { name: 'Inbox Specter', description: 'Destined to haunt email threads' },
-  { name: 'Revision Wraith', description: 'Will undergo many transformations' },
-  { name: 'Approval Seeker', description: 'Craves validation from stakeholders' },
-  { name: 'Scope Creeper', description: 'Tends to expand beyond original boundaries' },
-  { name: 'Format Warrior', description: 'Fights valiantly against inconsistent styling' },
-  { name: 'Archive Wanderer', description: 'Seeks a final resting place in the file system' },
-  { name: 'Tab Haunter', description: 'Will live in browser tabs indefinitely' }
-];
-
-// Certification stamps
-const CERTIFICATIONS = [
-  'Certified Chaotic Neutral',
-  'Professionally Procrastinated',
-  'Officially Overthought',
-  'Beautifully Bureaucratic',
-  'Delightfully Disorganized',
-  'Strategically Ambiguous',
-  'Carefully Cluttered',
-  'Magnificently Meandering',
-  'Perfectly Pending',
-  'Blissfully Bloated'
-];
-
-/**
- * Generate a seeded random number based on text hash
- * This ensures same document gets same reading
- */
-function hashCode(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
+/**
+ * Largest seed accepted from a client
+ */
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * Largest redraw count accepted from a client
+ */
+export const MAX_DRAW_NUMBER = 9999;
+
+// Seed offsets for the aura and certification picks
+const AURA_SEED_STEP = 3;
+const CERTIFICATION_SEED_STEP = 4;
+
+// An aura whose tone fit (its tone weights times the document's tone
+// scores) reaches this is picked for its tone rather than by seed
+const TONE_AURA_THRESHOLD = 1.5;
+
+/**
+ * How the aura was chosen
+ */
+export const AURA_PICKS = {
+  TONE: 'tone',
+  SEED: 'seed',
+};
+
+// Every card starts at this weight so any card can still be drawn
+const BASE_WEIGHT = 1;
+
+// Weight per keyword trigger found, capped so one card can't run away
+const KEYWORD_WEIGHT = 1.5;
+const MAX_KEYWORD_HITS = 3;
+
+// Modified this long after creation counts as "revised"
+const REVISED_AFTER_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Modified within this long of creation counts as "untouched"
+const UNTOUCHED_WITHIN_MS = 24 * 60 * 60 * 1000;
+
+// Thresholds on the document statistics for the text signals
+const DENSE_BELOW_READING_EASE = 30;
+const PASSIVE_FROM_RATIO = 0.25;
+const TABULAR_FROM_TABLES_PER_PAGE = 0.3;
+const ILLUSTRATED_FROM_IMAGES_PER_PAGE = 1;
+const BLANK_PAGES_FROM_RATIO = 0.1;
+const LONG_READ_FROM_MINUTES = 30;
+
+// Stand-in text for slots without an inline fallback
+const SLOT_FALLBACKS = {
+  title: 'this document',
+  topKeyword: 'its subject',
+  pageCount: 'every page',
+  category: '',
+  author: 'its author',
+  person: 'someone important',
+  organization: 'the organisation',
+  amount: 'the money',
+  date: 'one fateful day',
+  deadline: 'the deadline',
+};
+
+// Titles that say nothing about the document
+const PLACEHOLDER_TITLES = new Set(['untitled document']);
+
+// `{slot}` or `{slot|fallback}`
+const SLOT_PATTERN = /\{(\w+)(?:\|([^}]*))?\}/g;
+
+/**
+ * A document's own seed
+ *
+ * @param {Object} params
+ * @param {string} params.text - Extracted text
+ * @param {string} params.title - Document title
+ * @param {string} params.fileDigest - Hex digest of the file bytes from digestFile
+ * @returns {number}
+ */
+function documentSeed({ text, title, fileDigest }) {
+  if (!fileDigest) {
+    return legacySeed(text, title);
   }
-  return Math.abs(hash);
+  // Only the bytes, not the bytes plus the text: the text depends on how
+  // deep the document was read (and on OCR), and a document should deal
+  // the same reading at any depth. Identical bytes always extract to the
+  // same text, so the text would add nothing else.
+  // The first 32 bits of the digest: seeds are 32-bit, so unrelated files
+  // can still share one (about 1 in 4 billion per pair)
+  return parseInt(fileDigest.slice(0, 8), 16);
+}
+
+/**
+ * The original generator's seed
+ */
+function legacySeed(text, title) {
+  return hashCode(text.slice(0, 500) + title);
+}
+
+/**
+ * Seed for the nth redraw of a reading (the 0th is the seed itself)
+ */
+function redrawSeed(seed, drawNumber) {
+  return drawNumber > 0 ? hashCode(`${seed}:${drawNumber}`) : seed;
 }
 
 /**
@@ -160,6 +166,212 @@ function selectSeeded(array, seed, offset = 0) {
   return array[index];
 }
 
+/**
+ * Pick the aura that best fits the document's tone, or by seed when none
+ * fits strongly enough
+ *
+ * @param {Array} auras - Deck pack auras
+ * @param {Object} tone - Tone analysis ({ scores }), if any
+ * @param {number} seed - Seed value
+ * @returns {{aura: Object, pickedBy: string, toneFit: number}} - toneFit is the best fit found
+ */
+function selectAura(auras, tone, seed) {
+  let best = null;
+  let bestFit = 0;
+  for (const aura of auras) {
+    const fit = Object.entries(aura.tones || {})
+      .reduce((sum, [name, weight]) => sum + weight * (tone?.scores[name] || 0), 0);
+    if (fit > bestFit) {
+      best = aura;
+      bestFit = fit;
+    }
+  }
+
+  const toneFit = roundForDisplay(bestFit);
+  if (best && bestFit >= TONE_AURA_THRESHOLD) {
+    return { aura: best, pickedBy: AURA_PICKS.TONE, toneFit };
+  }
+  return { aura: selectSeeded(auras, seed, AURA_SEED_STEP), pickedBy: AURA_PICKS.SEED, toneFit };
+}
+
+/**
+ * Boolean signals about a document: its history, from the metadata dates,
+ * and the shape of its text, from the document statistics
+ */
+function documentSignals(metadata, statistics) {
+  const created = Date.parse(metadata?.createdAt ?? '');
+  const modified = Date.parse(metadata?.modifiedAt ?? '');
+  const dated = !Number.isNaN(created) && !Number.isNaN(modified);
+  const age = modified - created;
+
+  return {
+    revised: dated && age >= REVISED_AFTER_MS,
+    untouched: dated && age <= UNTOUCHED_WITHIN_MS,
+    dense: (statistics?.fleschReadingEase ?? Infinity) < DENSE_BELOW_READING_EASE,
+    passive: (statistics?.passiveVoiceRatio ?? 0) >= PASSIVE_FROM_RATIO,
+    tabular: (statistics?.perPage.tables ?? 0) >= TABULAR_FROM_TABLES_PER_PAGE,
+    illustrated: (statistics?.perPage.images ?? 0) >= ILLUSTRATED_FROM_IMAGES_PER_PAGE,
+    blankPages: (statistics?.blankPageRatio ?? 0) >= BLANK_PAGES_FROM_RATIO,
+    longRead: (statistics?.readingMinutes ?? 0) >= LONG_READ_FROM_MINUTES,
+  };
+}
+
+/**
+ * How well a card fits a document, and which affinities matched
+ *
+ * @param {Object} card - Card with optional affinities
+ * @param {Object} context - Document facts from generateReading
+ * @returns {Object} - { weight, categories, keywords, metadata, pagesExcluded };
+ *   weight is 0 when the card doesn't fit at all
+ */
+function cardFit(card, { categories, keywordLemmas, pageCount, signals }) {
+  const affinities = card.affinities || {};
+  let weight = BASE_WEIGHT;
+
+  const matchedCategories = [];
+  for (const { id, confidence } of categories) {
+    const bonus = (affinities.categories?.[id] || 0) * confidence;
+    if (bonus > 0) {
+      matchedCategories.push({ id, weight: bonus });
+      weight += bonus;
+    }
+  }
+
+  const hits = (affinities.keywords || []).filter((trigger) => keywordLemmas.has(trigger));
+  weight += KEYWORD_WEIGHT * Math.min(hits.length, MAX_KEYWORD_HITS);
+
+  const matchedSignals = [];
+  for (const [signal, bonus] of Object.entries(affinities.metadata || {})) {
+    if (signals[signal]) {
+      matchedSignals.push(signal);
+      weight += bonus;
+    }
+  }
+
+  const { min = 0, max = Infinity } = affinities.pages || {};
+  const pagesExcluded = Boolean(pageCount) && (pageCount < min || pageCount > max);
+
+  return {
+    weight: pagesExcluded ? 0 : weight,
+    categories: matchedCategories,
+    keywords: hits,
+    metadata: matchedSignals,
+    pagesExcluded,
+  };
+}
+
+/**
+ * Pick a card with probability proportional to its weight
+ *
+ * The seed fixes where on the cumulative weight line we land, so the same
+ * document always draws the same card. Cards named in `drawn` are skipped
+ * so a spread doesn't deal the same card twice.
+ *
+ * @returns {Object} - { card, fit, total, roll, repeat }: the card, its
+ *   cardFit, the pool's total weight, the seeded roll, and whether the card
+ *   had to be picked without weights
+ */
+function selectWeighted(deck, context, seed, offset, drawn = new Set()) {
+  const fits = deck.map((card) => cardFit(card, context));
+  const weights = deck.map((card, i) => (drawn.has(card.name) ? 0 : fits[i].weight));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  // Every card ruled out or already dealt (a small pack in a big spread) -
+  // a card still has to be dealt, even a repeat
+  if (total === 0) {
+    const index = (seed + offset) % deck.length;
+    return { card: deck[index], fit: fits[index], total, roll: null, repeat: true };
+  }
+
+  const roll = seededRandom(seed, offset);
+  const pick = (index) => ({ card: deck[index], fit: fits[index], total, roll, repeat: false });
+
+  let target = roll * total;
+  for (let i = 0; i < deck.length; i++) {
+    target -= weights[i];
+    if (target < 0) {
+      return pick(i);
+    }
+  }
+  // Rounding can leave a sliver at the end - give it to the last drawable card
+  return pick(weights.findLastIndex((weight) => weight > 0));
+}
+
+/**
+ * Round a weight or roll for display in an explanation
+ */
+function roundForDisplay(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Why a card was dealt: the affinities it matched, its share of the pool's
+ * weight, and the seeded rolls that picked it and its orientation
+ *
+ * @param {Object} draw - Result of selectWeighted
+ * @param {number} step - Seed offset the card was drawn at
+ * @param {number|null} orientationRoll - Roll that set the orientation, or null
+ *   for cards without a reversed meaning
+ * @returns {Object}
+ */
+function explainDraw({ fit, total, roll, repeat }, step, orientationRoll) {
+  return {
+    weight: roundForDisplay(fit.weight),
+    chance: total > 0 ? roundForDisplay(fit.weight / total) : null,
+    categories: fit.categories.map(({ id, weight }) => ({ id, weight: roundForDisplay(weight) })),
+    keywords: fit.keywords,
+    metadata: fit.metadata,
+    pagesExcluded: fit.pagesExcluded,
+    seedStep: step,
+    roll: roll === null ? null : roundForDisplay(roll),
+    repeat,
+    orientation: orientationRoll === null
+      ? null
+      : { roll: roundForDisplay(orientationRoll), reversedBelow: roundForDisplay(REVERSED_CHANCE) },
+  };
+}
+
+/**
+ * Values for the meaning template slots, or null where the document has none
+ */
+function readingSlots({ title, keywords, categories, metadata, entities }) {
+  const pageCount = metadata?.pageCount || 0;
+  const topCategory = categories[0];
+  const author = metadata?.author?.trim();
+  // The most mentioned date; ties go to the first
+  const date = entities?.dates.reduce((best, entry) => (entry.count > best.count ? entry : best), entities.dates[0]);
+  const deadline = entities?.deadlines[0];
+
+  return {
+    title: title && !PLACEHOLDER_TITLES.has(title.toLowerCase()) ? `“${title}”` : null,
+    topKeyword: keywords[0] || null,
+    pageCount: pageCount ? `${pageCount} ${pageCount === 1 ? 'page' : 'pages'}` : null,
+    category: topCategory && topCategory.id !== 'general'
+      ? (topCategory.label || topCategory.id.replace(/_/g, ' ')).toLowerCase()
+      : null,
+    author: author || null,
+    person: entities?.people[0]?.name ?? null,
+    organization: entities?.organizations[0]?.name ?? null,
+    amount: entities?.amounts[0]?.text ?? null,
+    date: date ? formatEntityDate(date.date) : null,
+    deadline: deadline ? formatEntityDate(deadline.date) : null,
+  };
+}
+
+/**
+ * Fill a meaning template's slots
+ *
+ * @param {string} template - Meaning with `{slot}` / `{slot|fallback}` placeholders
+ * @param {Object} slots - Values from readingSlots()
+ * @returns {string}
+ */
+function fillMeaning(template, slots) {
+  return template
+    .replace(SLOT_PATTERN, (match, slot, fallback) => slots[slot] ?? fallback ?? SLOT_FALLBACKS[slot] ?? '')
+    // An empty fallback can leave a double space behind
+    .replace(/ {2,}/g, ' ');
+}
+
 /**
  * Generate a tarot reading from document analysis
  *
@@ -167,34 +379,147 @@ function selectSeeded(array, seed, offset = 0) {
  * @param {string} params.title - Document title
  * @param {string[]} params.keywords - Extracted keywords
  * @param {string} params.category - Document category
+ * @param {Array<{id: string, confidence: number}>} params.categories - Scored categories from classifyDocument
+ * @param {Object} params.metadata - Document metadata (page count, dates, author)
+ * @param {Object} params.statistics - Document statistics from computeDocumentStatistics()
+ * @param {Object} params.tone - Tone analysis from analyzeTone()
+ * @param {Object} params.entities - People, organisations, amounts and dates from extractEntities()
  * @param {string} params.text - Raw text (for hashing)
+ * @param {Object} params.deck - Deck pack from getDeckPack()
+ * @param {Object} params.spread - Spread definition from getSpread()
+ * @param {string} params.fileDigest - Digest of the file bytes (see documentFingerprint.js)
+ * @param {number} params.seed - Seed to deal from instead of the document's own
+ * @param {number} params.drawNumber - Redraw count; each gives a different reading
+ * @param {boolean} params.explain - Add an `explanation` to each card and the reading
  * @returns {Object} - Complete tarot reading
  */
-export function generateReading({ title, keywords, category, text }) {
-  // Create seed from document content for reproducible results
-  const seed = hashCode(text.slice(0, 500) + title);
+export function generateReading({
+  title, keywords, category, categories, metadata, statistics, tone, entities, text, deck, spread,
+  fileDigest, seed: requestedSeed, drawNumber = 0, explain = false,
+}) {
+  // The document's own content seeds the reading unless a seed is given, so
+  // the same document - or the same seed and draw number - always gets the
+  // same reading. Both are returned so a reading can be reproduced.
+  const readingSeed = requestedSeed ?? documentSeed({ text, title, fileDigest });
+  const seed = redrawSeed(readingSeed, drawNumber);
+
+  const scoredCategories = categories || [{ id: category, confidence: 1 }];
+
+  // What the cards' affinities are matched against
+  const context = {
+    categories: scoredCategories,
+    keywordLemmas: new Set(keywords.flatMap((keyword) => keyword.split(' '))),
+    pageCount: metadata?.pageCount || 0,
+    signals: documentSignals(metadata, statistics),
+  };
 
-  // Select cards for each position
-  const pastCard = selectSeeded(CARD_DECKS.past, seed, 0);
-  const presentCard = selectSeeded(CARD_DECKS.present, seed, 1);
-  const futureCard = selectSeeded(CARD_DECKS.future, seed, 2);
+  // Deal a card into each position, weighted towards cards that fit
+  const drawn = new Set();
+  const dealt = spread.positions.map((position, index) => {
+    const draw = selectWeighted(deck.cards[position.draw], context, seed, index, drawn);
+    const { card } = draw;
+    drawn.add(card.name);
 
-  // Select aura and certification
-  const aura = selectSeeded(AURAS, seed, 3);
-  const certification = selectSeeded(CERTIFICATIONS, seed, 4);
+    const orientationRoll = card.reversed ? seededRandom(seed, ORIENTATION_OFFSET + index) : null;
+    const reversed = orientationRoll !== null && orientationRoll < REVERSED_CHANCE;
+    return {
+      position: position.id,
+      card,
+      reversed,
+      explanation: explain ? explainDraw(draw, index, orientationRoll) : undefined,
+    };
+  });
+
+  // The aura follows the document's tone when it's strong enough; the
+  // certification is by seed alone
+  const { aura, pickedBy, toneFit } = selectAura(deck.auras, tone, seed);
+  const certification = selectSeeded(deck.certifications, seed, CERTIFICATION_SEED_STEP);
+
+  const slots = readingSlots({ title, keywords, categories: scoredCategories, metadata, entities });
 
   return {
     title,
     keywords,
     category,
-    aura: aura.name,
+    deck: deck.id,
+    spread,
+    seedMode: SEED_MODES.FINGERPRINT,
+    seed: readingSeed,
+    drawNumber,
+    aura: { name: aura.name, description: aura.description, color: aura.color, icon: aura.icon },
     certification,
-    cards: [
-      { position: 'past', name: pastCard.name, meaning: pastCard.meaning },
-      { position: 'present', name: presentCard.name, meaning: presentCard.meaning },
-      { position: 'future', name: futureCard.name, meaning: futureCard.meaning }
-    ]
+    cards: dealt.map(({ position, card, reversed, explanation }) => ({
+      position,
+      name: card.name,
+      orientation: reversed ? CARD_ORIENTATIONS.REVERSED : CARD_ORIENTATIONS.UPRIGHT,
+      meaning: fillMeaning(reversed ? card.reversed : card.meaning, slots),
+      ...(explanation && { explanation }),
+    })),
+    ...(explain && {
+      explanation: {
+        aura: {
+          seedStep: AURA_SEED_STEP,
+          index: deck.auras.indexOf(aura),
+          poolSize: deck.auras.length,
+          pickedBy,
+          toneFit,
+          toneThreshold: TONE_AURA_THRESHOLD,
+        },
+        certification: {
+          seedStep: CERTIFICATION_SEED_STEP,
+          index: deck.certifications.indexOf(certification),
+          poolSize: deck.certifications.length,
+        },
+      },
+    }),
+  };
+}
+
+/**
+ * Generate a reading exactly as the original generator did
+ *
+ * Only the classic three-card reading existed then, so there is no deck,
+ * spread, redraw, tone or template slot to take into account. Without a
+ * `seed`, the seed is the original hash of `text` and `title`, which only
+ * matches when they are what the original extractor produced; today's
+ * extraction differs, so /api/analyze requires the seed in this mode.
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {string} params.title - Document title
+ * @param {string[]} params.keywords - Extracted keywords
+ * @param {string} params.category - Document category
+ * @param {string} params.text - Raw text (for hashing)
+ * @param {number} params.seed - The original reading's seed, if known
+ * @returns {Object} - Complete tarot reading
+ */
+export function generateLegacyReading({ title, keywords, category, text, seed: requestedSeed }) {
+  const seed = requestedSeed ?? legacySeed(text, title);
+  const spread = getSpread('three_card');
+
+  const aura = selectSeeded(LEGACY_DECK.auras, seed, AURA_SEED_STEP);
+
+  return {
+    title,
+    keywords,
+    category,
+    // The original cards live on as the classic pack
+    deck: 'classic',
+    spread,
+    seedMode: SEED_MODES.LEGACY,
+    seed,
+    drawNumber: 0,
+    aura: { name: aura.name, description: aura.description, color: aura.color, icon: aura.icon },
+    certification: selectSeeded(LEGACY_DECK.certifications, seed, CERTIFICATION_SEED_STEP),
+    cards: spread.positions.map((position, index) => {
+      const card = selectSeeded(LEGACY_DECK.cards[position.draw], seed, index);
+      return {
+        position: position.id,
+        name: card.name,
+        orientation: CARD_ORIENTATIONS.UPRIGHT,
+        meaning: card.meaning,
+      };
+    }),
   };
 }
 
-export default { generateReading };
+export default { generateReading, generateLegacyReading, CARD_ORIENTATIONS, SEED_MODES, AURA_PICKS, MAX_SEED, MAX_DRAW_NUMBER };
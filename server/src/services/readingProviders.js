@@ -0,0 +1,78 @@
+/**
+ * Reading Providers
+ *
+ * A provider turns the analysed document into a reading: an object with
+ * `id`, `reproducible` (whether the same params always give the same
+ * reading) and `async generate(params)`, where params and result are those
+ * of generateReading. READING_PROVIDER picks one; any provider other than
+ * the templates falls back to them when it fails or its reading is invalid.
+ */
+
+import { generateReading } from './readingGenerator.js';
+import { localLlmProvider } from './localLlmProvider.js';
+
+/**
+ * Available provider ids
+ */
+export const READING_PROVIDERS = {
+  TEMPLATE: 'template',
+  LOCAL_LLM: 'local_llm',
+};
+
+// Card meanings from the deck pack's templates
+const templateProvider = {
+  id: READING_PROVIDERS.TEMPLATE,
+  reproducible: true,
+  async generate(params) {
+    return generateReading(params);
+  },
+};
+
+const PROVIDERS = {
+  [templateProvider.id]: templateProvider,
+  [localLlmProvider.id]: localLlmProvider,
+};
+
+/**
+ * The provider named by READING_PROVIDER (templates when unset or unknown)
+ *
+ * @returns {Object} - Provider
+ */
+export function getReadingProvider() {
+  const id = process.env.READING_PROVIDER || READING_PROVIDERS.TEMPLATE;
+  if (!PROVIDERS[id]) {
+    console.warn(`[readingProviders] Unknown READING_PROVIDER "${id}", using templates`);
+    return templateProvider;
+  }
+  return PROVIDERS[id];
+}
+
+/**
+ * Generate a reading with the configured provider, falling back to the
+ * templates when it's unavailable or `validate` rejects its reading
+ *
+ * @param {Object} params - generateReading parameters
+ * @param {Object} options
+ * @param {Function} options.validate - Returns false for a reading that can't be used
+ * @returns {Promise<Object>} - Reading, with the `provider` that wrote it and
+ *   whether its seed and drawNumber will give it back (`reproducible`)
+ */
+export async function generateReadingWithProvider(params, { validate = () => true } = {}) {
+  const provider = getReadingProvider();
+
+  if (provider !== templateProvider) {
+    try {
+      const reading = { ...(await provider.generate(params)), provider: provider.id, reproducible: provider.reproducible };
+      if (validate(reading)) {
+        return reading;
+      }
+      console.warn(`[readingProviders] ${provider.id} returned an invalid reading, using templates`);
+    } catch (error) {
+      console.warn(`[readingProviders] ${provider.id} failed (${error.message}), using templates`);
+    }
+  }
+
+  return { ...(await templateProvider.generate(params)), provider: templateProvider.id, reproducible: templateProvider.reproducible };
+}
+
+export default { READING_PROVIDERS, getReadingProvider, generateReadingWithProvider };
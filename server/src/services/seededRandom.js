@@ -0,0 +1,33 @@
+/**
+ * Seeded Randomness
+ *
+ * Deterministic hashing and random numbers, so the same document (or seed)
+ * always gets the same reading and narrative
+ */
+
+/**
+ * Generate a seeded random number based on text hash
+ * This ensures same document gets same reading
+ */
+export function hashCode(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Uniform number in [0, 1) derived from a seed (mulberry32)
+ */
+export function seededRandom(seed, offset = 0) {
+  let t = (seed + offset * 0x9e3779b9) >>> 0;
+  t = (t + 0x6d2b79f5) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+export default { hashCode, seededRandom };
@@ -0,0 +1,117 @@
+/**
+ * Tarot Spreads
+ *
+ * A spread names the positions a reading deals cards into and where each
+ * one sits. The reading generator, the response schema, the on-screen
+ * layout and the PDF cover all work from these definitions.
+ *
+ * Each position draws from one of the deck's card pools (`draw`: past,
+ * present or future) and is placed on a grid (`column`, `row`, 1-based).
+ * `rotate` tilts the card on screen, in degrees.
+ */
+
+/**
+ * Card pools a deck pack provides
+ */
+export const CARD_POOLS = ['past', 'present', 'future'];
+
+/**
+ * Card pools for compatibility readings, from a deck pack's `relationship`
+ * cards
+ */
+export const RELATIONSHIP_POOLS = ['bond', 'tension', 'outcome'];
+
+export const SPREADS = {
+  single: {
+    id: 'single',
+    name: 'Single Card',
+    columns: 1,
+    rows: 1,
+    positions: [
+      { id: 'card', label: 'The Card', draw: 'present', column: 1, row: 1 },
+    ],
+  },
+  three_card: {
+    id: 'three_card',
+    name: 'Past, Present, Future',
+    columns: 3,
+    rows: 1,
+    positions: [
+      { id: 'past', label: 'Past', draw: 'past', column: 1, row: 1, rotate: -5 },
+      { id: 'present', label: 'Present', draw: 'present', column: 2, row: 1 },
+      { id: 'future', label: 'Future', draw: 'future', column: 3, row: 1, rotate: 5 },
+    ],
+  },
+  five_card_cross: {
+    id: 'five_card_cross',
+    name: 'Five-Card Cross',
+    columns: 3,
+    rows: 3,
+    positions: [
+      { id: 'present', label: 'Present', draw: 'present', column: 2, row: 2 },
+      { id: 'past', label: 'Past', draw: 'past', column: 1, row: 2 },
+      { id: 'future', label: 'Future', draw: 'future', column: 3, row: 2 },
+      { id: 'root', label: 'Root Cause', draw: 'past', column: 2, row: 3 },
+      { id: 'guidance', label: 'Guidance', draw: 'future', column: 2, row: 1 },
+    ],
+  },
+  // The challenge card traditionally lies across the present card; it sits
+  // just below it here so both stay readable
+  celtic_cross: {
+    id: 'celtic_cross',
+    name: 'Celtic Cross',
+    columns: 4,
+    rows: 4,
+    positions: [
+      { id: 'present', label: 'Present', draw: 'present', column: 2, row: 2 },
+      { id: 'challenge', label: 'Challenge', draw: 'present', column: 2, row: 3 },
+      { id: 'foundation', label: 'Foundation', draw: 'past', column: 2, row: 4 },
+      { id: 'recent_past', label: 'Recent Past', draw: 'past', column: 1, row: 2 },
+      { id: 'crown', label: 'Crown', draw: 'future', column: 2, row: 1 },
+      { id: 'near_future', label: 'Near Future', draw: 'future', column: 3, row: 2 },
+      { id: 'self', label: 'Self', draw: 'present', column: 4, row: 4 },
+      { id: 'environment', label: 'Environment', draw: 'present', column: 4, row: 3 },
+      { id: 'hopes_and_fears', label: 'Hopes & Fears', draw: 'future', column: 4, row: 2 },
+      { id: 'outcome', label: 'Outcome', draw: 'future', column: 4, row: 1 },
+    ],
+  },
+};
+
+/**
+ * Spread dealt for a compatibility reading of two documents. It isn't in
+ * SPREADS: its positions draw from the relationship pools, so it can't be
+ * asked for on a single document.
+ */
+export const RELATIONSHIP_SPREAD = {
+  id: 'relationship',
+  name: 'The Relationship',
+  columns: 3,
+  rows: 1,
+  positions: [
+    { id: 'bond', label: 'The Bond', draw: 'bond', column: 1, row: 1, rotate: -5 },
+    { id: 'tension', label: 'The Tension', draw: 'tension', column: 2, row: 1 },
+    { id: 'outcome', label: 'The Outcome', draw: 'outcome', column: 3, row: 1, rotate: 5 },
+  ],
+};
+
+/**
+ * Spread ids accepted by the `spread` request parameter
+ */
+export const SPREAD_IDS = Object.keys(SPREADS);
+
+/**
+ * Spread used when a request doesn't ask for one
+ */
+export const DEFAULT_SPREAD = 'three_card';
+
+/**
+ * Look up a spread definition
+ *
+ * @param {string} id - Spread id; readings without one are three-card readings
+ * @returns {Object|null} - Spread definition, or null for an unknown id
+ */
+export function getSpread(id = DEFAULT_SPREAD) {
+  return SPREADS[id] || null;
+}
+
+export default { SPREADS, SPREAD_IDS, DEFAULT_SPREAD, CARD_POOLS, RELATIONSHIP_POOLS, RELATIONSHIP_SPREAD, getSpread };
@@ -1,57 +1,158 @@
 /**
  * PDF Text Extraction Service
  *
- * Uses pdf-parse to extract text content from PDF files
+ * Walks PDF pages with pdf.js and collects their text content
  */
 
-import pdfParse from 'pdf-parse';
+import { loadPdfDocument, iteratePages, getPageLines, getPageImageCount, getDocumentMetadata } from './pdfDocument.js';
+import { describePageLayout } from './documentStatistics.js';
+import { detectTitle } from './titleDetector.js';
+import { createOcrSession } from './ocrEngine.js';
+import { DocumentError } from '../errors.js';
 
-// Extract first N characters to keep processing fast
-const MAX_TEXT_LENGTH = 3000;
+/**
+ * Extraction depths accepted by the analyze endpoints
+ */
+export const EXTRACTION_DEPTHS = {
+  FAST: 'fast',
+  FULL: 'full',
+};
+
+// Page and character budgets per depth. "fast" keeps the original
+// cover-letter behaviour; "full" reads every page but still caps total text
+// so a huge document can't exhaust memory.
+const DEPTH_LIMITS = {
+  [EXTRACTION_DEPTHS.FAST]: { maxPages: 5, maxChars: 3000 },
+  [EXTRACTION_DEPTHS.FULL]: { maxPages: Infinity, maxChars: 1000000 },
+};
+
+// Separator placed between pages in the combined text
+const PAGE_SEPARATOR = '\n\n';
+
+// A page with less text than this is treated as having no text layer
+const MIN_PAGE_TEXT_LENGTH = 10;
+
+// OCR costs a few seconds per page; cap it so a long scan can't time out
+const MAX_OCR_PAGES = 10;
 
 /**
  * Extract text content from a PDF buffer
  *
  * @param {Buffer} pdfBuffer - PDF file as buffer
- * @returns {Promise<{text: string, numPages: number, title: string}>}
+ * @param {Object} options
+ * @param {string} options.depth - 'fast' (first pages only) or 'full' (every page)
+ * @param {boolean} options.ocr - OCR pages that have no text layer (default: true)
+ * @param {string} options.password - Password for encrypted PDFs
+ * @param {string} options.filename - Original filename, the last-resort title
+ * @returns {Promise<{text: string, numPages: number, title: string, titleConfidence: number, titleSource: string, metadata: Object, pages: Array<{pageNumber: number, text: string, start: number, end: number, source: string, headings: number, tables: number, images: number}>, ocrPages: number[], depth: string, truncated: boolean}>}
  */
-export async function extractText(pdfBuffer) {
+export async function extractText(pdfBuffer, { depth = EXTRACTION_DEPTHS.FAST, ocr = true, password, filename } = {}) {
+  const limits = DEPTH_LIMITS[depth] || DEPTH_LIMITS[EXTRACTION_DEPTHS.FAST];
+
+  let doc;
+  let ocrSession = null;
   try {
-    const data = await pdfParse(pdfBuffer, {
-      max: 5, // Only parse first 5 pages for speed
-    });
+    doc = await loadPdfDocument(pdfBuffer, { password });
+
+    const pages = [];
+    const ocrPages = [];
+    let firstPageLines = [];
+    let text = '';
+    let truncated = doc.numPages > limits.maxPages;
+    let ocrEnabled = ocr;
+
+    for await (const page of iteratePages(doc, { maxPages: limits.maxPages })) {
+      const remaining = limits.maxChars - text.length;
+      if (remaining <= 0) {
+        truncated = true;
+        break;
+      }
+
+      const lines = await getPageLines(page);
+      let pageText = lines.map((line) => line.text).join('\n').trim();
+      let source = 'text';
 
-    // Get raw text and truncate
-    const text = data.text.slice(0, MAX_TEXT_LENGTH).trim();
+      // Structure for the document statistics (OCR text has no layout)
+      const { headings, tables } = describePageLayout(lines);
+      const images = await getPageImageCount(page);
 
-    // Try to extract title from metadata or first line
-    let title = data.info?.Title || '';
-    if (!title) {
-      // Get first line as title
-      const firstLine = text.split('\n')[0]?.trim() || '';
-      title = firstLine.slice(0, 100) || 'Untitled Document';
+      // Keep page 1's layout for title detection
+      if (page.pageNumber === 1) {
+        firstPageLines = lines;
+      }
+
+      // Scanned page: fall back to OCR when the text layer is empty
+      if (ocrEnabled && pageText.length < MIN_PAGE_TEXT_LENGTH && ocrPages.length < MAX_OCR_PAGES) {
+        try {
+          ocrSession ??= await createOcrSession();
+          const recognized = await ocrSession.recognizePage(page, doc.canvasFactory);
+          if (recognized.text.length > pageText.length) {
+            pageText = recognized.text;
+            source = 'ocr';
+            ocrPages.push(page.pageNumber);
+          }
+        } catch (ocrError) {
+          // OCR is best-effort; keep whatever the text layer gave us
+          console.error('[textExtractor] OCR failed on page ' + page.pageNumber + ':', ocrError);
+          ocrEnabled = false;
+        }
+      }
+
+      const prefix = text ? PAGE_SEPARATOR : '';
+      if (prefix.length + pageText.length > remaining) {
+        pageText = pageText.slice(0, Math.max(0, remaining - prefix.length));
+        truncated = true;
+      }
+
+      // Offsets index into the combined text returned below
+      const start = text.length + prefix.length;
+      text += prefix + pageText;
+      pages.push({
+        pageNumber: page.pageNumber,
+        text: pageText,
+        start,
+        end: start + pageText.length,
+        source,
+        headings,
+        tables,
+        // A scanned page is one big image; it isn't illustrated
+        images: source === 'ocr' ? 0 : images,
+      });
     }
 
+    const { title: metadataTitle, ...metadata } = await getDocumentMetadata(doc, { maxPages: limits.maxPages });
+
+    // Page 2 shares page 1's running header, so it helps rule that out
+    const { title, confidence, source } = detectTitle({
+      metadataTitle,
+      firstPageLines,
+      repeatedText: pages[1]?.text || '',
+      filename,
+    });
+
     return {
       text,
-      numPages: data.numpages,
-      title: cleanTitle(title),
+      numPages: doc.numPages,
+      title,
+      titleConfidence: confidence,
+      titleSource: source,
+      metadata,
+      pages,
+      ocrPages,
+      depth,
+      truncated,
     };
   } catch (error) {
+    // Password problems carry their own status for the client
+    if (error instanceof DocumentError) {
+      throw error;
+    }
     console.error('[textExtractor] Error:', error);
     throw new Error('Failed to extract text from PDF');
+  } finally {
+    await ocrSession?.close();
+    await doc?.destroy();
   }
 }
 
-/**
- * Clean up extracted title
- */
-function cleanTitle(title) {
-  return title
-    .replace(/[^\w\s\-_.,!?'"()]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim()
-    .slice(0, 80) || 'Untitled Document';
-}
-
-export default { extractText };
+export default { extractText, EXTRACTION_DEPTHS };
@@ -0,0 +1,219 @@
+/**
+ * Title Detection Service
+ *
+ * Picks a document title from the PDF metadata, the layout of the first
+ * page, the first line of the first page, or the uploaded filename - in
+ * that order of preference
+ */
+
+/**
+ * Where a detected title came from
+ */
+export const TITLE_SOURCES = {
+  METADATA: 'metadata',
+  LAYOUT: 'layout',
+  FILENAME: 'filename',
+  NONE: 'none',
+};
+
+const DEFAULT_TITLE = 'Untitled Document';
+
+// Metadata titles that are authoring-tool leftovers rather than real titles
+const PLACEHOLDER_TITLE_PATTERNS = [
+  /^untitled\b/i,
+  /^(document|presentation|book|slide)\s*\d*$/i,
+  /^microsoft (word|powerpoint|excel) - /i,
+  /\.(docx?|pptx?|xlsx?|odt|pdf|tex|indd|pages)$/i,
+];
+
+// Page furniture such as "3", "- 3 -", "Page 3 of 8" or "Seite 3 von 8"
+const PAGE_NUMBER_PATTERN = /^((page|seite|página|pagina)\s*)?[-–\s]*\d+[-–\s]*((of|von|de|sur|di)\s*\d+)?$/iu;
+
+// A title must be set at least this much larger than the body text
+const MIN_PROMINENCE = 1.15;
+
+// Prominence at which layout confidence stops growing
+const FULL_PROMINENCE = 2;
+
+// Titles sit in the upper part of the page (fraction of page height)
+const TITLE_ZONE = 0.6;
+
+// Anything longer than this is a paragraph, not a title
+const MAX_CANDIDATE_LENGTH = 150;
+
+// Titles wrapped over several lines are joined, up to this many lines
+const MAX_TITLE_LINES = 3;
+
+// Fixed confidences for the non-layout sources
+const METADATA_CONFIDENCE = 0.9;
+const FIRST_LINE_CONFIDENCE = 0.35;
+const FILENAME_CONFIDENCE = 0.3;
+
+/**
+ * Detect the most plausible title for a document
+ *
+ * @param {Object} sources
+ * @param {string|null} sources.metadataTitle - Title from the PDF info dictionary
+ * @param {Array<{text: string, fontSize: number, top: number}>} sources.firstPageLines - Page 1 lines from getPageLines()
+ * @param {string} sources.repeatedText - Text of another page, used to spot running headers
+ * @param {string} sources.filename - Original upload filename
+ * @returns {{title: string, confidence: number, source: string}}
+ */
+export function detectTitle({ metadataTitle, firstPageLines = [], repeatedText = '', filename } = {}) {
+  if (metadataTitle && !PLACEHOLDER_TITLE_PATTERNS.some((pattern) => pattern.test(metadataTitle.trim()))) {
+    const title = cleanTitle(metadataTitle);
+    if (title) {
+      return { title, confidence: METADATA_CONFIDENCE, source: TITLE_SOURCES.METADATA };
+    }
+  }
+
+  const layoutTitle = findLayoutTitle(firstPageLines, repeatedText);
+  if (layoutTitle) {
+    return layoutTitle;
+  }
+
+  // A page set in one size has no prominent line; its first line still
+  // beats the filename, as it did before layout detection
+  const firstLineTitle = findFirstLine(firstPageLines, repeatedText);
+  if (firstLineTitle) {
+    return firstLineTitle;
+  }
+
+  const filenameTitle = cleanTitle(
+    (filename || '').replace(/\.[^.]+$/, '').replace(/[_\-.]+/g, ' ')
+  );
+  if (/\p{L}/u.test(filenameTitle)) {
+    return { title: filenameTitle, confidence: FILENAME_CONFIDENCE, source: TITLE_SOURCES.FILENAME };
+  }
+
+  return { title: DEFAULT_TITLE, confidence: 0, source: TITLE_SOURCES.NONE };
+}
+
+/**
+ * Pick the most prominent line near the top of the first page
+ *
+ * Prominence is font size relative to the page's body text, so a 14pt
+ * heading over 10pt text counts while a uniformly 14pt page doesn't.
+ */
+function findLayoutTitle(lines, repeatedText) {
+  const textLines = lines.filter((line) => line.fontSize > 0 && line.text.trim());
+  if (textLines.length === 0) {
+    return null;
+  }
+
+  const bodySize = bodyFontSize(textLines);
+  const repeated = new Set(repeatedText.split('\n').map(normalizeLine).filter(Boolean));
+
+  let best = null;
+  textLines.forEach((line, index) => {
+    if (!isCandidate(line, repeated)) {
+      return;
+    }
+
+    const prominence = line.fontSize / bodySize;
+    if (prominence < MIN_PROMINENCE || line.top > TITLE_ZONE) {
+      return;
+    }
+
+    // Larger wins; among equal sizes the line nearer the top wins
+    const score = prominence + (1 - line.top) * 0.1;
+    if (!best || score > best.score) {
+      best = { index, prominence, score };
+    }
+  });
+
+  if (!best) {
+    return null;
+  }
+
+  // Join a title that wraps onto following lines of the same size
+  const parts = [textLines[best.index].text.trim()];
+  for (let i = best.index + 1; i < textLines.length && parts.length < MAX_TITLE_LINES; i++) {
+    const line = textLines[i];
+    if (Math.abs(line.fontSize - textLines[best.index].fontSize) > 0.5 || !isCandidate(line, repeated)) {
+      break;
+    }
+    parts.push(line.text.trim());
+  }
+
+  const title = cleanTitle(parts.join(' '));
+  if (!title) {
+    return null;
+  }
+
+  const strength = Math.min(1, (best.prominence - MIN_PROMINENCE) / (FULL_PROMINENCE - MIN_PROMINENCE));
+  return {
+    title,
+    confidence: Math.round((0.4 + 0.5 * strength) * 100) / 100,
+    source: TITLE_SOURCES.LAYOUT,
+  };
+}
+
+/**
+ * Take the first plausible line of the first page
+ */
+function findFirstLine(lines, repeatedText) {
+  const repeated = new Set(repeatedText.split('\n').map(normalizeLine).filter(Boolean));
+  const line = lines.find((candidate) => isCandidate(candidate, repeated));
+  const title = line ? cleanTitle(line.text) : '';
+  if (!title) {
+    return null;
+  }
+
+  return { title, confidence: FIRST_LINE_CONFIDENCE, source: TITLE_SOURCES.LAYOUT };
+}
+
+/**
+ * Font size most of the page's characters are set in
+ */
+function bodyFontSize(lines) {
+  const bySize = new Map();
+  for (const line of lines) {
+    const size = Math.round(line.fontSize * 2) / 2;
+    bySize.set(size, (bySize.get(size) || 0) + line.text.length);
+  }
+
+  let body = lines[0].fontSize;
+  let most = 0;
+  for (const [size, chars] of bySize) {
+    if (chars > most) {
+      body = size;
+      most = chars;
+    }
+  }
+  return body;
+}
+
+/**
+ * Whether a line could plausibly be a title
+ */
+function isCandidate(line, repeated) {
+  const text = line.text.trim();
+  return (
+    text.length >= 3 &&
+    text.length <= MAX_CANDIDATE_LENGTH &&
+    /\p{L}/u.test(text) &&
+    !PAGE_NUMBER_PATTERN.test(text) &&
+    !repeated.has(normalizeLine(text))
+  );
+}
+
+/**
+ * Compare lines ignoring case, spacing and numbers (page counters in headers)
+ */
+function normalizeLine(text) {
+  return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Clean up a title candidate
+ */
+function cleanTitle(title) {
+  return title
+    .replace(/[^\p{L}\p{N}\s\-_.,!?'"()]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80);
+}
+
+export default { detectTitle, TITLE_SOURCES };
@@ -0,0 +1,123 @@
+/**
+ * Tone Analyzer Service
+ *
+ * Scores the tone of a document from word lists in src/data/toneLexicon.json
+ * (urgency, hedging, positive and negative words) plus its punctuation and
+ * typography: exclamation marks, ALL CAPS and passive voice. The lexicon is
+ * English; the punctuation and capitals signals work for any language.
+ */
+
+import { createRequire } from 'module';
+import { toLemmas } from './lemmatizer.js';
+
+const require = createRequire(import.meta.url);
+const LEXICON = require('../data/toneLexicon.json');
+
+/**
+ * Tone scores reported for every document
+ */
+export const TONES = ['urgency', 'hedging', 'passive', 'exclamation', 'shouting', 'positivity', 'negativity'];
+
+// Rates at which a score saturates at 1: lexicon hits per 1000 words...
+const FULL_SCALE_PER_THOUSAND = {
+  urgency: 10,
+  hedging: 15,
+  positivity: 20,
+  negativity: 20,
+};
+
+// ...exclamation marks per sentence, share of words in capitals, and share
+// of sentences in the passive voice
+const FULL_SCALE_EXCLAMATIONS = 0.2;
+const FULL_SCALE_SHOUTING = 0.05;
+const FULL_SCALE_PASSIVE = 0.4;
+
+// Shorter capitalised words are mostly acronyms (PDF, CEO), not shouting
+const MIN_SHOUTED_LENGTH = 4;
+
+// A tone this strong or stronger is the document's dominant tone
+const DOMINANT_FROM = 0.5;
+
+// Lexicon entries as lemma sequences, built on first use
+let compiledLexicon = null;
+
+/**
+ * Lexicon entries as space-joined lemmas, per word list
+ */
+function loadLexicon(cache) {
+  compiledLexicon ??= Object.fromEntries(
+    Object.entries(LEXICON).map(([list, entries]) => [list, entries.map((entry) => toLemmas(entry, cache).join(' '))])
+  );
+  return compiledLexicon;
+}
+
+/**
+ * Count the occurrences of a list's entries in the lemma stream
+ *
+ * @param {string} stream - Document lemmas joined by spaces, padded with one
+ * @param {string[]} entries - Entries as space-joined lemmas
+ * @returns {number}
+ */
+function countEntries(stream, entries) {
+  let count = 0;
+  for (const entry of entries) {
+    const needle = ` ${entry} `;
+    for (let index = stream.indexOf(needle); index !== -1; index = stream.indexOf(needle, index + 1)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Scale a rate to a 0-1 score
+ */
+function scale(rate, fullScale) {
+  return Math.round(Math.min(1, rate / fullScale) * 100) / 100;
+}
+
+/**
+ * Analyze the tone of a document
+ *
+ * @param {string} text - Extracted text
+ * @param {Object} options
+ * @param {Object} options.statistics - Document statistics (for sentence count and passive voice)
+ * @returns {{scores: Object<string, number>, sentiment: number, dominant: string|null}} - `scores`
+ *   has a 0-1 score per TONES entry; `sentiment` runs from -1 (negative) to 1 (positive)
+ */
+export function analyzeTone(text, { statistics } = {}) {
+  const cache = new Map();
+  const lexicon = loadLexicon(cache);
+  const lemmas = toLemmas(text, cache);
+  const stream = ` ${lemmas.join(' ')} `;
+  const perThousand = (count) => (lemmas.length ? (count * 1000) / lemmas.length : 0);
+
+  const hits = Object.fromEntries(
+    Object.entries(lexicon).map(([list, entries]) => [list, countEntries(stream, entries)])
+  );
+
+  const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+  const shouted = words.filter((word) => word.length >= MIN_SHOUTED_LENGTH && /^\p{Lu}+$/u.test(word)).length;
+  const exclamations = (text.match(/!/g) || []).length;
+  const sentences = statistics?.sentenceCount || 1;
+
+  const scores = {
+    urgency: scale(perThousand(hits.urgency), FULL_SCALE_PER_THOUSAND.urgency),
+    hedging: scale(perThousand(hits.hedging), FULL_SCALE_PER_THOUSAND.hedging),
+    passive: scale(statistics?.passiveVoiceRatio ?? 0, FULL_SCALE_PASSIVE),
+    exclamation: scale(exclamations / sentences, FULL_SCALE_EXCLAMATIONS),
+    shouting: scale(words.length ? shouted / words.length : 0, FULL_SCALE_SHOUTING),
+    positivity: scale(perThousand(hits.positivity), FULL_SCALE_PER_THOUSAND.positivity),
+    negativity: scale(perThousand(hits.negativity), FULL_SCALE_PER_THOUSAND.negativity),
+  };
+
+  const polar = hits.positivity + hits.negativity;
+  const sentiment = polar ? Math.round(((hits.positivity - hits.negativity) / polar) * 100) / 100 : 0;
+
+  const [strongest] = TONES.filter((tone) => scores[tone] >= DOMINANT_FROM)
+    .sort((a, b) => scores[b] - scores[a]);
+
+  return { scores, sentiment, dominant: strongest || null };
+}
+
+export default { TONES, analyzeTone };
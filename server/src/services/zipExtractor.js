@@ -0,0 +1,257 @@
+/**
+ * Zip Extractor Service
+ *
+ * Reads the PDFs out of an uploaded .zip in memory. Only what the archive's
+ * central directory declares is read, and every entry is checked before it
+ * is inflated: unsafe paths, encrypted or oversized entries and suspicious
+ * compression ratios are reported instead of extracted. Nothing is written
+ * to disk.
+ */
+
+import { inflateRawSync } from 'zlib';
+import { DocumentError, ERROR_CODES } from '../errors.js';
+
+/**
+ * MIME types browsers and clients send for zip files
+ */
+export const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip', 'multipart/x-zip'];
+
+// Archives with more entries than this aren't read at all
+const MAX_ZIP_ENTRIES = 1000;
+
+// Same limit as a PDF uploaded on its own
+const MAX_ENTRY_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Default budget for everything extracted from one archive
+export const MAX_EXTRACTED_BYTES = 100 * 1024 * 1024; // 100MB
+
+// PDFs are mostly compressed already; an entry that inflates to more than
+// this many times its stored size is treated as a zip bomb
+const MAX_COMPRESSION_RATIO = 100;
+
+// Record signatures
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const END_RECORD_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+// Compression methods we can read
+const STORED = 0;
+const DEFLATED = 8;
+
+// General purpose flags
+const FLAG_ENCRYPTED = 0x1;
+const FLAG_UTF8 = 0x800;
+
+/**
+ * Whether an upload is a zip archive, by MIME type or, for clients that
+ * send a generic type, by extension
+ *
+ * @param {Object} file
+ * @param {string} file.mimetype - MIME type sent with the upload
+ * @param {string} file.filename - Original filename
+ * @returns {boolean}
+ */
+export function isZipUpload({ mimetype, filename }) {
+  return ZIP_MIME_TYPES.includes(mimetype) ||
+    (mimetype === 'application/octet-stream' && /\.zip$/i.test(filename || ''));
+}
+
+/**
+ * Error for an archive that can't be read at all
+ */
+function invalidZip(message) {
+  return new DocumentError(message, { status: 422, code: ERROR_CODES.INVALID_ZIP });
+}
+
+/**
+ * A failed entry, reported like a failed upload
+ */
+function unsafeEntry(filename, message) {
+  return { filename, error: { message, code: ERROR_CODES.UNSAFE_ZIP_ENTRY } };
+}
+
+/**
+ * Find the end of central directory record, which sits after the entries
+ * and before an optional comment
+ */
+function findEndRecord(buffer) {
+  const earliest = Math.max(0, buffer.length - END_RECORD_SIZE - MAX_COMMENT_LENGTH);
+  for (let offset = buffer.length - END_RECORD_SIZE; offset >= earliest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Normalise an entry path, or return null when it could escape the archive
+ * (absolute paths, drive letters, ".." segments, NUL bytes)
+ */
+function safeEntryPath(name) {
+  const path = name.replace(/\\/g, '/');
+  if (path.includes('\0') || path.startsWith('/') || /^[a-z]:/i.test(path)) {
+    return null;
+  }
+  const segments = path.split('/').filter((segment) => segment && segment !== '.');
+  if (segments.includes('..')) {
+    return null;
+  }
+  return segments.join('/');
+}
+
+/**
+ * Whether an entry is a PDF worth extracting, by name. macOS resource forks
+ * ("__MACOSX/", "._report.pdf") end in .pdf but aren't PDFs.
+ */
+function isPdfEntry(name) {
+  const base = name.split(/[\\/]/).pop();
+  return /\.pdf$/i.test(base) && !base.startsWith('._') && !/(^|[\\/])__MACOSX[\\/]/.test(name);
+}
+
+/**
+ * Read the central directory entries
+ *
+ * @param {Buffer} buffer - Zip file
+ * @returns {Array<Object>} - Entry headers
+ */
+function readCentralDirectory(buffer) {
+  if (buffer.length < END_RECORD_SIZE) {
+    throw invalidZip('This file is not a valid zip archive.');
+  }
+
+  const end = findEndRecord(buffer);
+  if (end === -1) {
+    throw invalidZip('This file is not a valid zip archive.');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  const size = buffer.readUInt32LE(end + 12);
+  const start = buffer.readUInt32LE(end + 16);
+
+  // Zip64 archives (over 4GB or 65535 entries) mark these fields as maxed out
+  if (count === 0xffff || start === 0xffffffff) {
+    throw invalidZip('Zip64 archives are not supported.');
+  }
+  if (count > MAX_ZIP_ENTRIES) {
+    throw invalidZip(`This archive has too many entries. Maximum is ${MAX_ZIP_ENTRIES}.`);
+  }
+  if (start + size > end) {
+    throw invalidZip('This zip archive is corrupted.');
+  }
+
+  const entries = [];
+  let offset = start;
+  for (let index = 0; index < count; index++) {
+    if (offset + 46 > end || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw invalidZip('This zip archive is corrupted.');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const nameEnd = offset + 46 + nameLength;
+    if (nameEnd > end) {
+      throw invalidZip('This zip archive is corrupted.');
+    }
+
+    entries.push({
+      name: buffer.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', offset + 46, nameEnd),
+      flags,
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    });
+
+    offset = nameEnd + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Inflate one entry's data, never producing more than its declared size
+ */
+function readEntryData(buffer, entry) {
+  const { localOffset, compressedSize, size, method } = entry;
+  if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+    return null;
+  }
+
+  // The local header's name and extra field can differ from the central copy
+  const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const dataEnd = dataStart + compressedSize;
+  if (dataEnd > buffer.length) {
+    return null;
+  }
+
+  const compressed = buffer.subarray(dataStart, dataEnd);
+  const data = method === STORED
+    ? compressed
+    : inflateRawSync(compressed, { maxOutputLength: Math.max(1, size) });
+
+  return data.length === size ? data : null;
+}
+
+/**
+ * Extract the PDFs from a zip archive
+ *
+ * Entries that aren't PDFs (by name) are skipped. PDF entries that are
+ * unsafe or unreadable come back with an `error` instead of a `buffer`.
+ *
+ * @param {Buffer} buffer - Zip file
+ * @param {Object} options
+ * @param {string} options.archiveName - Archive filename, prefixed to entry names
+ * @param {number} options.maxExtractedBytes - Most bytes to extract in total
+ * @returns {{files: Array<{filename: string, mimetype?: string, buffer?: Buffer, error?: Object}>, extractedBytes: number}}
+ * @throws {DocumentError} - When the archive itself can't be read
+ */
+export function extractPdfsFromZip(buffer, { archiveName = 'archive.zip', maxExtractedBytes = MAX_EXTRACTED_BYTES } = {}) {
+  const files = [];
+  let extractedBytes = 0;
+
+  for (const entry of readCentralDirectory(buffer)) {
+    if (entry.name.endsWith('/') || !isPdfEntry(entry.name)) {
+      continue;
+    }
+
+    const path = safeEntryPath(entry.name);
+    const filename = `${archiveName}/${path ?? entry.name.split(/[\\/]/).pop()}`;
+
+    if (path === null) {
+      files.push(unsafeEntry(filename, 'Skipped: its path points outside the archive.'));
+    } else if (entry.flags & FLAG_ENCRYPTED) {
+      files.push(unsafeEntry(filename, 'Skipped: encrypted zip entries are not supported.'));
+    } else if (entry.method !== STORED && entry.method !== DEFLATED) {
+      files.push(unsafeEntry(filename, 'Skipped: unsupported zip compression method.'));
+    } else if (entry.size > MAX_ENTRY_SIZE) {
+      files.push(unsafeEntry(filename, 'Skipped: file too large. Maximum size is 10MB.'));
+    } else if (entry.size > entry.compressedSize * MAX_COMPRESSION_RATIO) {
+      files.push(unsafeEntry(filename, 'Skipped: the file is compressed suspiciously well.'));
+    } else if (extractedBytes + entry.size > maxExtractedBytes) {
+      files.push(unsafeEntry(filename, 'Skipped: the archive expands to too much data.'));
+    } else {
+      let data = null;
+      try {
+        data = readEntryData(buffer, entry);
+      } catch {
+        // Corrupt deflate data, or more output than the entry declared
+      }
+
+      if (!data) {
+        files.push(unsafeEntry(filename, 'Skipped: this zip entry is corrupted.'));
+      } else {
+        extractedBytes += data.length;
+        files.push({ filename, mimetype: 'application/pdf', buffer: data });
+      }
+    }
+  }
+
+  return { files, extractedBytes };
+}
+
+export default { ZIP_MIME_TYPES, MAX_EXTRACTED_BYTES, isZipUpload, extractPdfsFromZip };
@@ -0,0 +1,68 @@
+/**
+ * A seed sent with a batch still deals each document its own reading
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeBatch } from '../src/services/batchAnalyzer.js';
+import { analyzeDocument } from '../src/services/documentAnalyzer.js';
+import { AnalyzeOptionsSchema, BatchOptionsSchema } from '../src/schemas/analysis.js';
+import { makePdf } from './helpers.js';
+
+/**
+ * Two different documents, as uploads
+ */
+async function uploads() {
+  return [
+    {
+      filename: 'contract.pdf',
+      mimetype: 'application/pdf',
+      buffer: await makePdf(['Master Services Agreement', 'Each party shall limit its liability.']),
+    },
+    {
+      filename: 'minutes.pdf',
+      mimetype: 'application/pdf',
+      buffer: await makePdf(['Board Meeting Minutes', 'The board approved the budget for next year.']),
+    },
+  ];
+}
+
+const cardNames = (analysis) => analysis.cards.map((card) => card.name);
+
+test('distinct documents in a seeded batch get distinct readings', async () => {
+  const { results } = await analyzeBatch(await uploads(), BatchOptionsSchema.parse({ seed: '42' }));
+  const [first, second] = results.map((result) => result.analysis);
+
+  assert.notEqual(first.seed, second.seed);
+  assert.notDeepEqual(cardNames(first), cardNames(second));
+});
+
+test('the same seeded batch deals the same readings again', async () => {
+  const options = BatchOptionsSchema.parse({ seed: '42' });
+  const once = await analyzeBatch(await uploads(), options);
+  const again = await analyzeBatch(await uploads(), options);
+
+  assert.deepEqual(
+    again.results.map((result) => [result.analysis.seed, cardNames(result.analysis)]),
+    once.results.map((result) => [result.analysis.seed, cardNames(result.analysis)])
+  );
+});
+
+test("a file's own seed reproduces its batch reading on /api/analyze", async () => {
+  const files = await uploads();
+  const { results } = await analyzeBatch(files, BatchOptionsSchema.parse({ seed: '42' }));
+
+  const single = await analyzeDocument(
+    files[1].buffer,
+    AnalyzeOptionsSchema.parse({ seed: String(results[1].analysis.seed) })
+  );
+
+  assert.deepEqual(single.cards, results[1].analysis.cards);
+});
+
+test('legacy mode is not accepted for a batch', () => {
+  const result = BatchOptionsSchema.safeParse({ seedMode: 'legacy', seed: '42' });
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.error.issues[0].path, ['seedMode']);
+});
@@ -0,0 +1,85 @@
+/**
+ * Compatibility scores are symmetric and top out for identical documents
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreCompatibility } from '../src/services/compatibilityScorer.js';
+import { profileDocument } from '../src/services/documentAnalyzer.js';
+import { compareDocuments } from '../src/services/documentComparison.js';
+import { CompareOptionsSchema } from '../src/schemas/compare.js';
+import { makePdf } from './helpers.js';
+
+const CONTRACT = [
+  'Master Services Agreement',
+  'This agreement is made between the parties. Each party shall indemnify the other party.',
+  'The contract clause on liability survives termination of this agreement.',
+];
+const AMENDMENT = [
+  'Amendment to the Master Services Agreement',
+  'The parties amend the liability clause of the agreement. Each party shall indemnify the other.',
+  'All other terms of the contract remain in force.',
+];
+const MINUTES = [
+  'Board Meeting Minutes',
+  'Attendees reviewed the agenda and the status report. Action items were assigned.',
+  'The next meeting is scheduled for the spring.',
+];
+
+/**
+ * Profile a document made of these lines
+ */
+async function profile(lines) {
+  return profileDocument(await makePdf(lines), {});
+}
+
+test('a document is a perfect match for itself', async () => {
+  const contract = await profile(CONTRACT);
+  const result = scoreCompatibility(contract, contract);
+
+  assert.equal(result.score, 100);
+  assert.equal(result.keywordOverlap, 1);
+  assert.equal(result.categoryMatch, 1);
+  assert.equal(result.styleSimilarity, 1);
+  assert.equal(result.signals.identical, true);
+  assert.equal(result.signals.strangers, false);
+});
+
+test('the score does not depend on which document comes first', async () => {
+  const profiles = await Promise.all([CONTRACT, AMENDMENT, MINUTES].map(profile));
+
+  for (const [first, second] of [[0, 1], [0, 2], [1, 2]]) {
+    const forward = scoreCompatibility(profiles[first], profiles[second]);
+    const backward = scoreCompatibility(profiles[second], profiles[first]);
+
+    assert.deepEqual(
+      { ...backward, sharedKeywords: [...backward.sharedKeywords].sort() },
+      { ...forward, sharedKeywords: [...forward.sharedKeywords].sort() }
+    );
+  }
+});
+
+test('related documents score higher than unrelated ones', async () => {
+  const [contract, amendment, minutes] = await Promise.all([CONTRACT, AMENDMENT, MINUTES].map(profile));
+
+  const related = scoreCompatibility(contract, amendment);
+  const unrelated = scoreCompatibility(contract, minutes);
+
+  assert.ok(related.score > unrelated.score, `${related.score} <= ${unrelated.score}`);
+  assert.ok(related.sharedKeywords.includes('agreement'));
+  assert.equal(related.signals.identical, false);
+  assert.equal(related.signals.sameCategory, true);
+  assert.equal(unrelated.signals.sameCategory, false);
+});
+
+test('swapping the documents deals the same compatibility reading', async () => {
+  const contract = { buffer: await makePdf(CONTRACT), filename: 'contract.pdf' };
+  const minutes = { buffer: await makePdf(MINUTES), filename: 'minutes.pdf' };
+  const options = CompareOptionsSchema.parse({});
+
+  const forward = await compareDocuments(contract, minutes, options);
+  const backward = await compareDocuments(minutes, contract, options);
+
+  assert.equal(backward.compatibility.score, forward.compatibility.score);
+  assert.deepEqual(backward.cards.map((card) => card.name), forward.cards.map((card) => card.name));
+});
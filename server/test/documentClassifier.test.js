@@ -0,0 +1,54 @@
+/**
+ * The classifier turns weighted evidence into category probabilities
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyDocument, GENERAL_CATEGORY } from '../src/services/documentClassifier.js';
+
+// One short labelled sample per built-in category
+const SAMPLES = {
+  technical: 'The API endpoint calls a function on the server, which queries the database. The source code is on GitHub.',
+  business: 'Revenue growth this quarter came from new customers. Our sales strategy targets a larger market within budget.',
+  legal: 'This agreement is made between the parties. Each party shall indemnify the other. The contract clause on liability survives.',
+  academic: 'This study tests the hypothesis with 40 participants. The methodology and literature review precede the results.',
+  creative: 'The brand concept uses bold typography and a visual story. The creative design direction sets the content tone.',
+  administrative: 'Meeting agenda: review the status report. Attendees agreed the action items in the minutes.',
+  medical: 'The patient presented with symptoms. The physician confirmed the diagnosis and set the treatment and medication dosage.',
+  financial_statement: 'The balance sheet lists total assets and equity. The income statement shows net income; cash flow from operations rose.',
+  resume: 'Curriculum vitae. Professional experience: five years as an engineer. Education: BSc. Skills: Python. LinkedIn profile.',
+  invoice: 'Invoice number 1042. Bill to: Initech. Unit price 40.00, subtotal 400.00. Amount due by the due date.',
+};
+
+test('each labelled sample is classified into its category', () => {
+  for (const [id, text] of Object.entries(SAMPLES)) {
+    const [top] = classifyDocument({ text });
+    assert.equal(top.id, id, `"${text}" classified as ${top.id}`);
+  }
+});
+
+test('a presentation made in PowerPoint is a slide deck', () => {
+  const pages = [{ text: 'Q3 Results' }, { text: 'Thank you' }, { text: 'Questions?' }];
+  const [top] = classifyDocument({
+    text: pages.map((page) => page.text).join('\n'),
+    metadata: { creator: 'Microsoft PowerPoint', pageSizes: [{ orientation: 'landscape', count: 3 }] },
+    pages,
+  });
+
+  assert.equal(top.id, 'slide_deck');
+});
+
+test('probabilities over every category sum to 1', () => {
+  for (const text of [...Object.values(SAMPLES), 'The weather was fine.']) {
+    const categories = classifyDocument({ text }, { limit: Infinity });
+    const total = categories.reduce((sum, category) => sum + category.confidence, 0);
+
+    // Each confidence is rounded to two places
+    assert.ok(Math.abs(total - 1) <= 0.01 * categories.length, `${total} for "${text}"`);
+    categories.forEach((category) => assert.ok(category.confidence >= 0 && category.confidence <= 1));
+  }
+});
+
+test('text with no evidence is general', () => {
+  assert.deepEqual(classifyDocument({ text: 'The weather was fine.' }), [{ ...GENERAL_CATEGORY, confidence: 1 }]);
+});
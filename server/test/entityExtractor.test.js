@@ -0,0 +1,65 @@
+/**
+ * Entities are pulled from the text with offline patterns
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractEntities, formatEntityDate } from '../src/services/entityExtractor.js';
+
+test('dates in every format become ISO dates, counted per day', () => {
+  const { dates } = extractEntities(
+    'Signed March 3rd, 2025 and filed 3 March 2025. Renewal on 2026-01-15, review 12/31/2025, ' +
+    'audit 05.06.2025, party on June 1.'
+  );
+
+  assert.deepEqual(dates, [
+    { text: 'March 3rd, 2025', date: '2025-03-03', count: 2 },
+    { text: '2026-01-15', date: '2026-01-15', count: 1 },
+    { text: '12/31/2025', date: '2025-12-31', count: 1 },
+    { text: '05.06.2025', date: '2025-06-05', count: 1 },
+    { text: 'June 1', date: '--06-01', count: 1 },
+  ]);
+});
+
+test('impossible dates and version numbers are not dates', () => {
+  const { dates } = extractEntities('Released as version 2.1.3 on February 30, 2025 and 13/13/2025.');
+  assert.deepEqual(dates, []);
+});
+
+test('a date after "due" or "deadline" is also a deadline', () => {
+  const { deadlines } = extractEntities('Kickoff is March 1, 2025. Payment is due by April 15, 2025. Deadline: 2025-05-01.');
+
+  assert.deepEqual(deadlines, [
+    { text: 'April 15, 2025', date: '2025-04-15' },
+    { text: '2025-05-01', date: '2025-05-01' },
+  ]);
+  assert.equal(formatEntityDate(deadlines[0].date), 'April 15th');
+});
+
+test('amounts are read with their currency and scale, largest first', () => {
+  const { amounts } = extractEntities(
+    'The budget is $1,200.50 plus £3.5m in grants, EUR 40 for fees, 2 billion dollars in theory and $1,200.50 again.'
+  );
+
+  assert.deepEqual(amounts, [
+    { text: '2 billion dollars', value: 2e9, currency: 'USD', count: 1 },
+    { text: '£3.5m', value: 3.5e6, currency: 'GBP', count: 1 },
+    { text: '$1,200.50', value: 1200.5, currency: 'USD', count: 2 },
+    { text: 'EUR 40', value: 40, currency: 'EUR', count: 1 },
+  ]);
+});
+
+test('email addresses are not mistaken for people, amounts or dates', () => {
+  const entities = extractEntities(
+    'Contact: Sales@Smith.Holdings.com or USD5@example.com. Cc: ops-2025-03-03@initech.com.'
+  );
+
+  assert.deepEqual(entities, { people: [], organizations: [], amounts: [], dates: [], deadlines: [] });
+});
+
+test('text around an email address is still read', () => {
+  const { people, deadlines } = extractEntities('Approved by Dr. Jane Smith (jane.smith@acme.co.uk) by March 3rd, 2025.');
+
+  assert.deepEqual(people, [{ name: 'Dr. Jane Smith', count: 1 }]);
+  assert.deepEqual(deadlines, [{ text: 'March 3rd, 2025', date: '2025-03-03' }]);
+});
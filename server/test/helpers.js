@@ -0,0 +1,104 @@
+/**
+ * Test helpers
+ *
+ * Builds small PDFs and zip archives in memory so tests don't depend on
+ * binary fixtures
+ */
+
+import { deflateRawSync, crc32 } from 'zlib';
+import { PDFDocument, StandardFonts } from '@cantoo/pdf-lib';
+
+/**
+ * Make a PDF with a line of text per entry on every page
+ *
+ * @param {string[]} lines - Text lines, top to bottom
+ * @param {Object} options
+ * @param {string} options.title - Title in the document information dictionary
+ * @param {number} options.pages - Number of pages; each after the first ends with its page number
+ * @returns {Promise<Buffer>}
+ */
+export async function makePdf(lines, { title, pages = 1 } = {}) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  for (let pageNumber = 1; pageNumber <= pages; pageNumber++) {
+    const page = pdfDoc.addPage([612, 792]);
+    const pageLines = pageNumber > 1 ? [...lines, `Page ${pageNumber}`] : lines;
+    pageLines.forEach((line, index) => {
+      page.drawText(line, { x: 72, y: 720 - index * 18, size: 12, font });
+    });
+  }
+  if (title) {
+    pdfDoc.setTitle(title);
+  }
+  // Fixed dates keep the bytes (and so the fingerprint) the same on every run
+  pdfDoc.setCreationDate(new Date('2024-01-01T00:00:00Z'));
+  pdfDoc.setModificationDate(new Date('2024-01-01T00:00:00Z'));
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Make a zip archive
+ *
+ * Entries can lie about themselves, as a hostile archive would: `size`
+ * overrides the uncompressed size written in the headers and `flags` the
+ * general purpose flags.
+ *
+ * @param {Array<{name: string, data: Buffer|string, deflate?: boolean, size?: number, flags?: number}>} entries
+ * @returns {Buffer}
+ */
+export function makeZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data, deflate = false, size, flags = 0 } of entries) {
+    const raw = Buffer.from(data);
+    const stored = deflate ? deflateRawSync(raw) : raw;
+    const nameBytes = Buffer.from(name, 'utf8');
+    const fields = {
+      flags: flags | 0x800,
+      method: deflate ? 8 : 0,
+      crc: crc32(raw),
+      compressedSize: stored.length,
+      size: size ?? raw.length,
+    };
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(fields.flags, 6);
+    local.writeUInt16LE(fields.method, 8);
+    local.writeUInt32LE(fields.crc, 14);
+    local.writeUInt32LE(fields.compressedSize, 18);
+    local.writeUInt32LE(fields.size, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(fields.flags, 8);
+    central.writeUInt16LE(fields.method, 10);
+    central.writeUInt32LE(fields.crc, 16);
+    central.writeUInt32LE(fields.compressedSize, 20);
+    central.writeUInt32LE(fields.size, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, stored);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + stored.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+export default { makePdf, makeZip };
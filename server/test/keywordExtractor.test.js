@@ -0,0 +1,50 @@
+/**
+ * Keywords are TF-IDF scored lemmas, with stop words left out
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractKeywords } from '../src/services/keywordExtractor.js';
+
+const TEXT = `The contracts were signed by the supplier. Each contract names the supplier
+and the invoices it may raise. The invoice terms are set out in the contract.`;
+
+test('stop words are never keywords', () => {
+  const terms = extractKeywords(TEXT, { maxKeywords: 20 }).map((keyword) => keyword.term);
+
+  for (const stopWord of ['the', 'were', 'and', 'each', 'may', 'are']) {
+    assert.ok(!terms.some((term) => term.split(' ').includes(stopWord)), `"${stopWord}" in ${terms}`);
+  }
+});
+
+test('inflections of a word are counted as one lemma', () => {
+  const keywords = extractKeywords(TEXT, { maxKeywords: 20 });
+  const terms = keywords.map((keyword) => keyword.term);
+
+  assert.equal(keywords.find((keyword) => keyword.term === 'contract').count, 3);
+  assert.equal(keywords.find((keyword) => keyword.term === 'invoice').count, 2);
+  assert.ok(!terms.includes('contracts'));
+  assert.ok(!terms.includes('invoices'));
+});
+
+test('scores are relative to the top keyword, best first', () => {
+  const keywords = extractKeywords(TEXT);
+
+  assert.equal(keywords[0].score, 1);
+  keywords.slice(1).forEach((keyword, index) => {
+    assert.ok(keyword.score <= keywords[index].score);
+  });
+});
+
+test('German stop words are dropped and words are not lemmatized as English', () => {
+  const text = 'Die Rechnungen und die Verträge. Die Rechnungen wurden mit den Verträgen geschickt.';
+  const terms = extractKeywords(text, { language: 'de', maxKeywords: 20 }).map((keyword) => keyword.term);
+
+  assert.ok(terms.includes('rechnungen'));
+  assert.ok(!terms.includes('die'));
+  assert.ok(!terms.includes('und'));
+});
+
+test('undetermined language is keyworded as English', () => {
+  assert.deepEqual(extractKeywords(TEXT, { language: 'und' }), extractKeywords(TEXT, { language: 'en' }));
+});
@@ -0,0 +1,84 @@
+/**
+ * Legacy readings must match what the original generator dealt, word for word
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { generateLegacyReading } from '../src/services/readingGenerator.js';
+import { analyzeDocument } from '../src/services/documentAnalyzer.js';
+import { AnalyzeOptionsSchema } from '../src/schemas/analysis.js';
+import { hashCode } from '../src/services/seededRandom.js';
+import { makePdf } from './helpers.js';
+
+// Readings recorded from the original generateReading for these inputs
+const require = createRequire(import.meta.url);
+const BASELINE = require('./fixtures/legacyReadings.json');
+
+/**
+ * The parts of a reading the original generator returned
+ */
+function asBaseline(reading) {
+  return {
+    title: reading.title,
+    keywords: reading.keywords,
+    category: reading.category,
+    aura: reading.aura.name,
+    certification: reading.certification,
+    cards: reading.cards.map(({ position, name, meaning }) => ({ position, name, meaning })),
+  };
+}
+
+test('legacy readings match the original generator', () => {
+  for (const { input, reading } of BASELINE) {
+    assert.deepEqual(asBaseline(generateLegacyReading(input)), reading);
+  }
+});
+
+test('legacy cards are upright and the seed is the original hash', () => {
+  const { input } = BASELINE[0];
+  const reading = generateLegacyReading(input);
+
+  assert.equal(reading.seed, hashCode(input.text.slice(0, 500) + input.title));
+  assert.ok(reading.cards.every((card) => card.orientation === 'upright'));
+});
+
+test('a saved seed reproduces the legacy reading whatever the text', () => {
+  for (const { input, reading } of BASELINE) {
+    const seed = hashCode(input.text.slice(0, 500) + input.title);
+    const replayed = generateLegacyReading({ ...input, text: 'extracted differently today', seed });
+    assert.deepEqual(asBaseline(replayed), reading);
+  }
+});
+
+test('/api/analyze in legacy mode deals the original reading from a saved seed', async () => {
+  const { input, reading } = BASELINE[1];
+  const pdf = await makePdf(['Master Services Agreement', 'Each party shall limit its liability.']);
+  const options = AnalyzeOptionsSchema.parse({
+    seedMode: 'legacy',
+    seed: String(hashCode(input.text.slice(0, 500) + input.title)),
+  });
+
+  const analysis = await analyzeDocument(pdf, options);
+
+  assert.equal(analysis.seedMode, 'legacy');
+  assert.equal(analysis.aura.name, reading.aura);
+  assert.equal(analysis.certification, reading.certification);
+  assert.deepEqual(
+    analysis.cards.map(({ position, name, meaning }) => ({ position, name, meaning })),
+    reading.cards
+  );
+});
+
+test('legacy mode only accepts classic three-card readings', () => {
+  assert.equal(AnalyzeOptionsSchema.safeParse({ seedMode: 'legacy', seed: '42', spread: 'celtic_cross' }).success, false);
+  assert.equal(AnalyzeOptionsSchema.safeParse({ seedMode: 'legacy', seed: '42', drawNumber: '1' }).success, false);
+  assert.equal(AnalyzeOptionsSchema.safeParse({ seedMode: 'legacy', seed: '42' }).success, true);
+});
+
+test('legacy mode without a seed is rejected', () => {
+  const result = AnalyzeOptionsSchema.safeParse({ seedMode: 'legacy' });
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.error.issues.map((issue) => issue.path), [['seed']]);
+});
@@ -0,0 +1,78 @@
+/**
+ * The overall reading is expanded from the narrative grammar, seeded
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateNarrative } from '../src/services/narrativeGenerator.js';
+import { getSpread } from '../src/services/spreads.js';
+
+const READING = {
+  title: 'Quarterly Report',
+  keywords: ['revenue', 'forecast', 'headcount', 'budget'],
+  categories: [{ id: 'financial_statement', label: 'Financial Statement' }],
+  spread: getSpread('three_card'),
+  cards: [
+    { name: 'The Midnight Oil', orientation: 'upright' },
+    { name: 'The Polished Facade', orientation: 'reversed' },
+    { name: 'The Scope Creep', orientation: 'upright' },
+  ],
+  aura: { name: 'Deadline Phantom', description: 'Haunts every calendar it touches.' },
+  certification: 'Officially Overthought',
+  seed: 1234,
+};
+
+// Grammar tokens that were left unexpanded
+const LEFTOVER_TOKEN = /#\w|\{\w/;
+
+test('the same seed and draw always tell the same story', () => {
+  assert.deepEqual(generateNarrative(READING), generateNarrative({ ...READING }));
+});
+
+test('other draws tell it differently', () => {
+  const stories = new Set([0, 1, 2, 3].map((drawNumber) => generateNarrative({ ...READING, drawNumber }).join('\n')));
+  assert.ok(stories.size > 1);
+});
+
+test('every card, the aura and the certification are woven in, fully expanded', () => {
+  for (let seed = 0; seed < 20; seed++) {
+    const paragraphs = generateNarrative({ ...READING, seed });
+    const text = paragraphs.join(' ');
+
+    assert.equal(paragraphs.length, 4);
+    assert.ok(text.includes('The Midnight Oil'));
+    assert.ok(text.includes('The Polished Facade (reversed)'));
+    assert.ok(text.includes('The Scope Creep'));
+    assert.ok(text.includes('Deadline Phantom'));
+    assert.ok(text.includes('“Officially Overthought”'));
+    assert.doesNotMatch(text, LEFTOVER_TOKEN);
+    paragraphs.forEach((paragraph) => assert.match(paragraph, /^[A-Z“]/));
+  }
+});
+
+test('text from the document is never expanded as grammar', () => {
+  const title = 'Notes on #opening# and {certification}';
+  for (let seed = 0; seed < 20; seed++) {
+    const text = generateNarrative({ ...READING, title, seed }).join(' ');
+    assert.doesNotMatch(text.replaceAll(title, ''), LEFTOVER_TOKEN);
+  }
+});
+
+test('a placeholder title and a general category are left out', () => {
+  for (let seed = 0; seed < 20; seed++) {
+    const [opening] = generateNarrative({
+      ...READING,
+      title: 'Untitled Document',
+      categories: [{ id: 'general', label: 'General' }],
+      seed,
+    });
+
+    assert.doesNotMatch(opening, /Untitled Document|general/i);
+    assert.match(opening, /this document/i);
+  }
+});
+
+test('a single card is placed at the centre of the reading', () => {
+  const [, middle] = generateNarrative({ ...READING, spread: getSpread('single'), cards: [READING.cards[1]] });
+  assert.ok(middle.includes('at the centre of the reading'));
+});
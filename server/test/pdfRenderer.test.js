@@ -0,0 +1,35 @@
+/**
+ * A reversed card is drawn upside down on the cover
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeDocument } from '../src/services/documentAnalyzer.js';
+import { renderMergedPdf } from '../src/services/pdfRenderer.js';
+import { loadPdfDocument } from '../src/services/pdfDocument.js';
+import { AnalyzeOptionsSchema } from '../src/schemas/analysis.js';
+import { makePdf } from './helpers.js';
+
+/**
+ * Text items on the cover, with whether each is drawn upside down
+ */
+async function coverText(pdf) {
+  const doc = await loadPdfDocument(pdf);
+  const page = await doc.getPage(1);
+  const { items } = await page.getTextContent();
+  await doc.destroy();
+  return items.map((item) => ({ text: item.str, upsideDown: item.transform[0] < 0 }));
+}
+
+test('a reversed card has its label, name and meaning turned over, an upright one does not', async () => {
+  const pdf = await makePdf(['Project Plan', 'Milestones and owners for the next quarter.']);
+  const analysis = await analyzeDocument(pdf, AnalyzeOptionsSchema.parse({}));
+  analysis.cards[0] = { ...analysis.cards[0], orientation: 'reversed', name: 'The Overturn' };
+  analysis.cards[1] = { ...analysis.cards[1], orientation: 'upright', name: 'The Upright' };
+
+  const items = await coverText(await renderMergedPdf(pdf, analysis));
+
+  assert.deepEqual(items.find((item) => item.text === 'The Overturn'), { text: 'The Overturn', upsideDown: true });
+  assert.deepEqual(items.find((item) => item.text === 'The Upright'), { text: 'The Upright', upsideDown: false });
+  assert.ok(items.some((item) => /REVERSED/.test(item.text) && item.upsideDown));
+});
@@ -0,0 +1,136 @@
+/**
+ * The local LLM provider writes meanings, and the templates step in when it can't
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateReadingWithProvider, READING_PROVIDERS } from '../src/services/readingProviders.js';
+import { generateReading } from '../src/services/readingGenerator.js';
+import { getDeckPack } from '../src/services/deckLoader.js';
+import { getSpread } from '../src/services/spreads.js';
+
+const PARAMS = {
+  title: 'Quarterly Report',
+  keywords: ['revenue', 'forecast'],
+  category: 'business',
+  categories: [{ id: 'business', confidence: 1 }],
+  text: 'Revenue grew by eight percent over the quarter.',
+  deck: getDeckPack(),
+  spread: getSpread('three_card'),
+  fileDigest: 'ab'.repeat(32),
+};
+
+const MEANINGS = ['Meaning one.', 'Meaning two.', 'Meaning three.'];
+
+const realFetch = globalThis.fetch;
+let requests;
+
+/**
+ * Stand in for the model server with a reply function
+ */
+function stubServer(reply) {
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url, body: JSON.parse(init.body) });
+    return reply(init);
+  };
+}
+
+/**
+ * A chat completion whose message is `content`
+ */
+function completion(content) {
+  return new Response(JSON.stringify({ choices: [{ message: { content } }] }), { status: 200 });
+}
+
+beforeEach(() => {
+  requests = [];
+  process.env.READING_PROVIDER = READING_PROVIDERS.LOCAL_LLM;
+  process.env.LOCAL_LLM_TIMEOUT_MS = '50';
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete process.env.READING_PROVIDER;
+  delete process.env.LOCAL_LLM_TIMEOUT_MS;
+});
+
+test('model meanings replace the templates, asked for at temperature 0 with the seed', async () => {
+  stubServer(() => completion(JSON.stringify({ meanings: MEANINGS })));
+
+  const reading = await generateReadingWithProvider(PARAMS);
+
+  assert.equal(reading.provider, READING_PROVIDERS.LOCAL_LLM);
+  assert.equal(reading.reproducible, false);
+  assert.deepEqual(reading.cards.map((card) => card.meaning), MEANINGS);
+  assert.deepEqual(reading.cards.map((card) => card.name), generateReading(PARAMS).cards.map((card) => card.name));
+  assert.equal(requests[0].body.temperature, 0);
+  assert.equal(requests[0].body.seed, reading.seed);
+});
+
+test('a reply wrapped in a code fence is still read', async () => {
+  stubServer(() => completion('```json\n' + JSON.stringify({ meanings: MEANINGS }) + '\n```'));
+
+  const reading = await generateReadingWithProvider(PARAMS);
+
+  assert.equal(reading.provider, READING_PROVIDERS.LOCAL_LLM);
+});
+
+test('a reply that is not JSON falls back to the templates', async () => {
+  stubServer(() => completion('The cards are cloudy today.'));
+
+  const reading = await generateReadingWithProvider(PARAMS);
+
+  assert.equal(reading.provider, READING_PROVIDERS.TEMPLATE);
+  assert.equal(reading.reproducible, true);
+  assert.deepEqual(reading.cards, generateReading(PARAMS).cards);
+});
+
+test('a reply the schema rejects falls back to the templates', async () => {
+  for (const meanings of [MEANINGS.slice(0, 2), [...MEANINGS.slice(0, 2), '   '], [...MEANINGS.slice(0, 2), 'x'.repeat(401)]]) {
+    stubServer(() => completion(JSON.stringify({ meanings })));
+
+    const reading = await generateReadingWithProvider(PARAMS);
+
+    assert.equal(reading.provider, READING_PROVIDERS.TEMPLATE, JSON.stringify(meanings).slice(0, 60));
+  }
+});
+
+test('an error status falls back to the templates', async () => {
+  stubServer(() => new Response('overloaded', { status: 503 }));
+
+  const reading = await generateReadingWithProvider(PARAMS);
+
+  assert.equal(reading.provider, READING_PROVIDERS.TEMPLATE);
+});
+
+test('a reading the caller rejects falls back to the templates', async () => {
+  stubServer(() => completion(JSON.stringify({ meanings: MEANINGS })));
+
+  const reading = await generateReadingWithProvider(PARAMS, {
+    validate: (candidate) => candidate.provider !== READING_PROVIDERS.LOCAL_LLM,
+  });
+
+  assert.equal(reading.provider, READING_PROVIDERS.TEMPLATE);
+});
+
+// Last: a timeout marks the server unavailable for the rest of the run
+test('a timeout falls back to the templates and the server is skipped for a while', async () => {
+  // A server that never answers (the pending timer keeps the test running;
+  // AbortSignal.timeout alone doesn't)
+  stubServer((init) => new Promise((resolve, reject) => {
+    const never = setTimeout(resolve, 60000);
+    init.signal.addEventListener('abort', () => {
+      clearTimeout(never);
+      reject(init.signal.reason);
+    });
+  }));
+
+  const reading = await generateReadingWithProvider(PARAMS);
+  assert.equal(reading.provider, READING_PROVIDERS.TEMPLATE);
+  assert.equal(requests.length, 1);
+
+  stubServer(() => completion(JSON.stringify({ meanings: MEANINGS })));
+  const next = await generateReadingWithProvider(PARAMS);
+  assert.equal(next.provider, READING_PROVIDERS.TEMPLATE);
+  assert.equal(requests.length, 1);
+});
@@ -0,0 +1,58 @@
+/**
+ * The `seed` and `drawNumber` of a response reproduce that reading exactly
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeDocument } from '../src/services/documentAnalyzer.js';
+import { AnalyzeOptionsSchema } from '../src/schemas/analysis.js';
+import { makePdf } from './helpers.js';
+
+const LINES = [
+  'Project Kickoff Notes',
+  'Urgent: the budget review is due by March 3, 2025. Please reply ASAP.',
+  'Attendees discussed the roadmap, the hiring plan and the vendor contract.',
+];
+
+/**
+ * Analyze with options sent as form fields, as the routes do
+ */
+async function analyze(pdf, fields = {}) {
+  return analyzeDocument(pdf, { ...AnalyzeOptionsSchema.parse(fields), explain: true });
+}
+
+/**
+ * Everything that was dealt, as opposed to measured
+ */
+function dealt(reading) {
+  const { seed, drawNumber, deck, spread, aura, certification, cards, narrative, explanation } = reading;
+  return { seed, drawNumber, deck, spread, aura, certification, cards, narrative, explanation };
+}
+
+test('the same document gets the same reading', async () => {
+  const pdf = await makePdf(LINES);
+  assert.deepEqual(dealt(await analyze(pdf)), dealt(await analyze(pdf)));
+});
+
+test('sending back seed and drawNumber reproduces a redraw exactly', async () => {
+  const pdf = await makePdf(LINES);
+  const first = await analyze(pdf);
+
+  const redraw = await analyze(pdf, { seed: String(first.seed), drawNumber: '3', spread: 'celtic_cross' });
+  const replayed = await analyze(pdf, { seed: String(redraw.seed), drawNumber: '3', spread: 'celtic_cross' });
+
+  assert.equal(redraw.seed, first.seed);
+  assert.equal(redraw.drawNumber, 3);
+  assert.deepEqual(dealt(replayed), dealt(redraw));
+});
+
+test('each draw number deals a different reading', async () => {
+  const pdf = await makePdf(LINES);
+  const draws = [];
+  for (let drawNumber = 0; drawNumber < 4; drawNumber++) {
+    const reading = await analyze(pdf, { drawNumber: String(drawNumber) });
+    draws.push(reading.cards.map((card) => `${card.name}:${card.orientation}`).join('|'));
+  }
+
+  assert.equal(new Set(draws).size, draws.length);
+});
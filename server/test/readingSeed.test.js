@@ -0,0 +1,35 @@
+/**
+ * A document's own seed comes from its file bytes, whatever depth it is read at
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeDocument } from '../src/services/documentAnalyzer.js';
+import { AnalyzeOptionsSchema } from '../src/schemas/analysis.js';
+import { makePdf } from './helpers.js';
+
+const LINES = [
+  'Service Level Agreement',
+  'The provider shall restore service within four hours of an incident report.',
+  'Service credits apply when monthly availability falls below the agreed level.',
+];
+
+test('fast and full depth deal the same reading from different fingerprints', async () => {
+  // More pages than `fast` reads, so the two depths read different text
+  const pdf = await makePdf(LINES, { pages: 7 });
+
+  const fast = await analyzeDocument(pdf, AnalyzeOptionsSchema.parse({ depth: 'fast' }));
+  const full = await analyzeDocument(pdf, AnalyzeOptionsSchema.parse({ depth: 'full' }));
+
+  assert.notEqual(fast.documentFingerprint, full.documentFingerprint);
+  assert.equal(fast.seed, full.seed);
+  assert.deepEqual(fast.cards.map((card) => card.name), full.cards.map((card) => card.name));
+});
+
+test('documents that differ only past the first 500 characters get different seeds', async () => {
+  const header = LINES[0] + ' ' + 'Standard terms apply. '.repeat(30);
+  const first = await analyzeDocument(await makePdf([header, 'Customer: Initech']), AnalyzeOptionsSchema.parse({}));
+  const second = await analyzeDocument(await makePdf([header, 'Customer: Globex']), AnalyzeOptionsSchema.parse({}));
+
+  assert.notEqual(first.seed, second.seed);
+});
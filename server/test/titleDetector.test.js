@@ -0,0 +1,59 @@
+/**
+ * Titles come from the metadata, the page layout, the first line, then the filename
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectTitle, TITLE_SOURCES } from '../src/services/titleDetector.js';
+import { extractText } from '../src/services/textExtractor.js';
+import { makePdf } from './helpers.js';
+
+test('a page set in one font size is titled by its first line, not the filename', async () => {
+  const pdf = await makePdf([
+    'Quarterly Report',
+    'Revenue grew by eight percent over the quarter.',
+    'Operating costs held steady against the previous quarter.',
+  ]);
+
+  const extraction = await extractText(pdf, { ocr: false, filename: 'x.pdf' });
+
+  assert.equal(extraction.title, 'Quarterly Report');
+  assert.equal(extraction.titleSource, TITLE_SOURCES.LAYOUT);
+  assert.ok(extraction.titleConfidence < 0.4);
+});
+
+test('the first line skips page numbers and running headers', () => {
+  const result = detectTitle({
+    firstPageLines: [
+      { text: 'Acme Corp Confidential', fontSize: 10, top: 0.05 },
+      { text: '1', fontSize: 10, top: 0.07 },
+      { text: 'Quarterly Report', fontSize: 10, top: 0.1 },
+      { text: 'Revenue grew by eight percent over the quarter.', fontSize: 10, top: 0.15 },
+    ],
+    repeatedText: 'Acme Corp Confidential\nOperating costs held steady.',
+    filename: 'x.pdf',
+  });
+
+  assert.equal(result.title, 'Quarterly Report');
+});
+
+test('a larger heading still wins over the first line', () => {
+  const result = detectTitle({
+    firstPageLines: [
+      { text: 'Draft for review', fontSize: 10, top: 0.05 },
+      { text: 'Quarterly Report', fontSize: 18, top: 0.1 },
+      { text: 'Revenue grew by eight percent over the quarter.', fontSize: 10, top: 0.15 },
+      { text: 'Operating costs held steady against the previous quarter.', fontSize: 10, top: 0.2 },
+    ],
+    filename: 'x.pdf',
+  });
+
+  assert.equal(result.title, 'Quarterly Report');
+  assert.ok(result.confidence >= 0.4);
+});
+
+test('a page without text falls back to the filename', () => {
+  const result = detectTitle({ firstPageLines: [], filename: 'board_minutes.pdf' });
+
+  assert.deepEqual(result, { title: 'board minutes', confidence: 0.3, source: TITLE_SOURCES.FILENAME });
+});
@@ -0,0 +1,132 @@
+/**
+ * Zip archives: only safe PDF entries are extracted, and /api/analyze
+ * points zips at the batch endpoint
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPdfsFromZip } from '../src/services/zipExtractor.js';
+import { analyzeRoute } from '../src/routes/analyze.js';
+import { DocumentError } from '../src/errors.js';
+import { makeZip } from './helpers.js';
+
+// Not a real PDF; the extractor goes by name and never parses entries
+const PDF = '%PDF-1.7\n% test entry\n';
+
+/**
+ * The codes the extractor reported, by entry filename
+ */
+function outcomes(files) {
+  return Object.fromEntries(files.map((file) => [file.filename, file.error?.code ?? 'ok']));
+}
+
+test('extracts PDFs and skips everything else', () => {
+  const zip = makeZip([
+    { name: 'reports/q1.pdf', data: PDF },
+    { name: 'reports/q2.pdf', data: PDF.repeat(20), deflate: true },
+    { name: 'notes.txt', data: 'not a pdf' },
+    { name: '__MACOSX/reports/._q1.pdf', data: 'resource fork' },
+  ]);
+
+  const { files, extractedBytes } = extractPdfsFromZip(zip, { archiveName: 'docs.zip' });
+
+  assert.deepEqual(outcomes(files), { 'docs.zip/reports/q1.pdf': 'ok', 'docs.zip/reports/q2.pdf': 'ok' });
+  assert.equal(files[1].buffer.toString(), PDF.repeat(20));
+  assert.equal(extractedBytes, PDF.length * 21);
+});
+
+test('refuses entries whose path escapes the archive', () => {
+  const zip = makeZip([
+    { name: '../../etc/evil.pdf', data: PDF },
+    { name: 'reports/../../evil.pdf', data: PDF },
+    { name: '/etc/evil.pdf', data: PDF },
+    { name: 'C:/Windows/evil.pdf', data: PDF },
+    { name: '..\\evil.pdf', data: PDF },
+  ]);
+
+  const { files, extractedBytes } = extractPdfsFromZip(zip);
+
+  assert.equal(files.length, 5);
+  for (const file of files) {
+    assert.equal(file.error?.code, 'unsafe_zip_entry', file.filename);
+    assert.equal(file.buffer, undefined);
+    // The label keeps only the base name, never the escaping path
+    assert.equal(file.filename, 'archive.zip/evil.pdf');
+  }
+  assert.equal(extractedBytes, 0);
+});
+
+test('refuses entries over 10MB by their declared size', () => {
+  const zip = makeZip([{ name: 'huge.pdf', data: PDF, size: 11 * 1024 * 1024 }]);
+
+  const [file] = extractPdfsFromZip(zip).files;
+
+  assert.equal(file.error?.code, 'unsafe_zip_entry');
+  assert.match(file.error.message, /too large/);
+});
+
+test('refuses entries compressed more than 100:1', () => {
+  const zip = makeZip([{ name: 'bomb.pdf', data: Buffer.alloc(1024 * 1024), deflate: true }]);
+
+  const [file] = extractPdfsFromZip(zip).files;
+
+  assert.equal(file.error?.code, 'unsafe_zip_entry');
+  assert.match(file.error.message, /compressed suspiciously/);
+});
+
+test('refuses entries that inflate past their declared size', () => {
+  // Declares 10 bytes, inflates to far more
+  const zip = makeZip([{ name: 'liar.pdf', data: PDF.repeat(3), deflate: true, size: 10 }]);
+
+  const [file] = extractPdfsFromZip(zip).files;
+
+  assert.equal(file.error?.code, 'unsafe_zip_entry');
+  assert.equal(file.buffer, undefined);
+});
+
+test('stops extracting once the archive budget is spent', () => {
+  const zip = makeZip([
+    { name: 'first.pdf', data: PDF },
+    { name: 'second.pdf', data: PDF },
+  ]);
+
+  const { files } = extractPdfsFromZip(zip, { maxExtractedBytes: PDF.length + 1 });
+
+  assert.deepEqual(outcomes(files), { 'archive.zip/first.pdf': 'ok', 'archive.zip/second.pdf': 'unsafe_zip_entry' });
+});
+
+test('refuses encrypted entries', () => {
+  const zip = makeZip([{ name: 'locked.pdf', data: PDF, flags: 0x1 }]);
+
+  assert.equal(extractPdfsFromZip(zip).files[0].error?.code, 'unsafe_zip_entry');
+});
+
+test('an unreadable archive fails as a whole', () => {
+  assert.throws(
+    () => extractPdfsFromZip(Buffer.from('PK but not really a zip archive')),
+    (error) => error instanceof DocumentError && error.code === 'invalid_zip'
+  );
+});
+
+test('/api/analyze answers a zip with a pointer to the batch endpoint', async () => {
+  const req = {
+    file: { originalname: 'docs.zip', mimetype: 'application/zip', buffer: makeZip([{ name: 'a.pdf', data: PDF }]) },
+    body: {},
+    query: {},
+  };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+
+  await analyzeRoute(req, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'zip_needs_batch');
+});
@@ -6,16 +6,25 @@
  * 2. Analyze and get a tarot reading
  * 3. View animated card reveal
  * 4. Export with tarot cover page
+ *
+ * In batch mode, or for a zip of PDFs, several PDFs are analyzed at once
+ * and shown as a grid of mini-readings instead. In compare mode two PDFs
+ * get a compatibility reading with its own view and PDF cover.
  */
 
 import { useState, useCallback } from 'react';
 import { AnimatePresence } from 'framer-motion';
 import UploadView from './views/UploadView';
 import ReadingView from './views/ReadingView';
+import BatchView from './views/BatchView';
+import CompareView from './views/CompareView';
 import { useFileUpload } from './hooks/useFileUpload';
-import { useAnalysis } from './hooks/useAnalysis';
+import { useAnalysis, ANALYSIS_ERRORS, PASSWORD_ERRORS } from './hooks/useAnalysis';
+import { useBatchAnalysis } from './hooks/useBatchAnalysis';
+import { useCompare } from './hooks/useCompare';
 import { useExport } from './hooks/useExport';
 import { clearLastReading } from './utils/storage';
+import { readReadingLink, clearReadingLink } from './lib/readingLink';
 import './styles/App.css';
 
 /**
@@ -25,15 +34,22 @@ const APP_VIEWS = {
   UPLOAD: 'upload',
   ANALYZING: 'analyzing',
   READING: 'reading',
+  BATCH: 'batch',
+  COMPARE: 'compare',
 };
 
 export default function App() {
   // Current view state
   const [currentView, setCurrentView] = useState(APP_VIEWS.UPLOAD);
 
+  // Seed (and seed mode) from a reading link, dealt for the first PDF dropped
+  const [readingLink, setReadingLink] = useState(() => readReadingLink());
+
   // File upload hook
   const fileUpload = useFileUpload({
     onUploadComplete: handleFileReady,
+    onBatchReady: handleBatchReady,
+    onCompareReady: handleCompareReady,
     onError: handleUploadError,
   });
 
@@ -43,6 +59,18 @@ export default function App() {
     onError: handleAnalysisError,
   });
 
+  // Batch analysis hook
+  const batchAnalysis = useBatchAnalysis({
+    onAnalysisComplete: handleBatchComplete,
+    onError: handleBatchError,
+  });
+
+  // Compatibility hook
+  const compare = useCompare({
+    onCompareComplete: handleCompareComplete,
+    onError: handleCompareError,
+  });
+
   // Export hook
   const exportPdf = useExport({
     onExportComplete: handleExportComplete,
@@ -52,10 +80,34 @@ export default function App() {
   /**
    * Handle successful file validation
    * Automatically trigger analysis
+   *
+   * @param {File} file - Validated PDF
+   * @param {Object} options - Analysis options (password for locked PDFs)
    */
-  function handleFileReady(file) {
+  function handleFileReady(file, options) {
     setCurrentView(APP_VIEWS.ANALYZING);
-    analysis.analyze(file);
+    analysis.analyze(file, { ...readingLink, ...options });
+  }
+
+  /**
+   * Handle a validated batch
+   * Files that failed validation are shown alongside the results
+   *
+   * @param {File[]} files - Validated PDFs
+   */
+  function handleBatchReady(files) {
+    setCurrentView(APP_VIEWS.ANALYZING);
+    batchAnalysis.analyzeBatch(files);
+  }
+
+  /**
+   * Handle a validated pair
+   *
+   * @param {File[]} files - The two PDFs to compare
+   */
+  function handleCompareReady(files) {
+    setCurrentView(APP_VIEWS.ANALYZING);
+    compare.compare(files);
   }
 
   /**
@@ -72,6 +124,12 @@ export default function App() {
    */
   function handleAnalysisComplete(result) {
     setCurrentView(APP_VIEWS.READING);
+
+    // The link's reading has been dealt; later PDFs get their own
+    if (readingLink) {
+      clearReadingLink();
+      setReadingLink(null);
+    }
   }
 
   /**
@@ -81,6 +139,45 @@ export default function App() {
   function handleAnalysisError(error) {
     console.error('[App] Analysis error:', error);
     setCurrentView(APP_VIEWS.UPLOAD);
+
+    // Locked PDF - ask for the password instead of showing a dead end
+    if (PASSWORD_ERRORS.includes(error.type)) {
+      fileUpload.requestPassword(error, error.type === ANALYSIS_ERRORS.PASSWORD_INCORRECT);
+    }
+  }
+
+  /**
+   * Handle a finished batch
+   * Transition to the grid of mini-readings
+   */
+  function handleBatchComplete() {
+    setCurrentView(APP_VIEWS.BATCH);
+  }
+
+  /**
+   * Handle batch request errors
+   * Return to upload view
+   */
+  function handleBatchError(error) {
+    console.error('[App] Batch analysis error:', error);
+    setCurrentView(APP_VIEWS.UPLOAD);
+  }
+
+  /**
+   * Handle a finished comparison
+   * Transition to the compatibility reading
+   */
+  function handleCompareComplete() {
+    setCurrentView(APP_VIEWS.COMPARE);
+  }
+
+  /**
+   * Handle comparison errors
+   * Return to upload view
+   */
+  function handleCompareError(error) {
+    console.error('[App] Compare error:', error);
+    setCurrentView(APP_VIEWS.UPLOAD);
   }
 
   /**
@@ -88,9 +185,20 @@ export default function App() {
    */
   const handleExport = useCallback(() => {
     if (fileUpload.file && analysis.result) {
-      exportPdf.exportPdf(fileUpload.file, analysis.result);
+      exportPdf.exportPdf(fileUpload.file, analysis.result, {
+        password: fileUpload.password,
+      });
+    }
+  }, [fileUpload.file, fileUpload.password, analysis.result, exportPdf]);
+
+  /**
+   * Handle export of a compatibility reading
+   */
+  const handleCompareExport = useCallback(() => {
+    if (fileUpload.hasPair && compare.result) {
+      exportPdf.exportComparison(fileUpload.pair, compare.result);
     }
-  }, [fileUpload.file, analysis.result, exportPdf]);
+  }, [fileUpload.hasPair, fileUpload.pair, compare.result, exportPdf]);
 
   /**
    * Handle successful export
@@ -113,24 +221,51 @@ export default function App() {
     // Reset all state
     fileUpload.reset();
     analysis.reset();
+    batchAnalysis.reset();
+    compare.reset();
     exportPdf.reset();
     clearLastReading();
     setCurrentView(APP_VIEWS.UPLOAD);
-  }, [fileUpload, analysis, exportPdf]);
+  }, [fileUpload, analysis, batchAnalysis, compare, exportPdf]);
 
   /**
    * Retry analysis with current file
    */
   const handleRetryAnalysis = useCallback(() => {
+    if (fileUpload.hasPair) {
+      compare.compare(fileUpload.pair);
+      setCurrentView(APP_VIEWS.ANALYZING);
+      return;
+    }
+
+    if (fileUpload.hasBatch) {
+      batchAnalysis.analyzeBatch(fileUpload.files);
+      setCurrentView(APP_VIEWS.ANALYZING);
+      return;
+    }
+
     if (fileUpload.file) {
-      analysis.retry(fileUpload.file);
+      analysis.retry(fileUpload.file, { ...readingLink, password: fileUpload.password });
+      setCurrentView(APP_VIEWS.ANALYZING);
+    }
+  }, [fileUpload.hasPair, fileUpload.pair, fileUpload.hasBatch, fileUpload.files, fileUpload.file, fileUpload.password, readingLink, analysis, batchAnalysis, compare]);
+
+  /**
+   * Deal another reading for the current file
+   */
+  const handleDrawAgain = useCallback(() => {
+    if (fileUpload.file && analysis.result) {
+      exportPdf.reset();
+      analysis.drawAgain(fileUpload.file, { password: fileUpload.password });
       setCurrentView(APP_VIEWS.ANALYZING);
     }
-  }, [fileUpload.file, analysis]);
+  }, [fileUpload.file, fileUpload.password, analysis, exportPdf]);
 
   // Determine what to show based on current view
   const showUpload = currentView === APP_VIEWS.UPLOAD || currentView === APP_VIEWS.ANALYZING;
   const showReading = currentView === APP_VIEWS.READING && analysis.hasResult;
+  const showBatch = currentView === APP_VIEWS.BATCH && batchAnalysis.hasResults;
+  const showCompare = currentView === APP_VIEWS.COMPARE && compare.hasResult;
 
   return (
     <div className="app">
@@ -145,7 +280,7 @@ export default function App() {
             <UploadView
               key="upload"
               fileUpload={fileUpload}
-              analysis={analysis}
+              analysis={fileUpload.isCompare ? compare : fileUpload.hasBatch ? batchAnalysis : analysis}
               isAnalyzing={currentView === APP_VIEWS.ANALYZING}
               onRetry={handleRetryAnalysis}
             />
@@ -158,6 +293,27 @@ export default function App() {
               filename={fileUpload.file?.name}
               onExport={handleExport}
               onStartOver={handleStartOver}
+              onDrawAgain={handleDrawAgain}
+              exportState={exportPdf}
+            />
+          )}
+
+          {showBatch && (
+            <BatchView
+              key="batch"
+              results={batchAnalysis.results}
+              rejections={fileUpload.rejections}
+              onStartOver={handleStartOver}
+            />
+          )}
+
+          {showCompare && (
+            <CompareView
+              key="compare"
+              result={compare.result}
+              files={fileUpload.pair}
+              onExport={handleCompareExport}
+              onStartOver={handleStartOver}
               exportState={exportPdf}
             />
           )}
@@ -1,39 +1,84 @@
+import { useState, useId } from 'react';
 import { motion } from 'framer-motion';
 import './AuraBadge.css';
 
-const auraStyles = {
-  'Focus Goblin': { gradient: 'linear-gradient(135deg, #68D391 0%, #48BB78 100%)', emoji: '' },
-  'Deadline Phantom': { gradient: 'linear-gradient(135deg, #ED64A6 0%, #D53F8C 100%)', emoji: '' },
-  'Meeting Magnet': { gradient: 'linear-gradient(135deg, #4299E1 0%, #3182CE 100%)', emoji: '' },
-  'Inbox Specter': { gradient: 'linear-gradient(135deg, #F6AD55 0%, #ED8936 100%)', emoji: '' },
-  'Revision Wraith': { gradient: 'linear-gradient(135deg, #9F7AEA 0%, #805AD5 100%)', emoji: '' },
-  'Approval Seeker': { gradient: 'linear-gradient(135deg, #FBD38D 0%, #F6AD55 100%)', emoji: '' },
-  'Scope Creeper': { gradient: 'linear-gradient(135deg, #FC8181 0%, #F56565 100%)', emoji: '' },
-  'Format Warrior': { gradient: 'linear-gradient(135deg, #63B3ED 0%, #4299E1 100%)', emoji: '' }
+// Icon ids a deck pack can give its auras; unknown ids get the sparkle
+const auraIcons = {
+  sparkle: <path d="M12 2L13.09 8.26L22 9.27L17 14.14L18.18 21.02L12 17.77L5.82 21.02L7 14.14L2 9.27L10.91 8.26L12 2Z" />,
+  target: (
+    <>
+      <circle cx="12" cy="12" r="9" fill="none" stroke="currentColor" strokeWidth="2" />
+      <circle cx="12" cy="12" r="5" fill="none" stroke="currentColor" strokeWidth="2" />
+      <circle cx="12" cy="12" r="1.5" />
+    </>
+  ),
+  hourglass: <path d="M6 2h12v5l-4 5 4 5v5H6v-5l4-5-4-5V2zm2 2v2.3L12 11l4-4.7V4H8z" />,
+  magnet: <path d="M4 3h5v9a3 3 0 006 0V3h5v9a8 8 0 01-16 0V3zm2 2v2h1V5H6zm11 0v2h1V5h-1z" />,
+  envelope: <path d="M3 5h18v14H3V5zm2 2v.5l7 5 7-5V7H5zm14 2.9l-7 5-7-5V17h14V9.9z" />,
+  cycle: <path d="M12 4a8 8 0 017.75 6H22l-3.5 4-3.5-4h2.64A6 6 0 0012 6a6 6 0 00-4.24 1.76L6.34 6.34A8 8 0 0112 4zm-7.5 6L8 14H5.36A6 6 0 0012 18a6 6 0 004.24-1.76l1.42 1.42A8 8 0 014.25 14H2l2.5-4z" />,
+  check: <path d="M9 16.2l-4.2-4.2-1.4 1.4L9 19 21 7l-1.4-1.4L9 16.2z" />,
+  expand: <path d="M3 3h7v2H6.41l4.3 4.29-1.42 1.42L5 6.41V10H3V3zm11 0h7v7h-2V6.41l-4.29 4.3-1.42-1.42L17.59 5H14V3zM9.29 13.29l1.42 1.42L6.41 19H10v2H3v-7h2v3.59l4.29-4.3zm5.42 0L19 17.59V14h2v7h-7v-2h3.59l-4.3-4.29 1.42-1.42z" />,
+  brush: <path d="M20.7 4.7l-1.4-1.4a1 1 0 00-1.4 0L9 12.2l2.8 2.8 8.9-8.9a1 1 0 000-1.4zM7.5 14a3 3 0 00-3 3c0 1.3-1.2 2-2 2 .9 1.2 2.5 2 4 2a4 4 0 004-4 3 3 0 00-3-3z" />,
+  archive: <path d="M3 3h18v5H3V3zm1 6h16v12H4V9zm5 3v2h6v-2H9z" />,
+  tabs: <path d="M2 5h6l1 2h13v12H2V5zm2 4v8h16V9H4zm6-4h5l1 2h-5l-1-2z" />,
 };
 
+/**
+ * @param {Object} props
+ * @param {Object} props.aura - Aura ({ name, description, color, icon }), see getReadingAura
+ */
 export default function AuraBadge({ aura, delay = 0 }) {
-  const style = auraStyles[aura] || auraStyles['Focus Goblin'];
+  const [showDescription, setShowDescription] = useState(false);
+  const tooltipId = useId();
+  const hasDescription = Boolean(aura.description);
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      setShowDescription(false);
+    }
+  };
 
   return (
-    <motion.div
-      className="aura-badge"
-      initial={{ scale: 0, opacity: 0 }}
-      animate={{ scale: 1, opacity: 1 }}
-      transition={{
-        delay: delay / 1000,
-        type: 'spring',
-        stiffness: 400,
-        damping: 10
-      }}
-      style={{ background: style.gradient }}
+    <div
+      className="aura-badge-wrapper"
+      onMouseEnter={() => setShowDescription(true)}
+      onMouseLeave={() => setShowDescription(false)}
     >
-      <span className="aura-badge__sparkle">
-        <svg viewBox="0 0 24 24" fill="currentColor">
-          <path d="M12 2L13.09 8.26L22 9.27L17 14.14L18.18 21.02L12 17.77L5.82 21.02L7 14.14L2 9.27L10.91 8.26L12 2Z" />
-        </svg>
-      </span>
-      <span className="aura-badge__text">{aura}</span>
-    </motion.div>
+      <motion.button
+        type="button"
+        className="aura-badge"
+        initial={{ scale: 0, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        transition={{
+          delay: delay / 1000,
+          type: 'spring',
+          stiffness: 400,
+          damping: 10
+        }}
+        style={{ '--aura-color': aura.color }}
+        aria-describedby={hasDescription ? tooltipId : undefined}
+        onFocus={() => setShowDescription(true)}
+        onBlur={() => setShowDescription(false)}
+        onClick={() => setShowDescription((shown) => !shown)}
+        onKeyDown={handleKeyDown}
+      >
+        <span className="aura-badge__sparkle" aria-hidden="true">
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            {auraIcons[aura.icon] || auraIcons.sparkle}
+          </svg>
+        </span>
+        <span className="aura-badge__text">{aura.name}</span>
+      </motion.button>
+
+      {hasDescription && (
+        <div
+          id={tooltipId}
+          role="tooltip"
+          className={`aura-badge__tooltip ${showDescription ? 'aura-badge__tooltip--visible' : ''}`}
+        >
+          {aura.description}
+        </div>
+      )}
+    </div>
   );
 }
@@ -0,0 +1,79 @@
+import './CardExplanation.css';
+
+// Wording for the document signals a card's affinities can match
+const signalLabels = {
+  revised: 'revised long after it was written',
+  untouched: 'never revised',
+  dense: 'hard to read',
+  passive: 'lots of passive voice',
+  tabular: 'full of tables',
+  illustrated: 'full of images',
+  blankPages: 'has blank pages',
+  longRead: 'a long read',
+};
+
+/**
+ * Turn a card's explanation into plain sentences
+ *
+ * @param {Object} explanation - Card explanation from /api/analyze?explain=1
+ * @param {Object} position - Spread position the card was dealt into
+ * @returns {string[]}
+ */
+function describe(explanation, position) {
+  const lines = [];
+
+  if (explanation.repeat) {
+    lines.push(`Every ${position.draw} card was ruled out or already dealt, so this one was picked by seed alone.`);
+  } else {
+    lines.push(`Had a ${Math.round(explanation.chance * 100)}% chance among the ${position.draw} cards (weight ${explanation.weight}).`);
+  }
+
+  if (explanation.categories.length > 0) {
+    const categories = explanation.categories.map(({ id, weight }) => `${id.replace(/_/g, ' ')} (+${weight})`);
+    lines.push(`Fits the document's category: ${categories.join(', ')}.`);
+  }
+
+  if (explanation.keywords.length > 0) {
+    lines.push(`Triggered by keywords: ${explanation.keywords.join(', ')}.`);
+  }
+
+  if (explanation.metadata.length > 0) {
+    const signals = explanation.metadata.map((signal) => signalLabels[signal] || signal);
+    lines.push(`Document signals: ${signals.join(', ')}.`);
+  }
+
+  if (!explanation.repeat && explanation.categories.length + explanation.keywords.length + explanation.metadata.length === 0) {
+    lines.push('Nothing in the document favoured it; it was drawn on its base weight.');
+  }
+
+  if (explanation.roll !== null) {
+    lines.push(`Seed step ${explanation.seedStep} rolled ${explanation.roll}.`);
+  }
+
+  if (explanation.orientation) {
+    const { roll, reversedBelow } = explanation.orientation;
+    lines.push(`Orientation roll ${roll} (reversed below ${reversedBelow}).`);
+  }
+
+  return lines;
+}
+
+/**
+ * "Why this card?" disclosure shown under a dealt card
+ *
+ * @param {Object} props
+ * @param {Object} props.explanation - Card explanation
+ * @param {Object} props.position - Spread position ({ label, draw })
+ */
+export default function CardExplanation({ explanation, position }) {
+  return (
+    <details className="card-explanation">
+      <summary className="card-explanation__summary">Why this card?</summary>
+      <ul className="card-explanation__list">
+        {describe(explanation, position).map((line) => (
+          <li key={line}>{line}</li>
+        ))}
+      </ul>
+    </details>
+  );
+}
@@ -3,18 +3,87 @@ import { useDropzone } from 'react-dropzone';
 import { motion, AnimatePresence } from 'framer-motion';
 import './DropZone.css';
 
-export default function DropZone({ onFileAccepted, isLoading }) {
+// Mirrors the server's batch limit
+const MAX_BATCH_FILES = 20;
+
+// Compatibility readings take PDFs only, never zips
+const PDF_ONLY = { 'application/pdf': ['.pdf'] };
+const PDF_OR_ZIP = {
+  'application/pdf': ['.pdf'],
+  'application/zip': ['.zip'],
+  'application/x-zip-compressed': ['.zip']
+};
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onFileAccepted - Called with the dropped PDF or zip (single mode)
+ * @param {boolean} props.multiple - Batch mode: accept several PDFs or zips, or a folder
+ * @param {boolean} props.compare - Compare mode: accept two PDFs, together or one at a time
+ * @param {Function} props.onFilesAccepted - Called with the accepted PDFs and the
+ *   files turned away for their size (batch and compare modes)
+ * @param {File[]} props.pendingFiles - First PDF of a pair, waiting for the second
+ */
+export default function DropZone({
+  onFileAccepted,
+  multiple = false,
+  compare = false,
+  onFilesAccepted,
+  pendingFiles = [],
+  isLoading,
+  passwordPrompt = null,
+  onPasswordSubmit,
+  onPasswordCancel,
+}) {
   const [error, setError] = useState(null);
+  const [passwordInput, setPasswordInput] = useState('');
+
+  const handlePasswordSubmit = (event) => {
+    event.preventDefault();
+    if (passwordInput) {
+      onPasswordSubmit?.(passwordInput);
+      setPasswordInput('');
+    }
+  };
 
   const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
     setError(null);
 
+    if (compare) {
+      const rejection = rejectedFiles[0];
+      if (rejection?.errors[0]?.code === 'file-too-large') {
+        setError('File is too large. Maximum size is 10MB.');
+      } else if (rejection) {
+        setError('Please choose two PDF files to compare.');
+      } else if (acceptedFiles.length > 0) {
+        onFilesAccepted(acceptedFiles, []);
+      }
+      return;
+    }
+
+    if (multiple) {
+      if (rejectedFiles.some((rejection) => rejection.errors[0]?.code === 'too-many-files')) {
+        setError(`Too many files. Drop up to ${MAX_BATCH_FILES} PDFs at a time.`);
+        return;
+      }
+
+      // A dropped folder usually holds more than PDFs and zips; skip the rest
+      // quietly but keep oversized files so they show up in the results
+      const oversized = rejectedFiles.filter((rejection) => rejection.errors[0]?.code === 'file-too-large');
+      if (acceptedFiles.length === 0 && oversized.length === 0) {
+        setError(rejectedFiles.length > 0 ? 'No PDF or ZIP files found.' : 'Invalid file. Please try again.');
+        return;
+      }
+
+      onFilesAccepted(acceptedFiles, oversized);
+      return;
+    }
+
     if (rejectedFiles.length > 0) {
       const rejection = rejectedFiles[0];
       if (rejection.errors[0]?.code === 'file-too-large') {
         setError('File is too large. Maximum size is 10MB.');
       } else if (rejection.errors[0]?.code === 'file-invalid-type') {
-        setError('Please upload a PDF file.');
+        setError('Please upload a PDF or ZIP file.');
       } else {
         setError('Invalid file. Please try again.');
       }
@@ -24,16 +93,19 @@ export default function DropZone({ onFileAccepted, isLoading }) {
     if (acceptedFiles.length > 0) {
       onFileAccepted(acceptedFiles[0]);
     }
-  }, [onFileAccepted]);
+  }, [compare, multiple, onFileAccepted, onFilesAccepted]);
+
+  const dropTitle = compare
+    ? (pendingFiles.length > 0 ? 'Now drop the second PDF' : 'Drop two PDFs to compare')
+    : multiple ? 'Drop your PDFs or a folder here' : 'Drop your PDF or ZIP here';
 
   const { getRootProps, getInputProps, isDragActive, isDragReject } = useDropzone({
     onDrop,
-    accept: {
-      'application/pdf': ['.pdf']
-    },
+    accept: compare ? PDF_ONLY : PDF_OR_ZIP,
     maxSize: 10 * 1024 * 1024, // 10MB
-    multiple: false,
-    disabled: isLoading
+    multiple: multiple || compare,
+    maxFiles: compare ? 2 - pendingFiles.length : multiple ? MAX_BATCH_FILES : 0,
+    disabled: isLoading || Boolean(passwordPrompt)
   });
 
   return (
@@ -75,7 +147,11 @@ export default function DropZone({ onFileAccepted, isLoading }) {
                 className="dropzone__text"
               >
                 <p className="dropzone__title">Reading the stars...</p>
-                <p className="dropzone__subtitle">Analyzing your document's destiny</p>
+                <p className="dropzone__subtitle">
+                  {compare
+                    ? "Weighing your documents' compatibility"
+                    : multiple ? "Analyzing your documents' destinies" : "Analyzing your document's destiny"}
+                </p>
               </motion.div>
             ) : isDragActive ? (
               <motion.div
@@ -96,9 +172,16 @@ export default function DropZone({ onFileAccepted, isLoading }) {
                 exit={{ opacity: 0, y: -10 }}
                 className="dropzone__text"
               >
-                <p className="dropzone__title">Drop your PDF here</p>
+                <p className="dropzone__title">{dropTitle}</p>
                 <p className="dropzone__subtitle">or click to browse</p>
-                <span className="dropzone__hint">PDF up to 10MB</span>
+                <span className="dropzone__hint">
+                  {compare
+                    ? 'Two PDFs up to 10MB each, together or one at a time'
+                    : multiple ? `Up to ${MAX_BATCH_FILES} PDFs or ZIPs, 10MB each` : 'PDF or ZIP up to 10MB'}
+                </span>
+                {pendingFiles.length > 0 && (
+                  <span className="dropzone__pending">First: {pendingFiles[0].name}</span>
+                )}
               </motion.div>
             )}
           </AnimatePresence>
@@ -117,6 +200,51 @@ export default function DropZone({ onFileAccepted, isLoading }) {
         </AnimatePresence>
       </motion.div>
 
+      {/* Password prompt for encrypted PDFs */}
+      <AnimatePresence>
+        {passwordPrompt && !isLoading && (
+          <motion.form
+            className="dropzone__password"
+            onSubmit={handlePasswordSubmit}
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+          >
+            <label className="dropzone__password-label" htmlFor="dropzone-password">
+              This PDF is locked. Enter its password to continue.
+            </label>
+            <div className="dropzone__password-row">
+              <input
+                id="dropzone-password"
+                className="dropzone__password-input"
+                type="password"
+                autoComplete="off"
+                autoFocus
+                value={passwordInput}
+                onChange={(event) => setPasswordInput(event.target.value)}
+              />
+              <button
+                type="submit"
+                className="dropzone__password-submit"
+                disabled={!passwordInput}
+              >
+                Unlock
+              </button>
+              <button
+                type="button"
+                className="dropzone__password-cancel"
+                onClick={onPasswordCancel}
+              >
+                Cancel
+              </button>
+            </div>
+            {passwordPrompt.incorrect && passwordPrompt.message && (
+              <p className="dropzone__error">{passwordPrompt.message}</p>
+            )}
+          </motion.form>
+        )}
+      </AnimatePresence>
+
       {/* Error message */}
       <AnimatePresence>
         {error && (
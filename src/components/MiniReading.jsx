@@ -0,0 +1,52 @@
+import { motion } from 'framer-motion';
+import { getReadingSpread } from '../lib/spreads';
+import { getReadingAura } from '../lib/auras';
+import './MiniReading.css';
+
+/**
+ * A batch result at a glance: the document's aura, title and cards, or why
+ * it couldn't be read
+ *
+ * @param {Object} props
+ * @param {string} props.filename - Uploaded file name
+ * @param {Object} props.analysis - Analysis result, when the file was read
+ * @param {Object} props.error - { message }, when it wasn't
+ * @param {number} props.delay - Entrance delay in ms
+ */
+export default function MiniReading({ filename, analysis, error, delay = 0 }) {
+  const aura = getReadingAura(analysis);
+  const dealt = analysis
+    ? getReadingSpread(analysis).positions
+      .map((position) => ({ position, card: analysis.cards?.find((c) => c.position === position.id) }))
+      .filter(({ card }) => card)
+    : [];
+
+  return (
+    <motion.article
+      className={`mini-reading ${error ? 'mini-reading--failed' : ''}`}
+      style={aura ? { '--aura-color': aura.color } : undefined}
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: delay / 1000 }}
+    >
+      <p className="mini-reading__filename" title={filename}>{filename}</p>
+
+      {analysis ? (
+        <>
+          <h3 className="mini-reading__title">{analysis.title}</h3>
+          {aura && <p className="mini-reading__aura">{aura.name}</p>}
+          <ul className="mini-reading__cards">
+            {dealt.map(({ position, card }) => (
+              <li key={position.id} className="mini-reading__card">
+                <span className="mini-reading__position">{position.label}</span>
+                <span className="mini-reading__card-name">{card.name}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <p className="mini-reading__error">{error?.message || 'This document could not be read'}</p>
+      )}
+    </motion.article>
+  );
+}
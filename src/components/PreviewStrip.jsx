@@ -20,9 +20,10 @@ const THUMBNAIL_WIDTH = 80;
  *
  * @param {Object} props
  * @param {File} props.file - PDF file to preview
+ * @param {string} props.password - Password for encrypted PDFs
  * @param {string} props.className - Additional CSS classes
  */
-export default function PreviewStrip({ file, className = '' }) {
+export default function PreviewStrip({ file, password, className = '' }) {
   const [thumbnails, setThumbnails] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -44,7 +45,7 @@ export default function PreviewStrip({ file, className = '' }) {
         const arrayBuffer = await file.arrayBuffer();
 
         // Load PDF document
-        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer, password }).promise;
 
         if (cancelled) return;
 
@@ -100,7 +101,7 @@ export default function PreviewStrip({ file, className = '' }) {
     return () => {
       cancelled = true;
     };
-  }, [file]);
+  }, [file, password]);
 
   // Animation variants
   const containerVariants = {
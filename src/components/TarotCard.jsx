@@ -2,19 +2,17 @@ import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import './TarotCard.css';
 
-const positionColors = {
+// Colors and symbols follow the card pool a position draws from
+const poolColors = {
   past: { primary: 'var(--color-past)', subtle: 'var(--color-past-subtle)' },
   present: { primary: 'var(--color-present)', subtle: 'var(--color-present-subtle)' },
-  future: { primary: 'var(--color-future)', subtle: 'var(--color-future-subtle)' }
+  future: { primary: 'var(--color-future)', subtle: 'var(--color-future-subtle)' },
+  bond: { primary: 'var(--color-bond)', subtle: 'var(--color-bond-subtle)' },
+  tension: { primary: 'var(--color-tension)', subtle: 'var(--color-tension-subtle)' },
+  outcome: { primary: 'var(--color-outcome)', subtle: 'var(--color-outcome-subtle)' }
 };
 
-const positionLabels = {
-  past: 'Past',
-  present: 'Present',
-  future: 'Future'
-};
-
-const positionSymbols = {
+const poolSymbols = {
   past: (
     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
       <circle cx="12" cy="12" r="10" />
@@ -31,13 +29,35 @@ const positionSymbols = {
     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
       <polygon points="12,2 15.09,8.26 22,9.27 17,14.14 18.18,21.02 12,17.77 5.82,21.02 7,14.14 2,9.27 8.91,8.26" />
     </svg>
+  ),
+  bond: (
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
+      <circle cx="9" cy="12" r="6" />
+      <circle cx="15" cy="12" r="6" />
+    </svg>
+  ),
+  tension: (
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
+      <polyline points="2,12 6,6 10,18 14,6 18,18 22,12" />
+    </svg>
+  ),
+  outcome: (
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
+      <polygon points="12,2 22,12 12,22 2,12" />
+      <circle cx="12" cy="12" r="3" />
+    </svg>
   )
 };
 
+/**
+ * @param {Object} props
+ * @param {Object} props.card - Card with name, meaning and orientation
+ * @param {Object} props.position - Spread position ({ label, draw, rotate })
+ */
 export default function TarotCard({ card, position, delay = 0, onReveal }) {
   const [isFlipped, setIsFlipped] = useState(false);
   const [isRevealed, setIsRevealed] = useState(false);
-  const colors = positionColors[position];
+  const colors = poolColors[position.draw] || poolColors.present;
 
   const handleFlip = () => {
     if (!isFlipped) {
@@ -63,7 +83,8 @@ export default function TarotCard({ card, position, delay = 0, onReveal }) {
     }
   }, [delay, onReveal]);
 
-  const rotation = position === 'past' ? -5 : position === 'future' ? 5 : 0;
+  const rotation = position.rotate || 0;
+  const isReversed = card.orientation === 'reversed';
 
   return (
     <motion.div
@@ -74,7 +95,7 @@ export default function TarotCard({ card, position, delay = 0, onReveal }) {
       style={{ '--card-accent': colors.primary, '--card-accent-subtle': colors.subtle }}
     >
       <motion.div
-        className={`tarot-card ${isFlipped ? 'tarot-card--flipped' : ''}`}
+        className={`tarot-card ${isFlipped ? 'tarot-card--flipped' : ''} ${isReversed ? 'tarot-card--reversed' : ''}`}
         onClick={handleFlip}
         whileHover={{ scale: 1.02, boxShadow: 'var(--shadow-card-hover)' }}
         transition={{ duration: 0.12 }}
@@ -106,11 +127,11 @@ export default function TarotCard({ card, position, delay = 0, onReveal }) {
           {/* Card Front */}
           <div className="tarot-card__face tarot-card__front">
             <div className="tarot-card__position-badge">
-              {positionLabels[position]}
+              {position.label}{isReversed && ' · Reversed'}
             </div>
 
             <div className="tarot-card__symbol">
-              {positionSymbols[position]}
+              {poolSymbols[position.draw] || poolSymbols.present}
             </div>
 
             <motion.div
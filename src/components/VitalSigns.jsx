@@ -0,0 +1,110 @@
+import { useId } from 'react';
+import './VitalSigns.css';
+
+/**
+ * First verdict whose threshold the value reaches
+ *
+ * @param {number} value - Measured value
+ * @param {Array<[number, string]>} verdicts - [threshold, verdict] pairs, highest first
+ * @returns {string}
+ */
+function verdictFor(value, verdicts) {
+  return verdicts.find(([threshold]) => value >= threshold)[1];
+}
+
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+/**
+ * Turn document statistics into vital signs
+ *
+ * Readability and passive voice are only measured for English documents, so
+ * their signs are left out for other languages.
+ *
+ * @param {Object} statistics - Statistics from /api/analyze
+ * @returns {Array<{label: string, value: string, verdict: string}>}
+ */
+function describeVitals(statistics) {
+  const {
+    wordCount, readingMinutes, averageSentenceLength, fleschReadingEase,
+    passiveVoiceRatio, headings, tables, images, perPage, blankPageRatio,
+  } = statistics;
+
+  const signs = [
+    {
+      label: 'Pulse',
+      value: `${wordCount.toLocaleString()} words`,
+      verdict: verdictFor(wordCount, [[3000, 'Racing'], [300, 'Steady'], [0, 'Faint']]),
+    },
+    {
+      label: 'Attention span',
+      value: `${readingMinutes} min read`,
+      verdict: verdictFor(readingMinutes, [[16, 'Clear your afternoon'], [3, 'One meeting'], [0, 'One coffee']]),
+    },
+    {
+      label: 'Breathing',
+      value: `${averageSentenceLength} words per sentence`,
+      verdict: verdictFor(averageSentenceLength, [[23, 'Holding its breath'], [12, 'Relaxed'], [0, 'Short, sharp breaths']]),
+    },
+  ];
+
+  if (fleschReadingEase !== null) {
+    signs.push({
+      label: 'Clarity',
+      value: `${Math.round(fleschReadingEase)} / 100 reading ease`,
+      verdict: verdictFor(fleschReadingEase, [[70, 'Crystal clear'], [50, 'Readable'], [30, 'Murky'], [0, 'Impenetrable']]),
+    });
+  }
+
+  if (passiveVoiceRatio !== null) {
+    signs.push({
+      label: 'Passivity',
+      value: `${percent(passiveVoiceRatio)} of sentences passive`,
+      verdict: verdictFor(passiveVoiceRatio, [[0.25, 'Mistakes were made'], [0.1, 'Mostly active'], [0, 'Takes responsibility']]),
+    });
+  }
+
+  signs.push(
+    {
+      label: 'Skeleton',
+      value: `${headings} ${headings === 1 ? 'heading' : 'headings'}`,
+      verdict: verdictFor(perPage.headings, [[1, 'Well structured'], [0.01, 'A few bones'], [0, 'Spineless']]),
+    },
+    {
+      label: 'Circulation',
+      value: `${tables} ${tables === 1 ? 'table' : 'tables'}, ${images} ${images === 1 ? 'image' : 'images'}`,
+      verdict: verdictFor(perPage.tables + perPage.images, [[1, 'Richly illustrated'], [0.01, 'Some colour'], [0, 'Text only']]),
+    },
+    {
+      label: 'Blank stares',
+      value: `${percent(blankPageRatio)} of pages blank`,
+      verdict: verdictFor(blankPageRatio, [[0.1, 'Zoning out'], [0.01, 'Brief daydream'], [0, 'Wide awake']]),
+    },
+  );
+
+  return signs;
+}
+
+/**
+ * The document's "vital signs": its statistics, read like a chart
+ *
+ * @param {Object} props
+ * @param {Object} props.statistics - Statistics from /api/analyze
+ */
+export default function VitalSigns({ statistics }) {
+  const titleId = useId();
+
+  return (
+    <section className="vital-signs" aria-labelledby={titleId}>
+      <h3 id={titleId} className="vital-signs__title">Vital Signs</h3>
+      <dl className="vital-signs__list">
+        {describeVitals(statistics).map(({ label, value, verdict }) => (
+          <div key={label} className="vital-signs__sign">
+            <dt className="vital-signs__label">{label}</dt>
+            <dd className="vital-signs__value">{value}</dd>
+            <dd className="vital-signs__verdict">{verdict}</dd>
+          </div>
+        ))}
+      </dl>
+    </section>
+  );
+}
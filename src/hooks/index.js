@@ -16,6 +16,8 @@
 export { useReading, VIEW_STATES, CARD_REVEAL_STATES } from './useReading';
 
 // Individual feature hooks
-export { useFileUpload, UPLOAD_STATES, UPLOAD_ERRORS, formatFileSize } from './useFileUpload';
+export { useFileUpload, UPLOAD_STATES, UPLOAD_ERRORS, UPLOAD_MODES, formatFileSize } from './useFileUpload';
 export { useAnalysis, ANALYSIS_STATES, ANALYSIS_ERRORS } from './useAnalysis';
+export { useBatchAnalysis } from './useBatchAnalysis';
+export { useCompare } from './useCompare';
 export { useExport, EXPORT_STATES, EXPORT_ERRORS } from './useExport';
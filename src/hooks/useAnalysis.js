@@ -12,13 +12,15 @@
 
 import { useState, useCallback, useRef } from 'react';
 import { saveLastReading, addToHistory } from '../utils/storage';
+import { getReadingSpread } from '../lib/spreads';
 
 // API configuration
 const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
-const ANALYZE_ENDPOINT = `${API_BASE_URL}/analyze`;
+// Readings come with explanations so cards can show "Why this card?"
+const ANALYZE_ENDPOINT = `${API_BASE_URL}/analyze?explain=1`;
 
 // Timeout configuration
-const REQUEST_TIMEOUT = 30000; // 30 seconds - PDFs can take time to process
+const REQUEST_TIMEOUT = 60000; // 60 seconds - scanned PDFs go through OCR
 const MAX_RETRIES = 2;
 const RETRY_DELAY = 1000; // 1 second
 
@@ -41,6 +43,8 @@ export const ANALYSIS_ERRORS = {
   SERVER: 'server',
   INVALID_RESPONSE: 'invalid_response',
   PDF_UNREADABLE: 'pdf_unreadable',
+  PASSWORD_REQUIRED: 'password_required',
+  PASSWORD_INCORRECT: 'password_incorrect',
   UNKNOWN: 'unknown',
 };
 
@@ -54,9 +58,16 @@ const ERROR_MESSAGES = {
   [ANALYSIS_ERRORS.INVALID_RESPONSE]: 'Received an unexpected response. Please try again',
   [ANALYSIS_ERRORS.PDF_UNREADABLE]:
     'This document appears to be unreadable (scanned image or encrypted)',
+  [ANALYSIS_ERRORS.PASSWORD_REQUIRED]: 'This PDF is password-protected. Enter its password to continue',
+  [ANALYSIS_ERRORS.PASSWORD_INCORRECT]: 'That password did not unlock the PDF. Please try again',
   [ANALYSIS_ERRORS.UNKNOWN]: 'An unexpected error occurred. Please try again',
 };
 
+/**
+ * Error types that mean the user has to supply a (different) password
+ */
+export const PASSWORD_ERRORS = [ANALYSIS_ERRORS.PASSWORD_REQUIRED, ANALYSIS_ERRORS.PASSWORD_INCORRECT];
+
 /**
  * Validate the analysis response structure
  * Defensive check to ensure API returned expected shape
@@ -74,16 +85,18 @@ function validateAnalysisResponse(response) {
     return false;
   }
 
-  if (!response.aura || typeof response.aura !== 'string') {
+  if (!response.aura || typeof response.aura.name !== 'string') {
     return false;
   }
 
-  if (!Array.isArray(response.cards) || response.cards.length !== 3) {
+  // One card per position of the spread the reading was dealt into
+  const { positions } = getReadingSpread(response);
+  if (!Array.isArray(response.cards) || response.cards.length !== positions.length) {
     return false;
   }
 
   // Validate each card
-  const validPositions = ['past', 'present', 'future'];
+  const validPositions = positions.map((position) => position.id);
   for (const card of response.cards) {
     if (
       !card.position ||
@@ -187,10 +200,17 @@ export function useAnalysis({ onAnalysisComplete, onError, saveToStorage = true
    * Main entry point for analysis flow
    *
    * @param {File} file - PDF file to analyze
+   * @param {Object} options - Request options
+   * @param {string} options.password - Password for encrypted PDFs
+   * @param {string} options.deck - Deck pack id (server default when omitted)
+   * @param {string} options.spread - Spread id (server default when omitted)
+   * @param {number} options.seed - Seed to deal from (the document's own when omitted)
+   * @param {number} options.drawNumber - Redraw count (0 when omitted)
+   * @param {string} options.seedMode - 'legacy' to deal the original generator's reading
    * @returns {Promise<Object|null>} - Analysis result or null on error
    */
   const analyze = useCallback(
-    async (file) => {
+    async (file, { password, deck, spread, seed, drawNumber, seedMode } = {}) => {
       if (!file) {
         console.error('[useAnalysis] No file provided');
         return null;
@@ -211,6 +231,24 @@ export function useAnalysis({ onAnalysisComplete, onError, saveToStorage = true
         // Build form data
         const formData = new FormData();
         formData.append('file', file);
+        if (password) {
+          formData.append('password', password);
+        }
+        if (deck) {
+          formData.append('deck', deck);
+        }
+        if (spread) {
+          formData.append('spread', spread);
+        }
+        if (seed !== undefined) {
+          formData.append('seed', String(seed));
+        }
+        if (drawNumber) {
+          formData.append('drawNumber', String(drawNumber));
+        }
+        if (seedMode) {
+          formData.append('seedMode', seedMode);
+        }
 
         // Simulate progress (we don't have real upload progress with fetch)
         const progressInterval = setInterval(() => {
@@ -236,6 +274,15 @@ export function useAnalysis({ onAnalysisComplete, onError, saveToStorage = true
 
           // Check response status
           if (!response.ok) {
+            if (response.status === 401) {
+              // Encrypted PDF - server tells us whether a password was missing or wrong
+              const errorData = await response.json().catch(() => ({}));
+              const type = errorData.code === ANALYSIS_ERRORS.PASSWORD_INCORRECT
+                ? ANALYSIS_ERRORS.PASSWORD_INCORRECT
+                : ANALYSIS_ERRORS.PASSWORD_REQUIRED;
+              throw { type, message: ERROR_MESSAGES[type] };
+            }
+
             if (response.status === 422 || response.status === 400) {
               // Unreadable PDF or validation error
               const errorData = await response.json().catch(() => ({}));
@@ -312,7 +359,8 @@ export function useAnalysis({ onAnalysisComplete, onError, saveToStorage = true
           // Don't retry certain errors
           if (
             err.type === ANALYSIS_ERRORS.PDF_UNREADABLE ||
-            err.type === ANALYSIS_ERRORS.INVALID_RESPONSE
+            err.type === ANALYSIS_ERRORS.INVALID_RESPONSE ||
+            PASSWORD_ERRORS.includes(err.type)
           ) {
             setErrorState(err.type, err.message);
             return null;
@@ -352,17 +400,41 @@ export function useAnalysis({ onAnalysisComplete, onError, saveToStorage = true
    * Must be called from a context that has the file reference
    *
    * @param {File} file - PDF file to retry
+   * @param {Object} options - Request options passed through to analyze()
    */
   const retry = useCallback(
-    (file) => {
+    (file, options) => {
       if (state === ANALYSIS_STATES.ERROR) {
         retryCountRef.current = 0;
-        analyze(file);
+        analyze(file, options);
       }
     },
     [state, analyze]
   );
 
+  /**
+   * Deal a different reading for the same file, keeping the current
+   * reading's deck, spread and seed
+   *
+   * @param {File} file - PDF file the current reading is for
+   * @param {Object} options - Request options passed through to analyze()
+   */
+  const drawAgain = useCallback(
+    (file, options) => {
+      if (!result) {
+        return null;
+      }
+      return analyze(file, {
+        ...options,
+        deck: result.deck,
+        spread: result.spread?.id,
+        seed: result.seed,
+        drawNumber: (result.drawNumber || 0) + 1,
+      });
+    },
+    [result, analyze]
+  );
+
   // Derived state
   const isAnalyzing = state === ANALYSIS_STATES.ANALYZING;
   const isSuccess = state === ANALYSIS_STATES.SUCCESS;
@@ -386,6 +458,7 @@ export function useAnalysis({ onAnalysisComplete, onError, saveToStorage = true
     analyze,
     cancel,
     retry,
+    drawAgain,
     reset,
 
     // Reading data shortcuts (when result exists)
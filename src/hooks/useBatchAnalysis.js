@@ -0,0 +1,205 @@
+/**
+ * useBatchAnalysis - Hook for analyzing several PDFs in one request
+ *
+ * Sends a batch to /api/analyze/batch and keeps the per-file results. Files
+ * the server couldn't read come back as failed results, not as an error;
+ * the hook's error state is only for the request itself failing.
+ */
+
+import { useState, useCallback, useRef } from 'react';
+import { addToHistory } from '../utils/storage';
+import { ANALYSIS_STATES, ANALYSIS_ERRORS } from './useAnalysis';
+
+// API configuration
+const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
+const BATCH_ENDPOINT = `${API_BASE_URL}/analyze/batch`;
+
+// The server reads two files at a time, so allow time per file
+const REQUEST_TIMEOUT_PER_FILE = 30000; // 30 seconds
+const MIN_REQUEST_TIMEOUT = 60000; // 60 seconds
+
+/**
+ * User-friendly error messages
+ */
+const ERROR_MESSAGES = {
+  [ANALYSIS_ERRORS.TIMEOUT]: 'The batch took too long. Please try fewer documents',
+  [ANALYSIS_ERRORS.NETWORK]: 'Unable to connect. Please check your internet connection',
+  [ANALYSIS_ERRORS.SERVER]: 'The oracle is temporarily unavailable. Please try again',
+  [ANALYSIS_ERRORS.INVALID_RESPONSE]: 'Received an unexpected response. Please try again',
+  [ANALYSIS_ERRORS.UNKNOWN]: 'An unexpected error occurred. Please try again',
+};
+
+/**
+ * useBatchAnalysis hook
+ *
+ * @param {Object} options - Hook options
+ * @param {Function} options.onAnalysisComplete - Callback with the per-file results
+ * @param {Function} options.onError - Optional error callback
+ * @param {boolean} options.saveToStorage - Whether to add readings to history (default: true)
+ * @returns {Object} - Batch analysis state and handlers
+ */
+export function useBatchAnalysis({ onAnalysisComplete, onError, saveToStorage = true } = {}) {
+  // State
+  const [state, setState] = useState(ANALYSIS_STATES.IDLE);
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(0);
+
+  // Ref to track current request
+  const currentRequestRef = useRef(null);
+
+  /**
+   * Reset to initial state
+   */
+  const reset = useCallback(() => {
+    if (currentRequestRef.current) {
+      currentRequestRef.current.abort();
+      currentRequestRef.current = null;
+    }
+
+    setState(ANALYSIS_STATES.IDLE);
+    setResults([]);
+    setError(null);
+    setProgress(0);
+  }, []);
+
+  /**
+   * Set error state with message
+   *
+   * @param {string} errorType - Error type from ANALYSIS_ERRORS
+   * @param {string} customMessage - Optional custom message
+   */
+  const setErrorState = useCallback(
+    (errorType, customMessage = null) => {
+      const errorMessage = customMessage || ERROR_MESSAGES[errorType] || ERROR_MESSAGES.unknown;
+      const errorObj = { type: errorType, message: errorMessage };
+      setError(errorObj);
+      setState(ANALYSIS_STATES.ERROR);
+      onError?.(errorObj);
+    },
+    [onError]
+  );
+
+  /**
+   * Analyze a batch of PDF files
+   *
+   * @param {File[]} files - PDF files to analyze
+   * @param {Object} options - Request options, applied to every file
+   * @param {string} options.deck - Deck pack id (server default when omitted)
+   * @param {string} options.spread - Spread id (server default when omitted)
+   * @returns {Promise<Object[]|null>} - Per-file results or null on error
+   */
+  const analyzeBatch = useCallback(
+    async (files, { deck, spread } = {}) => {
+      if (!files?.length) {
+        console.error('[useBatchAnalysis] No files provided');
+        return null;
+      }
+
+      setError(null);
+      setResults([]);
+      setProgress(0);
+      setState(ANALYSIS_STATES.ANALYZING);
+
+      // Only the latest batch's results are kept
+      currentRequestRef.current?.abort();
+      const controller = new AbortController();
+      currentRequestRef.current = controller;
+      const timeout = setTimeout(
+        () => controller.abort(),
+        Math.max(MIN_REQUEST_TIMEOUT, files.length * REQUEST_TIMEOUT_PER_FILE)
+      );
+
+      const formData = new FormData();
+      files.forEach((file) => formData.append('files', file));
+      if (deck) {
+        formData.append('deck', deck);
+      }
+      if (spread) {
+        formData.append('spread', spread);
+      }
+
+      // Simulate progress, slower for bigger batches
+      const progressInterval = setInterval(() => {
+        setProgress((prev) => Math.min(prev + (prev < 50 ? 5 : 1) / files.length, 90));
+      }, 200);
+
+      try {
+        const response = await fetch(BATCH_ENDPOINT, {
+          method: 'POST',
+          body: formData,
+          signal: controller.signal,
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          if (response.status >= 500) {
+            throw { type: ANALYSIS_ERRORS.SERVER };
+          }
+          throw { type: ANALYSIS_ERRORS.UNKNOWN, message: errorData.message };
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data?.results)) {
+          console.error('[useBatchAnalysis] Invalid response structure:', data);
+          throw { type: ANALYSIS_ERRORS.INVALID_RESPONSE };
+        }
+
+        if (saveToStorage) {
+          data.results
+            .filter((result) => result.ok)
+            .forEach((result) => addToHistory({ ...result.analysis, filename: result.filename }));
+        }
+
+        setProgress(100);
+        setResults(data.results);
+        setState(ANALYSIS_STATES.SUCCESS);
+        onAnalysisComplete?.(data.results);
+        return data.results;
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          // Aborted by reset() or a newer batch rather than the timeout
+          if (currentRequestRef.current !== controller) {
+            return null;
+          }
+          setErrorState(ANALYSIS_ERRORS.TIMEOUT);
+        } else if (err.message?.includes('Failed to fetch') || err.message?.includes('Network')) {
+          setErrorState(ANALYSIS_ERRORS.NETWORK);
+        } else if (err.type) {
+          setErrorState(err.type, err.message);
+        } else {
+          console.error('[useBatchAnalysis] Unexpected error:', err);
+          setErrorState(ANALYSIS_ERRORS.UNKNOWN);
+        }
+        return null;
+      } finally {
+        clearTimeout(timeout);
+        clearInterval(progressInterval);
+      }
+    },
+    [onAnalysisComplete, saveToStorage, setErrorState]
+  );
+
+  const isAnalyzing = state === ANALYSIS_STATES.ANALYZING;
+  const hasResults = state === ANALYSIS_STATES.SUCCESS && results.length > 0;
+  const hasError = state === ANALYSIS_STATES.ERROR;
+
+  return {
+    // State
+    state,
+    results,
+    error,
+    progress,
+
+    // Derived state
+    isAnalyzing,
+    hasResults,
+    hasError,
+
+    // Actions
+    analyzeBatch,
+    reset,
+  };
+}
+
+export default useBatchAnalysis;
@@ -0,0 +1,190 @@
+/**
+ * useCompare - Hook for compatibility readings of two PDFs
+ *
+ * Sends the pair to /api/compare and keeps the compatibility reading. The
+ * server names the file at fault when one of the two can't be read, so its
+ * message is shown as-is.
+ */
+
+import { useState, useCallback, useRef } from 'react';
+import { ANALYSIS_STATES, ANALYSIS_ERRORS } from './useAnalysis';
+
+// API configuration
+const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
+const COMPARE_ENDPOINT = `${API_BASE_URL}/compare`;
+
+// Two documents are read one after the other
+const REQUEST_TIMEOUT = 60000; // 60 seconds
+
+/**
+ * User-friendly error messages
+ */
+const ERROR_MESSAGES = {
+  [ANALYSIS_ERRORS.TIMEOUT]: 'The comparison took too long. Please try again',
+  [ANALYSIS_ERRORS.NETWORK]: 'Unable to connect. Please check your internet connection',
+  [ANALYSIS_ERRORS.SERVER]: 'The oracle is temporarily unavailable. Please try again',
+  [ANALYSIS_ERRORS.INVALID_RESPONSE]: 'Received an unexpected response. Please try again',
+  [ANALYSIS_ERRORS.UNKNOWN]: 'An unexpected error occurred. Please try again',
+};
+
+/**
+ * useCompare hook
+ *
+ * @param {Object} options - Hook options
+ * @param {Function} options.onCompareComplete - Callback with the compatibility reading
+ * @param {Function} options.onError - Optional error callback
+ * @returns {Object} - Comparison state and handlers
+ */
+export function useCompare({ onCompareComplete, onError } = {}) {
+  // State
+  const [state, setState] = useState(ANALYSIS_STATES.IDLE);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(0);
+
+  // Ref to track current request
+  const currentRequestRef = useRef(null);
+
+  /**
+   * Reset to initial state
+   */
+  const reset = useCallback(() => {
+    if (currentRequestRef.current) {
+      currentRequestRef.current.abort();
+      currentRequestRef.current = null;
+    }
+
+    setState(ANALYSIS_STATES.IDLE);
+    setResult(null);
+    setError(null);
+    setProgress(0);
+  }, []);
+
+  /**
+   * Set error state with message
+   *
+   * @param {string} errorType - Error type from ANALYSIS_ERRORS
+   * @param {string} customMessage - Optional custom message
+   */
+  const setErrorState = useCallback(
+    (errorType, customMessage = null) => {
+      const errorMessage = customMessage || ERROR_MESSAGES[errorType] || ERROR_MESSAGES.unknown;
+      const errorObj = { type: errorType, message: errorMessage };
+      setError(errorObj);
+      setState(ANALYSIS_STATES.ERROR);
+      onError?.(errorObj);
+    },
+    [onError]
+  );
+
+  /**
+   * Compare two PDF files
+   *
+   * @param {File[]} files - The two PDFs, in upload order
+   * @param {Object} options - Request options
+   * @param {string} options.deck - Deck pack id (server default when omitted)
+   * @returns {Promise<Object|null>} - Compatibility reading or null on error
+   */
+  const compare = useCallback(
+    async (files, { deck } = {}) => {
+      if (files?.length !== 2) {
+        console.error('[useCompare] Two files are required');
+        return null;
+      }
+
+      setError(null);
+      setResult(null);
+      setProgress(0);
+      setState(ANALYSIS_STATES.ANALYZING);
+
+      // Only the latest comparison's result is kept
+      currentRequestRef.current?.abort();
+      const controller = new AbortController();
+      currentRequestRef.current = controller;
+      const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+      const formData = new FormData();
+      formData.append('first', files[0]);
+      formData.append('second', files[1]);
+      if (deck) {
+        formData.append('deck', deck);
+      }
+
+      // Simulate progress
+      const progressInterval = setInterval(() => {
+        setProgress((prev) => Math.min(prev + (prev < 50 ? 4 : 1), 90));
+      }, 200);
+
+      try {
+        const response = await fetch(COMPARE_ENDPOINT, {
+          method: 'POST',
+          body: formData,
+          signal: controller.signal,
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          if (response.status >= 500) {
+            throw { type: ANALYSIS_ERRORS.SERVER };
+          }
+          throw { type: ANALYSIS_ERRORS.UNKNOWN, message: errorData.message };
+        }
+
+        const data = await response.json();
+        if (!data?.compatibility || !Array.isArray(data.cards) || data.documents?.length !== 2) {
+          console.error('[useCompare] Invalid response structure:', data);
+          throw { type: ANALYSIS_ERRORS.INVALID_RESPONSE };
+        }
+
+        setProgress(100);
+        setResult(data);
+        setState(ANALYSIS_STATES.SUCCESS);
+        onCompareComplete?.(data);
+        return data;
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          // Aborted by reset() or a newer comparison rather than the timeout
+          if (currentRequestRef.current !== controller) {
+            return null;
+          }
+          setErrorState(ANALYSIS_ERRORS.TIMEOUT);
+        } else if (err.message?.includes('Failed to fetch') || err.message?.includes('Network')) {
+          setErrorState(ANALYSIS_ERRORS.NETWORK);
+        } else if (err.type) {
+          setErrorState(err.type, err.message);
+        } else {
+          console.error('[useCompare] Unexpected error:', err);
+          setErrorState(ANALYSIS_ERRORS.UNKNOWN);
+        }
+        return null;
+      } finally {
+        clearTimeout(timeout);
+        clearInterval(progressInterval);
+      }
+    },
+    [onCompareComplete, setErrorState]
+  );
+
+  const isAnalyzing = state === ANALYSIS_STATES.ANALYZING;
+  const hasResult = state === ANALYSIS_STATES.SUCCESS && result !== null;
+  const hasError = state === ANALYSIS_STATES.ERROR;
+
+  return {
+    // State
+    state,
+    result,
+    error,
+    progress,
+
+    // Derived state
+    isAnalyzing,
+    hasResult,
+    hasError,
+
+    // Actions
+    compare,
+    reset,
+  };
+}
+
+export default useCompare;
@@ -3,6 +3,7 @@
  *
  * Handles the export lifecycle:
  * - Sending PDF + analysis to /api/render endpoint
+ * - Sending both PDFs of a compatibility reading to /api/compare/render
  * - Receiving merged PDF with tarot cover page
  * - Triggering browser download
  * - Managing loading/error states
@@ -11,10 +12,12 @@
  */
 
 import { useState, useCallback, useRef } from 'react';
+import { getReadingSpread } from '../lib/spreads';
 
 // API configuration
 const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
 const RENDER_ENDPOINT = `${API_BASE_URL}/render`;
+const COMPARE_RENDER_ENDPOINT = `${API_BASE_URL}/compare/render`;
 
 // Timeout configuration
 const REQUEST_TIMEOUT = 60000; // 60 seconds - PDF rendering can take time
@@ -40,6 +43,7 @@ export const EXPORT_ERRORS = {
   INVALID_RESPONSE: 'invalid_response',
   DOWNLOAD_FAILED: 'download_failed',
   MISSING_DATA: 'missing_data',
+  PASSWORD_REQUIRED: 'password_required',
   UNKNOWN: 'unknown',
 };
 
@@ -53,17 +57,19 @@ const ERROR_MESSAGES = {
   [EXPORT_ERRORS.INVALID_RESPONSE]: 'Received invalid file. Please try again',
   [EXPORT_ERRORS.DOWNLOAD_FAILED]: 'Download failed. Please try again',
   [EXPORT_ERRORS.MISSING_DATA]: 'Missing analysis data. Please re-upload the document',
+  [EXPORT_ERRORS.PASSWORD_REQUIRED]: 'The PDF password was not accepted. Please re-upload the document',
   [EXPORT_ERRORS.UNKNOWN]: 'An unexpected error occurred. Please try again',
 };
 
 /**
  * Generate filename for exported PDF
- * Uses original filename with "_tarot_reading" suffix
+ * Uses original filename with a suffix ("_tarot_reading" by default)
  *
  * @param {string} originalName - Original PDF filename
+ * @param {string} suffix - Added before the extension
  * @returns {string} - New filename
  */
-function generateExportFilename(originalName) {
+function generateExportFilename(originalName, suffix = '_tarot_reading') {
   // Remove .pdf extension if present
   const baseName = originalName.replace(/\.pdf$/i, '');
 
@@ -73,7 +79,7 @@ function generateExportFilename(originalName) {
   // Use a default if sanitization removed everything
   const finalName = sanitized || 'document';
 
-  return `${finalName}_tarot_reading.pdf`;
+  return `${finalName}${suffix}.pdf`;
 }
 
 /**
@@ -124,7 +130,7 @@ function validateExportData(file, analysis) {
     return { valid: false, error: 'No analysis data' };
   }
 
-  if (!analysis.cards || analysis.cards.length !== 3) {
+  if (!analysis.cards || analysis.cards.length !== getReadingSpread(analysis).positions.length) {
     return { valid: false, error: 'Invalid card data' };
   }
 
@@ -203,21 +209,16 @@ export function useExport({ onExportComplete, onError } = {}) {
   );
 
   /**
-   * Export PDF with tarot reading cover page
+   * Send a render request and download the PDF that comes back
+   * Transient failures are retried once
    *
-   * @param {File} file - Original PDF file
-   * @param {Object} analysis - Analysis result from useAnalysis
+   * @param {string} endpoint - Render endpoint
+   * @param {FormData} formData - Files, reading JSON and passwords
+   * @param {string} filename - Filename for the download
    * @returns {Promise<boolean>} - Success status
    */
-  const exportPdf = useCallback(
-    async (file, analysis) => {
-      // Validate inputs
-      const validation = validateExportData(file, analysis);
-      if (!validation.valid) {
-        setErrorState(EXPORT_ERRORS.MISSING_DATA, validation.error);
-        return false;
-      }
-
+  const renderAndDownload = useCallback(
+    async (endpoint, formData, filename) => {
       // Reset state for new export
       setError(null);
       setProgress(0);
@@ -229,15 +230,7 @@ export function useExport({ onExportComplete, onError } = {}) {
       const controller = new AbortController();
       currentRequestRef.current = controller;
 
-      // Generate filename
-      const filename = generateExportFilename(file.name);
-
       const attemptExport = async () => {
-        // Build form data with file and analysis JSON
-        const formData = new FormData();
-        formData.append('file', file);
-        formData.append('analysis', JSON.stringify(analysis));
-
         // Simulate progress
         const progressInterval = setInterval(() => {
           setProgress((prev) => {
@@ -249,7 +242,7 @@ export function useExport({ onExportComplete, onError } = {}) {
         try {
           // Race between fetch and timeout
           const response = await Promise.race([
-            fetch(RENDER_ENDPOINT, {
+            fetch(endpoint, {
               method: 'POST',
               body: formData,
               signal: controller.signal,
@@ -261,6 +254,9 @@ export function useExport({ onExportComplete, onError } = {}) {
 
           // Check response status
           if (!response.ok) {
+            if (response.status === 401) {
+              throw { type: EXPORT_ERRORS.PASSWORD_REQUIRED };
+            }
             if (response.status >= 500) {
               throw { type: EXPORT_ERRORS.SERVER };
             }
@@ -326,7 +322,11 @@ export function useExport({ onExportComplete, onError } = {}) {
           return true;
         } catch (err) {
           // Retry transient errors once
-          if (retryCountRef.current < MAX_RETRIES && err.type !== EXPORT_ERRORS.MISSING_DATA) {
+          if (
+            retryCountRef.current < MAX_RETRIES &&
+            err.type !== EXPORT_ERRORS.MISSING_DATA &&
+            err.type !== EXPORT_ERRORS.PASSWORD_REQUIRED
+          ) {
             retryCountRef.current++;
             console.log(`[useExport] Retry ${retryCountRef.current}/${MAX_RETRIES}`);
             continue;
@@ -342,6 +342,63 @@ export function useExport({ onExportComplete, onError } = {}) {
     [onExportComplete, setErrorState]
   );
 
+  /**
+   * Export PDF with tarot reading cover page
+   *
+   * @param {File} file - Original PDF file
+   * @param {Object} analysis - Analysis result from useAnalysis
+   * @param {Object} options - Request options
+   * @param {string} options.password - Password for encrypted PDFs
+   * @returns {Promise<boolean>} - Success status
+   */
+  const exportPdf = useCallback(
+    async (file, analysis, { password } = {}) => {
+      // Validate inputs
+      const validation = validateExportData(file, analysis);
+      if (!validation.valid) {
+        setErrorState(EXPORT_ERRORS.MISSING_DATA, validation.error);
+        return false;
+      }
+
+      // Build form data with file and analysis JSON
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('analysis', JSON.stringify(analysis));
+      if (password) {
+        formData.append('password', password);
+      }
+
+      return renderAndDownload(RENDER_ENDPOINT, formData, generateExportFilename(file.name));
+    },
+    [renderAndDownload, setErrorState]
+  );
+
+  /**
+   * Export both PDFs behind a compatibility cover page
+   *
+   * @param {File[]} files - The two compared PDFs, in upload order
+   * @param {Object} reading - Compatibility result from useCompare
+   * @returns {Promise<boolean>} - Success status
+   */
+  const exportComparison = useCallback(
+    async (files, reading) => {
+      if (files?.length !== 2 || !reading?.compatibility || reading.cards?.length !== reading.spread?.positions.length) {
+        setErrorState(EXPORT_ERRORS.MISSING_DATA);
+        return false;
+      }
+
+      const formData = new FormData();
+      formData.append('first', files[0]);
+      formData.append('second', files[1]);
+      formData.append('analysis', JSON.stringify(reading));
+
+      // e.g. "report_and_invoice_tarot_compatibility.pdf"
+      const pairName = files.map((file) => file.name.replace(/\.pdf$/i, '')).join('_and_');
+      return renderAndDownload(COMPARE_RENDER_ENDPOINT, formData, generateExportFilename(pairName, '_tarot_compatibility'));
+    },
+    [renderAndDownload, setErrorState]
+  );
+
   /**
    * Cancel ongoing export
    */
@@ -357,12 +414,13 @@ export function useExport({ onExportComplete, onError } = {}) {
    *
    * @param {File} file - Original PDF file
    * @param {Object} analysis - Analysis result
+   * @param {Object} options - Request options passed through to exportPdf()
    */
   const retry = useCallback(
-    (file, analysis) => {
+    (file, analysis, options) => {
       if (state === EXPORT_STATES.ERROR) {
         retryCountRef.current = 0;
-        exportPdf(file, analysis);
+        exportPdf(file, analysis, options);
       }
     },
     [state, exportPdf]
@@ -387,6 +445,7 @@ export function useExport({ onExportComplete, onError } = {}) {
 
     // Actions
     exportPdf,
+    exportComparison,
     cancel,
     retry,
     reset,
@@ -6,6 +6,11 @@
  * - Drag/drop state management
  * - Upload progress tracking
  * - Error handling with user-friendly messages
+ * - Password prompt for encrypted PDFs (password is kept in memory only)
+ * - Batch mode: several PDFs at once, validated one by one
+ * - Zip archives of PDFs, which are always analyzed as a batch
+ * - Compare mode: two PDFs for a compatibility reading, dropped together
+ *   or one after the other
  *
  * Designed to integrate with react-dropzone and the DropZone component.
  */
@@ -17,6 +22,20 @@ import { trackUpload } from '../utils/storage';
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB as per tech lead decision
 const ACCEPTED_MIME_TYPES = ['application/pdf'];
 const PDF_MAGIC_BYTES = [0x25, 0x50, 0x44, 0x46]; // %PDF
+// Mirrors the server's ZIP_MIME_TYPES
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip', 'multipart/x-zip'];
+const ZIP_MAGIC_BYTES = [0x50, 0x4b, 0x03, 0x04]; // PK\x03\x04
+export const MAX_BATCH_FILES = 20; // Mirrors the server's batch limit
+export const COMPARE_FILES = 2;
+
+/**
+ * Upload modes: one PDF, a batch of them, or a pair to compare
+ */
+export const UPLOAD_MODES = {
+  SINGLE: 'single',
+  BATCH: 'batch',
+  COMPARE: 'compare',
+};
 
 /**
  * Upload states for UI rendering
@@ -27,6 +46,7 @@ export const UPLOAD_STATES = {
   VALIDATING: 'validating',
   UPLOADING: 'uploading',
   SUCCESS: 'success',
+  NEEDS_PASSWORD: 'needs_password',
   ERROR: 'error',
 };
 
@@ -37,7 +57,10 @@ export const UPLOAD_ERRORS = {
   INVALID_TYPE: 'invalid_type',
   FILE_TOO_LARGE: 'file_too_large',
   INVALID_PDF: 'invalid_pdf',
+  INVALID_ZIP: 'invalid_zip',
   MULTIPLE_FILES: 'multiple_files',
+  TOO_MANY_FILES: 'too_many_files',
+  NOT_A_PAIR: 'not_a_pair',
   NETWORK_ERROR: 'network_error',
   SERVER_ERROR: 'server_error',
   UNKNOWN: 'unknown',
@@ -47,35 +70,50 @@ export const UPLOAD_ERRORS = {
  * User-friendly error messages
  */
 const ERROR_MESSAGES = {
-  [UPLOAD_ERRORS.INVALID_TYPE]: 'Please upload a PDF file',
+  [UPLOAD_ERRORS.INVALID_TYPE]: 'Please upload a PDF or ZIP file',
   [UPLOAD_ERRORS.FILE_TOO_LARGE]: 'File is too large. Maximum size is 10MB',
   [UPLOAD_ERRORS.INVALID_PDF]: 'This file appears to be corrupted or not a valid PDF',
+  [UPLOAD_ERRORS.INVALID_ZIP]: 'This file appears to be corrupted or not a valid zip archive',
   [UPLOAD_ERRORS.MULTIPLE_FILES]: 'Please upload only one file at a time',
+  [UPLOAD_ERRORS.TOO_MANY_FILES]: `Please upload at most ${MAX_BATCH_FILES} files at a time`,
+  [UPLOAD_ERRORS.NOT_A_PAIR]: 'Compatibility readings compare exactly two PDFs',
   [UPLOAD_ERRORS.NETWORK_ERROR]: 'Network error. Please check your connection and try again',
   [UPLOAD_ERRORS.SERVER_ERROR]: 'Server error. Please try again later',
   [UPLOAD_ERRORS.UNKNOWN]: 'An unexpected error occurred. Please try again',
 };
 
 /**
- * Check PDF magic bytes to verify file is actually a PDF
+ * Check magic bytes to verify file is actually a PDF (or zip)
  * Some browsers allow file extension spoofing
  *
  * @param {File} file - File to check
- * @returns {Promise<boolean>} - True if valid PDF
+ * @param {number[]} magicBytes - Bytes the file must start with
+ * @returns {Promise<boolean>} - True if the file starts with them
  */
-async function verifyPdfMagicBytes(file) {
+async function verifyMagicBytes(file, magicBytes = PDF_MAGIC_BYTES) {
   return new Promise((resolve) => {
     const reader = new FileReader();
     reader.onload = (e) => {
       const arr = new Uint8Array(e.target.result);
-      const isPdf = PDF_MAGIC_BYTES.every((byte, i) => arr[i] === byte);
-      resolve(isPdf);
+      const matches = magicBytes.every((byte, i) => arr[i] === byte);
+      resolve(matches);
     };
     reader.onerror = () => resolve(false);
-    reader.readAsArrayBuffer(file.slice(0, 4));
+    reader.readAsArrayBuffer(file.slice(0, magicBytes.length));
   });
 }
 
+/**
+ * Whether a file is a zip archive
+ * Some systems report zips as application/octet-stream, so go by extension too
+ *
+ * @param {File} file - File to check
+ * @returns {boolean}
+ */
+export function isZipFile(file) {
+  return ZIP_MIME_TYPES.includes(file.type) || /\.zip$/i.test(file.name);
+}
+
 /**
  * Validate a file before upload
  *
@@ -83,6 +121,15 @@ async function verifyPdfMagicBytes(file) {
  * @returns {Promise<{valid: boolean, error?: string}>}
  */
 async function validateFile(file) {
+  // Zip archives: the server checks what's inside
+  if (isZipFile(file)) {
+    if (file.size > MAX_FILE_SIZE) {
+      return { valid: false, error: UPLOAD_ERRORS.FILE_TOO_LARGE };
+    }
+    const isValidZip = await verifyMagicBytes(file, ZIP_MAGIC_BYTES);
+    return isValidZip ? { valid: true } : { valid: false, error: UPLOAD_ERRORS.INVALID_ZIP };
+  }
+
   // Check MIME type
   if (!ACCEPTED_MIME_TYPES.includes(file.type)) {
     return { valid: false, error: UPLOAD_ERRORS.INVALID_TYPE };
@@ -94,7 +141,7 @@ async function validateFile(file) {
   }
 
   // Verify magic bytes (paranoid but necessary)
-  const isValidPdf = await verifyPdfMagicBytes(file);
+  const isValidPdf = await verifyMagicBytes(file);
   if (!isValidPdf) {
     return { valid: false, error: UPLOAD_ERRORS.INVALID_PDF };
   }
@@ -119,15 +166,25 @@ export function formatFileSize(bytes) {
  *
  * @param {Object} options - Hook options
  * @param {Function} options.onUploadComplete - Callback when file is ready for analysis
+ * @param {Function} options.onBatchReady - Callback with the valid files and per-file
+ *   rejections when a batch is ready for analysis
+ * @param {Function} options.onCompareReady - Callback with both files when a pair
+ *   is ready for a compatibility reading
  * @param {Function} options.onError - Optional error callback
  * @returns {Object} - Upload state and handlers
  */
-export function useFileUpload({ onUploadComplete, onError } = {}) {
+export function useFileUpload({ onUploadComplete, onBatchReady, onCompareReady, onError } = {}) {
   // State
   const [state, setState] = useState(UPLOAD_STATES.IDLE);
+  const [mode, setModeState] = useState(UPLOAD_MODES.SINGLE);
   const [file, setFile] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [rejections, setRejections] = useState([]);
+  const [pair, setPair] = useState([]);
   const [error, setError] = useState(null);
   const [progress, setProgress] = useState(0);
+  const [password, setPassword] = useState(null);
+  const [passwordPrompt, setPasswordPrompt] = useState(null);
 
   // Ref to prevent duplicate uploads
   const uploadInProgressRef = useRef(false);
@@ -138,11 +195,29 @@ export function useFileUpload({ onUploadComplete, onError } = {}) {
   const reset = useCallback(() => {
     setState(UPLOAD_STATES.IDLE);
     setFile(null);
+    setFiles([]);
+    setRejections([]);
+    setPair([]);
     setError(null);
     setProgress(0);
+    setPassword(null);
+    setPasswordPrompt(null);
     uploadInProgressRef.current = false;
   }, []);
 
+  /**
+   * Switch upload modes, dropping the current file(s)
+   *
+   * @param {string} nextMode - Mode from UPLOAD_MODES
+   */
+  const setMode = useCallback(
+    (nextMode) => {
+      reset();
+      setModeState(nextMode);
+    },
+    [reset]
+  );
+
   /**
    * Handle drag enter
    */
@@ -174,6 +249,134 @@ export function useFileUpload({ onUploadComplete, onError } = {}) {
     [onError]
   );
 
+  /**
+   * Validate a batch of files one by one
+   * Invalid files are reported per file instead of failing the batch
+   *
+   * @param {File[]} acceptedFiles - Files from dropzone
+   * @param {Object[]} rejectedFiles - Rejected files from dropzone ({ file, errors })
+   */
+  const processBatch = useCallback(
+    async (acceptedFiles, rejectedFiles) => {
+      if (acceptedFiles.length + rejectedFiles.length > MAX_BATCH_FILES) {
+        setErrorState(UPLOAD_ERRORS.TOO_MANY_FILES);
+        return;
+      }
+
+      if (acceptedFiles.length === 0 && rejectedFiles.length === 0) {
+        return;
+      }
+
+      uploadInProgressRef.current = true;
+      setState(UPLOAD_STATES.VALIDATING);
+
+      try {
+        const valid = [];
+        const invalid = rejectedFiles.map(({ file: rejected, errors }) => {
+          const type = errors?.[0]?.code === 'file-too-large'
+            ? UPLOAD_ERRORS.FILE_TOO_LARGE
+            : UPLOAD_ERRORS.INVALID_TYPE;
+          return { filename: rejected.name, error: { type, message: ERROR_MESSAGES[type] } };
+        });
+
+        for (const candidate of acceptedFiles) {
+          const validation = await validateFile(candidate);
+          if (validation.valid) {
+            valid.push(candidate);
+          } else {
+            invalid.push({
+              filename: candidate.name,
+              error: { type: validation.error, message: ERROR_MESSAGES[validation.error] },
+            });
+          }
+        }
+
+        // Nothing left to analyze - report why the first file was turned away
+        if (valid.length === 0) {
+          setErrorState(invalid[0].error.type);
+          return;
+        }
+
+        setFiles(valid);
+        setRejections(invalid);
+        setState(UPLOAD_STATES.SUCCESS);
+
+        valid.forEach((validFile) => trackUpload({ fileSize: validFile.size, pageCount: 0 }));
+
+        onBatchReady?.(valid, invalid);
+      } catch (err) {
+        console.error('[useFileUpload] Batch validation error:', err);
+        setErrorState(UPLOAD_ERRORS.UNKNOWN);
+      } finally {
+        uploadInProgressRef.current = false;
+      }
+    },
+    [onBatchReady, setErrorState]
+  );
+
+  /**
+   * Collect the two PDFs for a compatibility reading
+   * The first of two separate drops is kept until the second arrives
+   *
+   * @param {File[]} acceptedFiles - Files from dropzone
+   * @param {Object[]} rejectedFiles - Rejected files from dropzone
+   */
+  const processPair = useCallback(
+    async (acceptedFiles, rejectedFiles) => {
+      if (rejectedFiles.length > 0) {
+        setErrorState(
+          rejectedFiles[0].errors?.[0]?.code === 'file-too-large'
+            ? UPLOAD_ERRORS.FILE_TOO_LARGE
+            : UPLOAD_ERRORS.NOT_A_PAIR
+        );
+        return;
+      }
+
+      // A finished pair is replaced rather than added to
+      const kept = pair.length < COMPARE_FILES ? pair : [];
+      setPair(kept);
+      if (acceptedFiles.length === 0) {
+        return;
+      }
+      if (kept.length + acceptedFiles.length > COMPARE_FILES || acceptedFiles.some(isZipFile)) {
+        setErrorState(UPLOAD_ERRORS.NOT_A_PAIR);
+        return;
+      }
+
+      uploadInProgressRef.current = true;
+      setState(UPLOAD_STATES.VALIDATING);
+
+      try {
+        for (const candidate of acceptedFiles) {
+          const validation = await validateFile(candidate);
+          if (!validation.valid) {
+            setErrorState(validation.error);
+            return;
+          }
+        }
+
+        const nextPair = [...kept, ...acceptedFiles];
+        setPair(nextPair);
+        acceptedFiles.forEach((validFile) => trackUpload({ fileSize: validFile.size, pageCount: 0 }));
+
+        if (nextPair.length < COMPARE_FILES) {
+          // Waiting for the second document
+          setState(UPLOAD_STATES.IDLE);
+          return;
+        }
+
+        setState(UPLOAD_STATES.SUCCESS);
+        onCompareReady?.(nextPair);
+      } catch (err) {
+        console.error('[useFileUpload] Pair validation error:', err);
+        setErrorState(UPLOAD_ERRORS.UNKNOWN);
+      } finally {
+        uploadInProgressRef.current = false;
+      }
+    },
+    [pair, onCompareReady, setErrorState]
+  );
+
   /**
    * Process dropped/selected files
    * This is the main entry point for file handling
@@ -191,6 +394,20 @@ export function useFileUpload({ onUploadComplete, onError } = {}) {
       // Reset previous state
       setError(null);
       setProgress(0);
+      setPassword(null);
+      setPasswordPrompt(null);
+      setFiles([]);
+      setRejections([]);
+
+      if (mode === UPLOAD_MODES.BATCH) {
+        await processBatch(acceptedFiles, rejectedFiles);
+        return;
+      }
+
+      if (mode === UPLOAD_MODES.COMPARE) {
+        await processPair(acceptedFiles, rejectedFiles);
+        return;
+      }
 
       // Handle rejection from dropzone (type mismatch)
       if (rejectedFiles.length > 0) {
@@ -210,6 +427,14 @@ export function useFileUpload({ onUploadComplete, onError } = {}) {
       }
 
       const selectedFile = acceptedFiles[0];
+
+      // A zip holds several PDFs, so it gets a batch of readings
+      if (isZipFile(selectedFile)) {
+        setFile(null);
+        await processBatch([selectedFile], []);
+        return;
+      }
+
       uploadInProgressRef.current = true;
       setState(UPLOAD_STATES.VALIDATING);
 
@@ -242,9 +467,47 @@ export function useFileUpload({ onUploadComplete, onError } = {}) {
         uploadInProgressRef.current = false;
       }
     },
-    [onUploadComplete, setErrorState]
+    [mode, processBatch, processPair, onUploadComplete, setErrorState]
+  );
+
+  /**
+   * Ask the user for the current file's password
+   * Called when the server reports the PDF is encrypted
+   *
+   * @param {Object} err - Error with message and type
+   * @param {boolean} incorrect - Whether a password was tried and rejected
+   */
+  const requestPassword = useCallback((err, incorrect = false) => {
+    setPasswordPrompt({ message: err?.message || null, incorrect });
+    setState(UPLOAD_STATES.NEEDS_PASSWORD);
+  }, []);
+
+  /**
+   * Submit a password for the current file and hand it back for analysis
+   *
+   * @param {string} value - Password entered by the user
+   */
+  const submitPassword = useCallback(
+    (value) => {
+      if (!file || !value) {
+        return;
+      }
+
+      setPassword(value);
+      setPasswordPrompt(null);
+      setState(UPLOAD_STATES.SUCCESS);
+      onUploadComplete?.(file, { password: value });
+    },
+    [file, onUploadComplete]
   );
 
+  /**
+   * Dismiss the password prompt and drop the locked file
+   */
+  const cancelPassword = useCallback(() => {
+    reset();
+  }, [reset]);
+
   /**
    * Update progress during upload (for API calls)
    * Can be passed to axios/fetch progress handlers
@@ -294,6 +557,8 @@ export function useFileUpload({ onUploadComplete, onError } = {}) {
    */
   const dropzoneAccept = {
     'application/pdf': ['.pdf'],
+    'application/zip': ['.zip'],
+    'application/x-zip-compressed': ['.zip'],
   };
 
   /**
@@ -304,40 +569,62 @@ export function useFileUpload({ onUploadComplete, onError } = {}) {
   /**
    * Check if ready for next action
    */
-  const isReady = state === UPLOAD_STATES.SUCCESS && file !== null;
+  const isReady = state === UPLOAD_STATES.SUCCESS &&
+    (file !== null || files.length > 0 || pair.length === COMPARE_FILES);
 
   /**
    * Get state for UI rendering
    */
   const isDragging = state === UPLOAD_STATES.DRAGGING;
   const hasError = state === UPLOAD_STATES.ERROR;
+  const needsPassword = state === UPLOAD_STATES.NEEDS_PASSWORD;
+  const isBatch = mode === UPLOAD_MODES.BATCH;
+  const hasBatch = files.length > 0; // Batch mode, or a zip in single mode
+  const isCompare = mode === UPLOAD_MODES.COMPARE;
+  const hasPair = pair.length === COMPARE_FILES;
 
   return {
     // State
     state,
+    mode,
     file,
+    files,
+    rejections,
+    pair,
     error,
     progress,
+    password,
+    passwordPrompt,
 
     // Derived state
     isLoading,
     isReady,
     isDragging,
     hasError,
+    needsPassword,
+    isBatch,
+    hasBatch,
+    isCompare,
+    hasPair,
 
     // Handlers
     processFiles,
+    setMode,
     handleDragEnter,
     handleDragLeave,
     updateProgress,
     setUploading,
     setSuccess,
     handleApiError,
+    requestPassword,
+    submitPassword,
+    cancelPassword,
     reset,
 
     // Config
     dropzoneAccept,
     maxFileSize: MAX_FILE_SIZE,
+    maxBatchFiles: MAX_BATCH_FILES,
 
     // Utilities
     formatFileSize,
@@ -15,6 +15,7 @@ import { useFileUpload, UPLOAD_STATES } from './useFileUpload';
 import { useAnalysis, ANALYSIS_STATES } from './useAnalysis';
 import { useExport, EXPORT_STATES } from './useExport';
 import { getLastReading, clearLastReading, getPreferences } from '../utils/storage';
+import { getReadingSpread } from '../lib/spreads';
 
 /**
  * Application view states
@@ -55,12 +56,8 @@ const CARD_FLIP_DURATION = 600;
  * @returns {Object} - Complete reading state and handlers
  */
 export function useReading({ autoReveal = true, onReadingComplete, onExportComplete } = {}) {
-  // Card reveal state
-  const [cardRevealStates, setCardRevealStates] = useState({
-    past: CARD_REVEAL_STATES.HIDDEN,
-    present: CARD_REVEAL_STATES.HIDDEN,
-    future: CARD_REVEAL_STATES.HIDDEN,
-  });
+  // Card reveal state by position id; positions not listed are hidden
+  const [cardRevealStates, setCardRevealStates] = useState({});
 
   // Track if reveal sequence has completed
   const [revealComplete, setRevealComplete] = useState(false);
@@ -83,8 +80,9 @@ export function useReading({ autoReveal = true, onReadingComplete, onExportCompl
    * Called after file validation passes
    *
    * @param {File} file - Validated PDF file
+   * @param {Object} options - Analysis options (password for locked PDFs)
    */
-  function handleFileReady(file) {
+  function handleFileReady(file, options) {
     // Clear any previous reading state
     resetCardStates();
     analysis.reset();
@@ -94,7 +92,7 @@ export function useReading({ autoReveal = true, onReadingComplete, onExportCompl
     clearLastReading();
 
     // Start analysis
-    analysis.analyze(file);
+    analysis.analyze(file, options);
   }
 
   /**
@@ -105,7 +103,7 @@ export function useReading({ autoReveal = true, onReadingComplete, onExportCompl
    */
   function handleAnalysisComplete(result) {
     if (autoReveal && result) {
-      revealCardsSequentially();
+      revealCardsSequentially(getReadingSpread(result));
     }
   }
 
@@ -122,18 +120,19 @@ export function useReading({ autoReveal = true, onReadingComplete, onExportCompl
    * Reset card reveal states
    */
   const resetCardStates = useCallback(() => {
-    setCardRevealStates({
-      past: CARD_REVEAL_STATES.HIDDEN,
-      present: CARD_REVEAL_STATES.HIDDEN,
-      future: CARD_REVEAL_STATES.HIDDEN,
-    });
+    setCardRevealStates({});
     setRevealComplete(false);
   }, []);
 
+  /**
+   * Spread of the current reading
+   */
+  const spread = useMemo(() => getReadingSpread(analysis.result), [analysis.result]);
+
   /**
    * Reveal a single card
    *
-   * @param {string} position - Card position (past, present, future)
+   * @param {string} position - Position id from the reading's spread
    */
   const revealCard = useCallback((position) => {
     setCardRevealStates((prev) => ({
@@ -151,10 +150,12 @@ export function useReading({ autoReveal = true, onReadingComplete, onExportCompl
   }, []);
 
   /**
-   * Reveal all cards sequentially with stagger
+   * Reveal all cards sequentially with stagger, in spread order
+   *
+   * @param {Object} readingSpread - Spread to reveal (default: current reading's)
    */
-  const revealCardsSequentially = useCallback(() => {
-    const positions = ['past', 'present', 'future'];
+  const revealCardsSequentially = useCallback((readingSpread = spread) => {
+    const positions = readingSpread.positions.map((position) => position.id);
 
     positions.forEach((position, index) => {
       setTimeout(() => {
@@ -169,19 +170,17 @@ export function useReading({ autoReveal = true, onReadingComplete, onExportCompl
         }
       }, index * CARD_REVEAL_STAGGER);
     });
-  }, [revealCard, onReadingComplete]);
+  }, [spread, revealCard, onReadingComplete]);
 
   /**
    * Reveal all cards immediately (no animation)
    */
   const revealAllCards = useCallback(() => {
-    setCardRevealStates({
-      past: CARD_REVEAL_STATES.REVEALED,
-      present: CARD_REVEAL_STATES.REVEALED,
-      future: CARD_REVEAL_STATES.REVEALED,
-    });
+    setCardRevealStates(
+      Object.fromEntries(spread.positions.map((position) => [position.id, CARD_REVEAL_STATES.REVEALED]))
+    );
     setRevealComplete(true);
-  }, []);
+  }, [spread]);
 
   /**
    * Reset entire reading flow
@@ -200,18 +199,18 @@ export function useReading({ autoReveal = true, onReadingComplete, onExportCompl
    */
   const startExport = useCallback(() => {
     if (fileUpload.file && analysis.result) {
-      exportHook.exportPdf(fileUpload.file, analysis.result);
+      exportHook.exportPdf(fileUpload.file, analysis.result, { password: fileUpload.password });
     }
-  }, [fileUpload.file, analysis.result, exportHook]);
+  }, [fileUpload.file, fileUpload.password, analysis.result, exportHook]);
 
   /**
    * Retry export
    */
   const retryExport = useCallback(() => {
     if (fileUpload.file && analysis.result) {
-      exportHook.retry(fileUpload.file, analysis.result);
+      exportHook.retry(fileUpload.file, analysis.result, { password: fileUpload.password });
     }
-  }, [fileUpload.file, analysis.result, exportHook]);
+  }, [fileUpload.file, fileUpload.password, analysis.result, exportHook]);
 
   /**
    * Load last reading from storage (if available)
@@ -289,7 +288,7 @@ export function useReading({ autoReveal = true, onReadingComplete, onExportCompl
       const card = analysis.cards.find((c) => c.position === position);
       return {
         ...card,
-        revealState: cardRevealStates[position],
+        revealState: cardRevealStates[position] || CARD_REVEAL_STATES.HIDDEN,
         isRevealed: cardRevealStates[position] === CARD_REVEAL_STATES.REVEALED,
         isRevealing: cardRevealStates[position] === CARD_REVEAL_STATES.REVEALING,
       };
@@ -301,8 +300,8 @@ export function useReading({ autoReveal = true, onReadingComplete, onExportCompl
    * Get all cards with reveal states
    */
   const cardsWithRevealState = useMemo(() => {
-    return ['past', 'present', 'future'].map((position) => getCard(position));
-  }, [getCard]);
+    return spread.positions.map((position) => getCard(position.id));
+  }, [spread, getCard]);
 
   /**
    * User preferences
@@ -333,6 +332,7 @@ export function useReading({ autoReveal = true, onReadingComplete, onExportCompl
     keywords: analysis.keywords,
     aura: analysis.aura,
     cards: analysis.cards,
+    spread,
 
     // Card reveal
     cardRevealStates,
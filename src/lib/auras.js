@@ -0,0 +1,34 @@
+/**
+ * Aura helpers
+ *
+ * The server sends the aura as { name, description, color, icon }.
+ * Readings saved before that only have the aura's name.
+ */
+
+// Mirrors the server's defaults for packs that don't style their auras
+export const DEFAULT_AURA_COLOR = '#805AD5';
+export const DEFAULT_AURA_ICON = 'sparkle';
+
+/**
+ * The aura of a reading, as an object
+ *
+ * @param {Object} reading - Analysis result
+ * @returns {Object|null} - { name, description, color, icon }, or null without an aura
+ */
+export function getReadingAura(reading) {
+  const aura = reading?.aura;
+  if (!aura) {
+    return null;
+  }
+
+  if (typeof aura === 'string') {
+    return { name: aura, description: null, color: DEFAULT_AURA_COLOR, icon: DEFAULT_AURA_ICON };
+  }
+
+  return {
+    name: aura.name,
+    description: aura.description || null,
+    color: aura.color || DEFAULT_AURA_COLOR,
+    icon: aura.icon || DEFAULT_AURA_ICON,
+  };
+}
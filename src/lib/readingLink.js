@@ -0,0 +1,45 @@
+/**
+ * Reading links
+ *
+ * A link to the app can carry the reading to deal for the next PDF dropped:
+ * `?seed=123&drawNumber=1` for a shared reading, plus `seedMode=legacy` for
+ * links to readings made before document fingerprints, which the server
+ * deals with the original generator.
+ */
+
+const SEED_MODES = ['fingerprint', 'legacy'];
+
+// Query parameters a reading link is made of
+const LINK_PARAMS = ['seed', 'drawNumber', 'seedMode'];
+
+/**
+ * The analysis options a reading link asks for
+ *
+ * @param {string} search - Query string (window.location.search)
+ * @returns {Object|null} - { seed, drawNumber, seedMode }, or null without a seed
+ */
+export function readReadingLink(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const seed = params.get('seed');
+  if (!/^\d+$/.test(seed ?? '')) {
+    return null;
+  }
+
+  const drawNumber = params.get('drawNumber');
+  const seedMode = params.get('seedMode');
+  return {
+    seed: Number(seed),
+    ...(/^\d+$/.test(drawNumber ?? '') && { drawNumber: Number(drawNumber) }),
+    ...(SEED_MODES.includes(seedMode) && { seedMode }),
+  };
+}
+
+/**
+ * Drop the reading link from the address bar once it has been dealt, so
+ * the next PDF gets its own reading
+ */
+export function clearReadingLink() {
+  const url = new URL(window.location.href);
+  LINK_PARAMS.forEach((param) => url.searchParams.delete(param));
+  window.history.replaceState(null, '', url);
+}
@@ -0,0 +1,30 @@
+/**
+ * Spread helpers for laying out a reading
+ *
+ * Readings carry their spread definition (positions, labels, grid cells)
+ * from the server. Readings saved before spreads existed don't, and are
+ * always past/present/future.
+ */
+
+// Mirrors the server's three_card spread
+export const THREE_CARD_SPREAD = {
+  id: 'three_card',
+  name: 'Past, Present, Future',
+  columns: 3,
+  rows: 1,
+  positions: [
+    { id: 'past', label: 'Past', draw: 'past', column: 1, row: 1, rotate: -5 },
+    { id: 'present', label: 'Present', draw: 'present', column: 2, row: 1 },
+    { id: 'future', label: 'Future', draw: 'future', column: 3, row: 1, rotate: 5 },
+  ],
+};
+
+/**
+ * The spread a reading was dealt into
+ *
+ * @param {Object} reading - Analysis result
+ * @returns {Object} - Spread definition
+ */
+export function getReadingSpread(reading) {
+  return reading?.spread?.positions?.length ? reading.spread : THREE_CARD_SPREAD;
+}
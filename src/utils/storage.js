@@ -182,8 +182,8 @@ export function clearAll() {
  * @property {string} filename - Original PDF filename
  * @property {string} title - Extracted document title
  * @property {string[]} keywords - Extracted keywords
- * @property {string} aura - Document aura type
- * @property {Array<{position: string, name: string, meaning: string}>} cards - Tarot cards
+ * @property {Object} aura - Document aura ({ name, description, color, icon }; just the name on older readings)
+ * @property {Array<{position: string, name: string, orientation: string, meaning: string}>} cards - Tarot cards
  * @property {number} timestamp - When reading was created
  */
 
@@ -262,8 +262,9 @@ export function addToHistory(reading) {
     id: reading.id || generateReadingId(),
     filename: reading.filename || 'Unknown document',
     title: reading.title,
-    aura: reading.aura,
+    aura: reading.aura?.name ?? reading.aura,
     cardNames: reading.cards?.map((c) => c.name) || [],
+    cardOrientations: reading.cards?.map((c) => c.orientation || 'upright') || [],
     timestamp: Date.now(),
   };
 
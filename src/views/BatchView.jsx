@@ -0,0 +1,58 @@
+/**
+ * BatchView - Displays the readings for a batch of documents
+ *
+ * Shows a grid of mini-readings, one per uploaded file, in upload order.
+ * Files that failed (on the server, or the client's own checks) show why.
+ */
+
+import { motion } from 'framer-motion';
+import MiniReading from '../components/MiniReading';
+import { pageTransition } from '../lib/animations';
+import './BatchView.css';
+
+/**
+ * @param {Object} props
+ * @param {Object[]} props.results - Per-file results from /api/analyze/batch
+ * @param {Object[]} props.rejections - Files turned away before upload ({ filename, error })
+ * @param {Function} props.onStartOver - Start over with new documents
+ */
+export default function BatchView({ results, rejections = [], onStartOver }) {
+  const entries = [
+    ...results.map(({ filename, ok, analysis, error }) => ({ filename, analysis: ok ? analysis : null, error })),
+    ...rejections.map(({ filename, error }) => ({ filename, analysis: null, error })),
+  ];
+  const readCount = entries.filter((entry) => entry.analysis).length;
+
+  return (
+    <motion.div
+      className="batch-view"
+      initial={pageTransition.initial}
+      animate={pageTransition.animate}
+      exit={pageTransition.exit}
+      transition={pageTransition.transition}
+    >
+      <div className="batch-view__header">
+        <h2 className="batch-view__title">The Readings</h2>
+        <p className="batch-view__summary">
+          {readCount} of {entries.length} {entries.length === 1 ? 'document' : 'documents'} read
+        </p>
+      </div>
+
+      <div className="batch-view__grid">
+        {entries.map((entry, index) => (
+          <MiniReading
+            key={`${index}-${entry.filename}`}
+            filename={entry.filename}
+            analysis={entry.analysis}
+            error={entry.error}
+            delay={60 * index}
+          />
+        ))}
+      </div>
+
+      <button className="batch-view__start-over" onClick={onStartOver}>
+        Read More Documents
+      </button>
+    </motion.div>
+  );
+}
@@ -0,0 +1,170 @@
+/**
+ * CompareView - Displays a compatibility reading of two documents
+ *
+ * Shows:
+ * - The compatibility score and verdict
+ * - What the score is made of: keyword overlap, category match, style
+ * - Both documents side by side, with their category and key themes
+ * - The relationship spread (The Bond, The Tension, The Outcome)
+ * - Export button for the compatibility cover in front of both PDFs
+ */
+
+import { motion, AnimatePresence } from 'framer-motion';
+import TarotCard from '../components/TarotCard';
+import ExportButton from '../components/ExportButton';
+import { pageTransition, staggerContainer, badgeBounce } from '../lib/animations';
+import './CompareView.css';
+
+// The measures behind the score, as the server reports them
+const MEASURES = [
+  ['keywordOverlap', 'Keyword overlap'],
+  ['categoryMatch', 'Category match'],
+  ['styleSimilarity', 'Style similarity'],
+];
+
+/**
+ * @param {Object} props
+ * @param {Object} props.result - Compatibility reading from /api/compare
+ * @param {File[]} props.files - The two compared PDFs
+ * @param {Function} props.onExport - Export the compatibility PDF
+ * @param {Function} props.onStartOver - Compare other documents
+ * @param {Object} props.exportState - useExport state
+ */
+export default function CompareView({ result, files = [], onExport, onStartOver, exportState }) {
+  const { compatibility, verdict, documents, spread } = result;
+  const dealt = spread.positions
+    .map((position) => ({ position, card: result.cards.find((c) => c.position === position.id) }))
+    .filter(({ card }) => card);
+
+  return (
+    <motion.div
+      className="compare-view"
+      initial={pageTransition.initial}
+      animate={pageTransition.animate}
+      exit={pageTransition.exit}
+      transition={pageTransition.transition}
+    >
+      {/* Score and verdict */}
+      <div className="compare-view__header">
+        <motion.h2
+          className="compare-view__title"
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+        >
+          The Compatibility Reading
+        </motion.h2>
+
+        <motion.div
+          className="compare-view__score"
+          initial={badgeBounce.initial}
+          animate={badgeBounce.animate}
+          transition={{ delay: 0.3 }}
+        >
+          <span className="compare-view__score-value">{compatibility.score}%</span>
+          <span className="compare-view__verdict">{verdict.name}</span>
+          <span className="compare-view__verdict-description">{verdict.description}</span>
+        </motion.div>
+      </div>
+
+      {/* The couple */}
+      <div className="compare-view__documents">
+        {documents.map((document, index) => (
+          <div key={index} className="compare-view__document">
+            <span className="compare-view__document-name">
+              {files[index]?.name || document.filename || document.title}
+            </span>
+            <span className="compare-view__document-title">{document.title}</span>
+            <span className="compare-view__document-category">{document.category.label}</span>
+            <div className="compare-view__keywords">
+              {document.keywords.map((keyword) => (
+                <span key={keyword} className="compare-view__keyword">{keyword}</span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* What the score is made of */}
+      <div className="compare-view__measures">
+        {MEASURES.map(([id, label]) => (
+          <div key={id} className="compare-view__measure">
+            <span className="compare-view__measure-label">{label}</span>
+            <div className="compare-view__meter">
+              <motion.div
+                className="compare-view__meter-fill"
+                initial={{ width: '0%' }}
+                animate={{ width: `${Math.round(compatibility[id] * 100)}%` }}
+                transition={{ delay: 0.5, duration: 0.6 }}
+              />
+            </div>
+            <span className="compare-view__measure-value">{Math.round(compatibility[id] * 100)}%</span>
+          </div>
+        ))}
+      </div>
+
+      {/* The relationship spread */}
+      <motion.div
+        className="compare-view__cards"
+        variants={staggerContainer}
+        initial="initial"
+        animate="animate"
+      >
+        {dealt.map(({ position, card }, index) => (
+          <TarotCard
+            key={position.id}
+            card={card}
+            position={position}
+            delay={200 * (index + 1)}
+          />
+        ))}
+      </motion.div>
+
+      {/* What they have in common */}
+      <div className="compare-view__shared">
+        <span className="compare-view__shared-label">Shared keywords:</span>
+        {compatibility.sharedKeywords.length > 0 ? (
+          compatibility.sharedKeywords.map((keyword) => (
+            <span key={keyword} className="compare-view__keyword">{keyword}</span>
+          ))
+        ) : (
+          <span className="compare-view__shared-none">None at all</span>
+        )}
+      </div>
+
+      {/* Actions */}
+      <motion.div
+        className="compare-view__actions"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 1.2 }}
+      >
+        <ExportButton
+          onExport={onExport}
+          disabled={exportState?.isRendering}
+        />
+
+        <button
+          className="compare-view__start-over"
+          onClick={onStartOver}
+        >
+          Compare Other Documents
+        </button>
+      </motion.div>
+
+      {/* Export error */}
+      <AnimatePresence>
+        {exportState?.hasError && (
+          <motion.p
+            className="compare-view__error"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+          >
+            {exportState.error?.message || 'Export failed'}
+          </motion.p>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+}
@@ -2,23 +2,31 @@
  * ReadingView - Displays the tarot reading results
  *
  * Shows:
- * - Three tarot cards with flip animations
+ * - The reading's cards, laid out and revealed in its spread's order
+ * - "Why this card?" under each card, when the reading has explanations
+ * - The overall reading tying the cards together
+ * - Vital signs from the document statistics
  * - Document aura badge
  * - Export button with loading state
+ * - Draw Again (a different reading of the same document)
  * - Success celebration
  */
 
 import { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import TarotCard from '../components/TarotCard';
+import CardExplanation from '../components/CardExplanation';
+import VitalSigns from '../components/VitalSigns';
 import AuraBadge from '../components/AuraBadge';
 import ExportButton from '../components/ExportButton';
 import Confetti from '../components/Confetti';
 import PreviewStrip from '../components/PreviewStrip';
 import { pageTransition, staggerContainer, badgeBounce } from '../lib/animations';
+import { getReadingSpread } from '../lib/spreads';
+import { getReadingAura } from '../lib/auras';
 import './ReadingView.css';
 
-export default function ReadingView({ result, filename, file, onExport, onStartOver, exportState }) {
+export default function ReadingView({ result, filename, file, onExport, onStartOver, onDrawAgain, exportState }) {
   const [showConfetti, setShowConfetti] = useState(false);
 
   // Handle successful export
@@ -27,11 +35,12 @@ export default function ReadingView({ result, filename, file, onExport, onStartO
     setTimeout(() => setShowConfetti(false), 2000);
   };
 
-  // Get cards by position for consistent ordering
-  const getCard = (position) => result?.cards?.find(c => c.position === position) || null;
-  const pastCard = getCard('past');
-  const presentCard = getCard('present');
-  const futureCard = getCard('future');
+  // Pair each spread position with its card, in the order they're revealed
+  const spread = getReadingSpread(result);
+  const dealt = spread.positions
+    .map((position) => ({ position, card: result?.cards?.find(c => c.position === position.id) }))
+    .filter(({ card }) => card);
+  const isGrid = spread.rows > 1;
 
   return (
     <motion.div
@@ -59,41 +68,64 @@ export default function ReadingView({ result, filename, file, onExport, onStartO
             animate={badgeBounce.animate}
             transition={{ delay: 0.3 }}
           >
-            <AuraBadge aura={result.aura} />
+            <AuraBadge aura={getReadingAura(result)} />
           </motion.div>
         )}
       </div>
 
       {/* Tarot Cards */}
       <motion.div
-        className="reading-view__cards"
+        className={`reading-view__cards ${isGrid ? 'reading-view__cards--grid' : ''}`}
+        style={isGrid ? { gridTemplateColumns: `repeat(${spread.columns}, auto)` } : undefined}
         variants={staggerContainer}
         initial="initial"
         animate="animate"
       >
-        {pastCard && (
-          <TarotCard
-            card={pastCard}
-            position="past"
-            delay={200}
-          />
-        )}
-        {presentCard && (
-          <TarotCard
-            card={presentCard}
-            position="present"
-            delay={400}
-          />
-        )}
-        {futureCard && (
-          <TarotCard
-            card={futureCard}
-            position="future"
-            delay={600}
-          />
-        )}
+        {dealt.map(({ position, card }, index) => (
+          <div
+            key={position.id}
+            className="reading-view__slot"
+            style={isGrid ? { gridColumn: position.column, gridRow: position.row } : undefined}
+          >
+            <TarotCard
+              card={card}
+              position={position}
+              delay={200 * (index + 1)}
+            />
+            {card.explanation && (
+              <CardExplanation explanation={card.explanation} position={position} />
+            )}
+          </div>
+        ))}
       </motion.div>
 
+      {/* Overall reading */}
+      {result?.narrative?.length > 0 && (
+        <motion.section
+          className="reading-view__narrative"
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.7 }}
+        >
+          <h3 className="reading-view__narrative-title">The Overall Reading</h3>
+          {result.narrative.map((paragraph, index) => (
+            <p key={index} className="reading-view__narrative-paragraph">{paragraph}</p>
+          ))}
+        </motion.section>
+      )}
+
+      {/* Vital signs */}
+      {result?.statistics && (
+        <motion.div
+          className="reading-view__vitals"
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.75 }}
+        >
+          <VitalSigns statistics={result.statistics} />
+        </motion.div>
+      )}
+
       {/* Keywords */}
       {result?.keywords?.length > 0 && (
         <motion.div
@@ -144,6 +176,16 @@ export default function ReadingView({ result, filename, file, onExport, onStartO
           disabled={exportState?.isRendering}
         />
 
+        {onDrawAgain && (
+          <button
+            className="reading-view__start-over"
+            onClick={onDrawAgain}
+            disabled={exportState?.isRendering}
+          >
+            Draw Again
+          </button>
+        )}
+
         <button
           className="reading-view__start-over"
           onClick={onStartOver}
@@ -2,17 +2,31 @@
  * UploadView - Initial view for PDF upload
  *
  * Shows the dropzone and handles the upload/analysis flow.
- * Integrates with useFileUpload and useAnalysis hooks.
+ * Integrates with useFileUpload and useAnalysis hooks; for a batch (or a
+ * zip) `analysis` is a useBatchAnalysis instance instead, and for a pair of
+ * documents a useCompare instance.
  */
 
 import { motion } from 'framer-motion';
 import DropZone from '../components/DropZone';
 import PreviewStrip from '../components/PreviewStrip';
+import { UPLOAD_MODES } from '../hooks/useFileUpload';
 import { pageTransition, fadeInUp } from '../lib/animations';
 import './UploadView.css';
 
+/**
+ * What the oracle is doing while the request runs
+ */
+function progressText(fileUpload) {
+  if (fileUpload.isCompare) {
+    return 'Weighing their compatibility...';
+  }
+  return fileUpload.hasBatch ? 'Consulting the oracle about your documents...' : 'Consulting the oracle...';
+}
+
 export default function UploadView({ fileUpload, analysis, isAnalyzing, onRetry }) {
-  const showError = analysis.hasError && !isAnalyzing;
+  // A locked PDF is handled by the password prompt, not the generic error
+  const showError = analysis.hasError && !isAnalyzing && !fileUpload.needsPassword;
 
   return (
     <motion.div
@@ -39,13 +53,43 @@ export default function UploadView({ fileUpload, analysis, isAnalyzing, onRetry
           animate={fadeInUp.animate}
           transition={{ ...fadeInUp.transition, delay: 0.2 }}
         >
+          {/* One document, a whole folder of them, or a pair to compare */}
+          <div className="upload-view__modes" role="group" aria-label="Upload mode">
+            {[
+              [UPLOAD_MODES.SINGLE, 'One document'],
+              [UPLOAD_MODES.BATCH, 'A whole folder'],
+              [UPLOAD_MODES.COMPARE, 'Compare two'],
+            ].map(([mode, label]) => (
+              <button
+                key={mode}
+                type="button"
+                className={`upload-view__mode ${fileUpload.mode === mode ? 'upload-view__mode--active' : ''}`}
+                aria-pressed={fileUpload.mode === mode}
+                disabled={isAnalyzing}
+                onClick={() => fileUpload.setMode(mode)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
           <DropZone
             onFileAccepted={fileUpload.processFiles ? (file) => fileUpload.processFiles([file]) : () => {}}
+            multiple={fileUpload.isBatch}
+            onFilesAccepted={fileUpload.processFiles}
+            compare={fileUpload.isCompare}
+            pendingFiles={fileUpload.hasPair ? [] : fileUpload.pair}
             isLoading={isAnalyzing}
+            passwordPrompt={fileUpload.passwordPrompt}
+            onPasswordSubmit={fileUpload.submitPassword}
+            onPasswordCancel={fileUpload.cancelPassword}
           />
           {/* Show preview thumbnails when file is uploaded */}
           {fileUpload.file && (
-            <PreviewStrip file={fileUpload.file} />
+            <PreviewStrip file={fileUpload.file} password={fileUpload.password} />
+          )}
+          {/* Files that didn't pass validation */}
+          {fileUpload.hasError && (
+            <p className="upload-view__error-message" role="alert">{fileUpload.error.message}</p>
           )}
         </motion.div>
 
@@ -66,7 +110,7 @@ export default function UploadView({ fileUpload, analysis, isAnalyzing, onRetry
               />
             </div>
             <p className="upload-view__progress-text">
-              Consulting the oracle... {Math.round(analysis.progress)}%
+              {progressText(fileUpload)} {Math.round(analysis.progress)}%
             </p>
           </motion.div>
         )}